@@ -1,3 +1,11 @@
+//* Registration
+const {
+	RasPG,
+	ContextModule,
+	LocalizationAdapter,
+	Stringful, Describable, Countable
+} = require('./raspg3.js')
+
 RasPG.registerLocalizationAdapter(
 new LocalizationAdapter({
 	author: 'Rasutei',
@@ -29,15 +37,13 @@ new LocalizationAdapter({
 	morpher: function(parts, object) {
 		/** @type {{objectType: string | string[], overrides?: {[baseToken: string]: [string[], string][]}, [feature: string]: any}} */
 		const describable = object.component(Describable)
-		const metadata = describable.metadata
-
-		RasPG.dev.validate.linguisticMetadata(metadata, this.metadataRequired, this.metadataOptional)
+		const metadata = describable.metadata[this.code]?? {}
 
 		const results = {}
 		const fallbacks = {}
 
 		for (const token of ['1SG', '2SG', '3SG', '1PL', '2PL', '3PL', 'COUNT', 'NOUN', 'ADJ', 'ART', 'VERB']) {
-			const [part, glosses] = Object.entries(parts).find(e => e[0].match(new RegExp('^'+token)))
+			const [part, glosses] = Object.entries(parts).find(e => e[0].match(new RegExp('^'+token)))?? []
 			switch (part) {
 				case '1SG':
 				case '2SG':
@@ -72,7 +78,7 @@ new LocalizationAdapter({
 						glosses.push(this.config.defaults.articleForm)
 					/** @type {string} */
 					const override = this.findOverride(metadata, part, glosses)
-					results.ART = override || resolveArticle(part, glosses)
+					results.ART = override || resolveArticle(glosses)
 					break
 				} case 'VERB': {
 					if (!glosses.includes('PRS') && !glosses.includes('PST') && !glosses.includes('FUT'))
@@ -220,7 +226,7 @@ new LocalizationAdapter({
 		}
 		function resolveNoun(part, glosses, config, overrides) {
 			/** @type {string[]} */
-			const options = overrides?? Array.from(object.component(Describable).nouns)
+			const options = overrides || Array.from(object.component(Describable).nouns)
 			const index = part.match(/\d+/)? +part.match(/\d+/)[0] : false
 			let noun
 			if (!('number' in fallbacks)) {
@@ -284,7 +290,7 @@ new LocalizationAdapter({
 			if (glosses.includes('DEF'))
 				if (
 					('number' in fallbacks && fallbacks.number === 'PL')
-					|| (metadata.type === 'person' || metadata.type.includes('person'))
+					|| [metadata.type].flat().includes('person')
 					&& 'nameIsProper' in metadata
 					&& metadata.nameIsProper === true
 				)
@@ -299,6 +305,40 @@ new LocalizationAdapter({
 		}
 		function resolveVerb(part, glosses) {}
 	},
+	references: {
+		pronouns: {
+			it: { number: 'SG', gender: ['NH'] },
+			him: { number: 'SG', gender: ['M'] },
+			her: { number: 'SG', gender: ['F'] },
+			them: [{ number: 'PL' }, { number: 'SG', gender: ['N'] }],
+		},
+		all: ['all', 'everything'],
+		except: ['but', 'except'],
+		conjunctions: [',', 'and'],
+	},
+	chaining: {
+		separators: [',', '.', ';', 'then', 'and then'],
+		again: ['again', 'g'],
+		undo: ['undo', 'undo last'],
+	},
+	directions: {
+		north: ['n'], south: ['s'], east: ['e'], west: ['w'],
+		northeast: ['ne'], southwest: ['sw'], northwest: ['nw'], southeast: ['se'],
+		up: ['u'], down: ['d'], in: ['inside'], out: ['outside'],
+	},
+	phrasing: {
+		list(items, conjunction = 'and') {
+			if (items.length < 2)
+				return items[0]?? ''
+			return items.slice(0, -1).join(', ') +` ${conjunction} `+ items.at(-1)
+		},
+		disambiguationPrompt(phrase, names) {
+			return `Which ${phrase} do you mean, ${this.list(names.map(name => 'the '+ name), 'or')}?`
+		},
+		contentsSentence(listing, also) {
+			return also? `You also see ${listing}.` : `You can see ${listing} here.`
+		},
+	},
 	config: {
 		defaults: {
 			pronounGender: 'NH',
@@ -338,4 +378,44 @@ new LocalizationAdapter({
 		+"\n\t- In general, be mindful of numbers above Number.MAX_SAFE_INTEGER; use bigint if your program requires them."
 		+"\n\t- .WORD supports numbers through to the novenducentillion (10e630) range."
 		+"\n\t- If a wider range (Lord help you) or different formatting is required, `config.count.toWordOverride` may be set to a different function that takes the count and returns a string."
-}))
\ No newline at end of file
+}))
+
+//* Failure messages for the built-in actions (see `Action.message()`)
+Stringful.define({
+	'en.action.movement.move.notTangible': "The %mover.desc.name% can't be moved.",
+	'en.action.movement.move.noDestination': "There's nowhere to go.",
+	'en.action.movement.remove.notTangible': "The %object.desc.name% can't be removed.",
+	'en.action.container.add.notContainer': "Nothing can be put in the %container.desc.name%.",
+	'en.action.container.add.closed': 'The %container.desc.name% is closed.',
+	'en.action.container.add.notFound': "That doesn't seem to exist.",
+	'en.action.container.add.notTangible': "The %item.desc.name% can't be moved.",
+	'en.action.container.add.filtered': "The %item.desc.name% doesn't fit in the %container.desc.name%.",
+	'en.action.container.add.refused': "The %item.desc.name% can't go in the %container.desc.name%.",
+	'en.action.container.remove.notContainer': "Nothing can be taken from the %container.desc.name%.",
+	'en.action.container.remove.closed': 'The %container.desc.name% is closed.',
+	'en.action.container.remove.notFound': "That doesn't seem to exist.",
+	'en.action.container.remove.notContained': "That isn't in the %container.desc.name%.",
+	'en.action.container.transfer.notContainer': "Nothing can be taken from the %container.desc.name%.",
+	'en.action.container.transfer.closed': 'The %container.desc.name% is closed.',
+	'en.action.container.transfer.notContained': "That isn't in the %container.desc.name%.",
+	'en.action.openable.open.notOpenable': "The %object.desc.name% can't be opened.",
+	'en.action.openable.open.alreadyOpen': 'The %object.desc.name% is already open.',
+	'en.action.openable.open.locked': 'The %object.desc.name% is locked.',
+	'en.action.openable.close.notOpenable': "The %object.desc.name% can't be closed.",
+	'en.action.openable.close.alreadyClosed': 'The %object.desc.name% is already closed.',
+	'en.action.lockable.lock.notLockable': "The %object.desc.name% can't be locked.",
+	'en.action.lockable.lock.alreadyLocked': 'The %object.desc.name% is already locked.',
+	'en.action.lockable.lock.open': "The %object.desc.name% can't be locked while open.",
+	'en.action.lockable.lock.wrongKey': "The %key.desc.name% doesn't fit the %object.desc.name%.",
+	'en.action.lockable.unlock.notLockable': "The %object.desc.name% can't be unlocked.",
+	'en.action.lockable.unlock.notLocked': "The %object.desc.name% isn't locked.",
+	'en.action.lockable.unlock.wrongKey': "The %key.desc.name% doesn't fit the %object.desc.name%.",
+	'en.action.lightSource.light.notLightSource': "The %object.desc.name% can't be lit.",
+	'en.action.lightSource.light.alreadyLit': 'The %object.desc.name% is already lit.',
+	'en.action.lightSource.light.noFuel': 'The %object.desc.name% has burned out.',
+	'en.action.lightSource.extinguish.notLightSource': "The %object.desc.name% isn't a light.",
+	'en.action.lightSource.extinguish.notLit': "The %object.desc.name% isn't lit.",
+	'en.action.count.add.notCountable': "The %object.desc.name% can't be counted.",
+	'en.action.count.subtract.notCountable': "The %object.desc.name% can't be counted.",
+	'en.action.count.subtract.notEnough': "There aren't that many of the %object.desc.name%."
+})
@@ -1,20 +1,302 @@
 //# Typedefs
+/** @typedef {{delta?: number, multiplier?: number, source?: string}} StatModifier */
 
 //* Registration
+const {
+	RasPG,
+	EventModule, HookModule, ContextModule,
+	GameObject, Component, Action, Extension,
+	Stringful, Tangible, Containing, Actionable, Agentive
+} = require('./raspg3.js')
 if (!RasPG)
 	throw new Error('[RasPG - Stats&Combat] Framework core missing'
 		+'\nMaybe incorrect import/load order')
 
 
 RasPG.dev.exceptions.NotStatType = () => new TypeError(`[RasPG - Stats&Combat][NotStatType] Expected instance or name of StatType`)
+RasPG.dev.exceptions.StatDependencyCycle = (cycle) => new Error(`[RasPG - Stats&Combat][StatDependencyCycle] Stat dependency cycle: "${cycle.join('" -> "')}"`
+	+'\nMaybe typo, or stats depending on each other through bounds')
+RasPG.dev.exceptions.NotStatusEffect = () => new TypeError(`[RasPG - Stats&Combat][NotStatusEffect] Expected instance or name of StatusEffect`)
+RasPG.dev.logs.combatAlreadyInProgress = () => {
+	if (RasPG.config.logWarnings)
+		console.warn(`[RasPG - Stats&Combat][combatAlreadyInProgress] Attempted to start an encounter while another is in progress`
+			+'\nMaybe forgot to end the previous encounter, or wrong operation order')
+	return false
+}
 
 //# Module
+class CombatModule {
+	/** Name of the stat used to order combatants in an encounter. Highest goes first. */
+	static initiativeStat = 'speed'
+	/** Name of the stat damage is subtracted from. A combatant is defeated when it reaches `0` or less. */
+	static healthStat = 'health'
+	static #formulas = new Map()
+	/** @type {{round: number, participants: string[], sides: {[id: string]: string}, order: string[], outcomes: {[id: string]: 'defeated' | 'fled' | 'surrendered'}, random: number} | null} */
+	static #encounter = null
+	/** Initiative function in use before the current encounter started, restored when it ends. */
+	static #previousInitiative = null
+
+	static get formulas() {
+		return new Map(this.#formulas)
+	}
+	/** A copy of the current encounter's data, or `null`, if there is no encounter in progress. */
+	static get encounter() {
+		return this.#encounter? structuredClone(this.#encounter) : null
+	}
+	/** IDs of the combatants still fighting in the current encounter, in initiative order. */
+	static get active() {
+		if (!this.#encounter)
+			return []
+		return this.#encounter.order.filter(id => !(id in this.#encounter.outcomes))
+	}
+
+	/** Registers a combat formula, replacing the existing one, if any. The framework uses the following:
+	 *
+	 * - 'hit': `(attacker, defender, random) => boolean` Whether an attack lands. Defaults to always.
+	 * - 'damage': `(attacker, defender, random) => number` Raw damage of a landed attack. Defaults to the attacker's 'attack' stat.
+	 * - 'defence': `(defender, damage, attacker) => number` Damage actually taken. Defaults to raw damage minus the defender's 'defence' stat, minimum `0`.
+	 * - 'flee': `(fleeing, encounter, random) => boolean` Whether an attempt to flee succeeds. Defaults to always.
+	 *
+	 * `random` is the encounter's seeded random number generator, returning a number in [0, 1).
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {Function} formula
+	 */
+	static registerFormula(name, formula) {
+		HookModule.run('before:CombatModule.registerFormula', arguments, this)
+
+		RasPG.dev.validate.types('CombatModule.registerFormula', {
+			name: [name, 'string'],
+			formula: [formula, 'function']
+		})
+
+		this.#formulas.set(name, formula)
+
+		HookModule.run('after:CombatModule.registerFormula', arguments, this)
+	}
+	/** Returns the net value of the given stat on the object, or `0`, if it doesn't have it.
+	 * @param {GameObject} object
+	 * @param {string} stat Convention: no spaces, camelCase.
+	 */
+	static statOf(object, stat) {
+		HookModule.run('CombatModule.statOf', arguments, this)
+
+		if (!object.hasComponent(Statful) || !object._stats.has(stat))
+			return 0
+		return object._stats.get(stat).net
+	}
+	/** Starts an encounter between the given combatants, ordering them by initiative. Combatants fight for their own `side` (or their own, if none is set), unless overridden in `options.sides`. Returns `true`, if successful, and `false`, if an encounter is already in progress, or any of the objects isn't a Combatant.
+	 *
+	 * While an encounter is in progress, each turn is a combat round: combatants' intents are performed in initiative order during the 'intent' phase, and outcomes are checked during the 'combat' phase.
+	 * @param {Array<GameObject | string>} combatants
+	 * @param {{sides?: {[id: string]: string}, seed?: number | string}} [options]
+	 * @param [options.sides] Optional. Maps combatant IDs to the side they fight for.
+	 * @param [options.seed] Optional. Seed for the encounter's random number generator. Defaults to the participants' IDs.
+	 */
+	static start(combatants, options) {
+		HookModule.run('before:CombatModule.start', arguments, this)
+
+		RasPG.dev.validate.type('CombatModule.start.combatants', combatants, 'Array<GameObject | string>')
+		RasPG.dev.validate.props('CombatModule.start.options', options, false, {
+			sides: 'object',
+			seed: 'number | string'
+		})
+		if (this.#encounter)
+			return RasPG.dev.logs.combatAlreadyInProgress()
+
+		const objects = combatants.map(c => GameObject.resolve(c, { component: Combatant, operation: 'CombatModule.start' }))
+		if (objects.some(o => !o))
+			return false
+		const participants = objects.map(o => o.id)
+		const sides = {}
+		for (const object of objects)
+			sides[object.id] = options?.sides?.[object.id]?? object._combat.side?? object.id
+
+		this.#encounter = {
+			round: 1,
+			participants,
+			sides,
+			order: [],
+			outcomes: {},
+			random: RasPG.utils.random.seed(options?.seed?? participants.join())
+		}
+		this.#sortInitiative()
+		this.#previousInitiative = Agentive.initiative
+		Agentive.setInitiative((agent, intent) => this.#encounter?.participants.includes(agent.id)
+			? this.#encounter.participants.length - this.#encounter.order.indexOf(agent.id)
+			: this.#previousInitiative(agent, intent))
+
+		EventModule.emit('combat.started', {
+			object: this,
+			label: 'CombatModule',
+			participants: Array.from(participants),
+			sides: Object.assign({}, sides),
+			order: Array.from(this.#encounter.order)
+		})
+		EventModule.emit('combat.round.started', { object: this, label: 'CombatModule', round: 1 })
+		HookModule.run('after:CombatModule.start', arguments, this)
+		return true
+	}
+	/** Resolves an attack from one combatant to another, through the 'hit', 'damage' and 'defence' formulas. Returns the damage taken, or `false`, if the attack missed, or either isn't an active participant in the current encounter.
+	 * @param {GameObject | string} attacker
+	 * @param {GameObject | string} defender
+	 */
+	static attack(attacker, defender) {
+		HookModule.run('before:CombatModule.attack', arguments, this)
+
+		const actualAttacker = GameObject.resolve(attacker, { component: Combatant, operation: 'CombatModule.attack' })
+		const actualDefender = GameObject.resolve(defender, { component: Combatant, operation: 'CombatModule.attack' })
+		if (!actualAttacker || !actualDefender)
+			return false
+		if (!this.isActive(actualAttacker) || !this.isActive(actualDefender))
+			return false
+
+		const random = () => this.random()
+		if (!this.#formulas.get('hit')(actualAttacker, actualDefender, random)) {
+			EventModule.emit('combat.missed', { object: actualAttacker, target: actualDefender, round: this.#encounter.round })
+			HookModule.run('after:CombatModule.attack', arguments, this)
+			return false
+		}
+		const raw = this.#formulas.get('damage')(actualAttacker, actualDefender, random)
+		const damage = Math.max(0, this.#formulas.get('defence')(actualDefender, raw, actualAttacker))
+		if (actualDefender.hasComponent(Statful))
+			actualDefender._stats.modify(this.healthStat, -damage)
+
+		EventModule.emit('combat.hit', {
+			object: actualAttacker,
+			target: actualDefender,
+			raw,
+			damage,
+			round: this.#encounter.round
+		})
+		if (this.statOf(actualDefender, this.healthStat) <= 0)
+			this.#conclude(actualDefender, 'defeated')
+
+		HookModule.run('after:CombatModule.attack', arguments, this)
+		return damage
+	}
+	/** Attempts to have a combatant flee the current encounter, through the 'flee' formula. Returns `true`, if successful, and `false`, if not, or if it isn't an active participant.
+	 * @param {GameObject | string} combatant
+	 */
+	static flee(combatant) {
+		HookModule.run('before:CombatModule.flee', arguments, this)
+
+		const actualCombatant = GameObject.resolve(combatant, { component: Combatant, operation: 'CombatModule.flee' })
+		if (!actualCombatant || !this.isActive(actualCombatant))
+			return false
+
+		if (!this.#formulas.get('flee')(actualCombatant, this.encounter, () => this.random())) {
+			EventModule.emit('combat.flee.failed', { object: actualCombatant, round: this.#encounter.round })
+			HookModule.run('after:CombatModule.flee', arguments, this)
+			return false
+		}
+		this.#conclude(actualCombatant, 'fled')
+
+		HookModule.run('after:CombatModule.flee', arguments, this)
+		return true
+	}
+	/** Has a combatant surrender, leaving the current encounter. Returns `true`, if successful, and `false`, if it isn't an active participant.
+	 * @param {GameObject | string} combatant
+	 */
+	static surrender(combatant) {
+		HookModule.run('before:CombatModule.surrender', arguments, this)
+
+		const actualCombatant = GameObject.resolve(combatant, { component: Combatant, operation: 'CombatModule.surrender' })
+		if (!actualCombatant || !this.isActive(actualCombatant))
+			return false
+
+		this.#conclude(actualCombatant, 'surrendered')
+
+		HookModule.run('after:CombatModule.surrender', arguments, this)
+		return true
+	}
+	/** Returns whether the given object is a participant in the current encounter, and hasn't been defeated, fled or surrendered.
+	 * @param {GameObject | string} combatant
+	 */
+	static isActive(combatant) {
+		HookModule.run('CombatModule.isActive', arguments, this)
+
+		const id = typeof combatant === 'string'? combatant : combatant.id
+		return this.active.includes(id)
+	}
+	/** Advances the encounter's seeded random number generator, and returns a number in [0, 1). */
+	static random() {
+		const { value, state } = RasPG.utils.random.next(this.#encounter?.random?? 0)
+		if (this.#encounter)
+			this.#encounter.random = state
+		return value
+	}
+	/** Resolves the end of a combat round: ends the encounter, if at most one side is left standing, or starts the next round, re-sorting initiative. Called during the 'combat' turn phase. Returns the winning side, if the encounter ended, `null`, if it ended with no side standing, and `undefined`, otherwise.
+	 */
+	static resolveRound() {
+		HookModule.run('before:CombatModule.resolveRound', arguments, this)
+
+		if (!this.#encounter)
+			return undefined
+		const round = this.#encounter.round
+		EventModule.emit('combat.round.ended', { object: this, label: 'CombatModule', round })
+
+		const standing = new Set(this.active.map(id => this.#encounter.sides[id]))
+		if (standing.size <= 1) {
+			const winner = standing.size? Array.from(standing)[0] : null
+			this.end(winner)
+			HookModule.run('after:CombatModule.resolveRound', arguments, this)
+			return winner
+		}
+
+		this.#encounter.round++
+		this.#sortInitiative()
+		EventModule.emit('combat.round.started', { object: this, label: 'CombatModule', round: this.#encounter.round })
+		HookModule.run('after:CombatModule.resolveRound', arguments, this)
+		return undefined
+	}
+	/** Ends the current encounter, with the given winning side, if any. Returns `true`, if successful, and `false`, if there was no encounter in progress (no-op).
+	 * @param {string | null} [winner]
+	 */
+	static end(winner) {
+		HookModule.run('before:CombatModule.end', arguments, this)
+
+		if (!this.#encounter)
+			return false
+		const encounter = this.#encounter
+		this.#encounter = null
+		Agentive.setInitiative(this.#previousInitiative)
+		this.#previousInitiative = null
+
+		EventModule.emit('combat.ended', {
+			object: this,
+			label: 'CombatModule',
+			winner: winner?? null,
+			rounds: encounter.round,
+			outcomes: encounter.outcomes
+		})
+		HookModule.run('after:CombatModule.end', arguments, this)
+		return true
+	}
+
+	static #sortInitiative() {
+		this.#encounter.order = this.#encounter.participants
+			.map(id => [id, this.statOf(GameObject.getByID(id), this.initiativeStat)])
+			.sort((a, b) => b[1] - a[1])
+			.map(([id, _]) => id)
+	}
+	/** @param {'defeated' | 'fled' | 'surrendered'} outcome */
+	static #conclude(combatant, outcome) {
+		this.#encounter.outcomes[combatant.id] = outcome
+		EventModule.emit('combat.' + outcome, {
+			object: combatant,
+			side: this.#encounter.sides[combatant.id],
+			round: this.#encounter.round
+		})
+	}
+}
+
 
 //# Classes
 class StatType {
 	static #all = new Map()
 	static precision = 6
 	name
+	/** @type {(stat: Stat, values: {[dependency: string]: number}) => number} */
 	calculation = (stat) => {
 		let net = stat.base
 		for (const modifier of stat.modifiers) {
@@ -27,25 +309,54 @@ class StatType {
 	}
 	roundToNearest = .01
 	globalModifiers = []
+	/** Names of the stats this one's calculation depends on. Their net values (from the same object) are passed to the calculation. Includes stats used as bounds. */
+	dependencies = []
+	/** Lower bound of the stat, either a number or the name of another stat, or `null`, if unbounded. */
+	min = null
+	/** Upper bound of the stat, either a number or the name of another stat, or `null`, if unbounded. A stat bounded by another (i.e. health by maxHealth) works as a resource. */
+	max = null
 
 	/**
 	 * @param {String} name Convention: no spaces, camelCase.
-	 * @param {{calculation?: (stat: Stat) => number, roundToNearest?: number | false }} [options]
+	 * @param {{calculation?: (stat: Stat, values: {[dependency: string]: number}) => number, roundToNearest?: number | false, dependencies?: string[], min?: number | string, max?: number | string}} [options]
+	 * @param [options.calculation] Optional. Calculates the stat's net value from itself and the net values of its dependencies. Defaults to applying the stat's modifiers to its base, in order.
+	 * @param [options.roundToNearest] Defaults to `.01`. The net value is truncated (towards zero) to a multiple of it; if `false`, it isn't rounded.
+	 * @param [options.dependencies] Optional. Names of other stats the calculation depends on (i.e. maxHealth on constitution). Dependency cycles throw an exception.
+	 * @param [options.min] Optional. Lower bound, either a number or the name of another stat.
+	 * @param [options.max] Optional. Upper bound, either a number or the name of another stat.
+	 * @example
+	 * new StatType('maxHealth', { dependencies: ['constitution'], calculation: (stat, { constitution }) => stat.base + constitution * 10 })
+	 * new StatType('health', { min: 0, max: 'maxHealth' })
 	 */
 	constructor(name, options) {
 		HookModule.run('before:StatType.constructor', arguments, this)
 
 		RasPG.dev.validate.type('StatType.constructor.name', name, 'string')
 		RasPG.dev.validate.props('StatType.constructor.options', options, false, {
-			calculation: ['function', '(stat: Stat) => number'],
-			roundToNearest: 'number'
+			calculation: ['function', '(stat: Stat, values: {[dependency: string]: number}) => number'],
+			roundToNearest: 'number | boolean',
+			dependencies: 'string[]',
+			min: 'number | string',
+			max: 'number | string'
 		})
 
 		this.name = name
 		if (options?.calculation)
 			this.calculation = options.calculation
-		if (options?.roundToNearest)
+		if (options?.roundToNearest !== undefined)
 			this.roundToNearest = options.roundToNearest
+		if (options?.min !== undefined)
+			this.min = options.min
+		if (options?.max !== undefined)
+			this.max = options.max
+		this.dependencies = Array.from(new Set([
+			...(options?.dependencies?? []),
+			...[this.min, this.max].filter(bound => typeof bound === 'string')
+		]))
+
+		const cycle = StatType.#findCycle(name, this.dependencies)
+		if (cycle)
+			throw RasPG.dev.exceptions.StatDependencyCycle(cycle)
 
 		StatType.#all.set(name, this)
 
@@ -86,19 +397,97 @@ class StatType {
 		throw RasPG.dev.exceptions.NotStatType()
 	}
 
-	/** Calculates a given stat's final value. In order: runs the given calculation, applies `toPrecision()`, then rounds to nearest, if set.
+	/** Returns the names of the stat types that depend on the given one, directly or not, in an order where every stat comes after its dependencies.
+	 * @param {string} type Convention: no spaces, camelCase.
+	 */
+	static dependentsOf(type) {
+		HookModule.run('StatType.dependentsOf', arguments, this)
+
+		RasPG.dev.validate.type('StatType.dependentsOf.type', type, 'string')
+
+		const found = new Set()
+		const ordered = []
+		const visit = (name) => {
+			for (const [dependent, statType] of this.#all)
+				if (statType.dependencies.includes(name) && !found.has(dependent)) {
+					found.add(dependent)
+					visit(dependent)
+					ordered.unshift(dependent)
+				}
+		}
+		visit(type)
+		return ordered
+	}
+	/** Returns the first dependency cycle the given stat type would close (as a path of names), or `null`, if none. */
+	static #findCycle(name, dependencies) {
+		const visited = new Set()
+		const visit = (current, path) => {
+			if (current === name)
+				return path
+			if (visited.has(current))
+				return null
+			visited.add(current)
+			for (const dependency of this.#all.get(current)?.dependencies?? []) {
+				const cycle = visit(dependency, [...path, dependency])
+				if (cycle)
+					return cycle
+			}
+			return null
+		}
+		for (const dependency of dependencies) {
+			const cycle = visit(dependency, [name, dependency])
+			if (cycle)
+				return cycle
+		}
+		return null
+	}
+
+	/** Calculates a given stat's final value. In order: runs the given calculation, applies `toPrecision()`, rounds to nearest, if set, then clamps to bounds.
 	 * @param {Stat} stat
 	 */
 	calculate(stat) {
 		HookModule.run('before:StatType.instance.calculate', arguments, this)
 
-		let netValue = +(this.calculation(stat)).toPrecision(StatType.precision)
+		const values = {}
+		for (const dependency of this.dependencies)
+			values[dependency] = stat.owner?.has(dependency)? stat.owner.get(dependency).net : 0
+
+		let netValue = +(this.calculation(stat, values)).toPrecision(StatType.precision)
+		//? Truncated (towards zero), counting in steps, as `%` on fractional steps (i.e. `9 % .01`) carries floating point error
 		if (this.roundToNearest)
-			netValue = +(netValue - (netValue % this.roundToNearest)).toPrecision(StatType.precision)
+			netValue = +(Math.trunc(+(netValue / this.roundToNearest).toPrecision(StatType.precision)) * this.roundToNearest).toPrecision(StatType.precision)
+		netValue = this.clamp(stat, netValue)
 
 		HookModule.run('after:StatType.instance.calculate', arguments, this)
 		return netValue
 	}
+	/** Returns the stat's bounds, resolving bounds set as other stats from the same object. Missing bounds are `null`.
+	 * @param {Stat} stat
+	 */
+	bounds(stat) {
+		HookModule.run('StatType.instance.bounds', arguments, this)
+
+		const resolve = (bound) => {
+			if (typeof bound !== 'string')
+				return bound
+			return stat.owner?.has(bound)? stat.owner.get(bound).net : null
+		}
+		return { min: resolve(this.min), max: resolve(this.max) }
+	}
+	/** Returns the given value clamped to the stat's bounds.
+	 * @param {Stat} stat
+	 * @param {number} value
+	 */
+	clamp(stat, value) {
+		HookModule.run('StatType.instance.clamp', arguments, this)
+
+		const { min, max } = this.bounds(stat)
+		if (max !== null && value > max)
+			value = max
+		if (min !== null && value < min)
+			value = min
+		return value
+	}
 	/** Creates and returns a Stat instance with this StatType, with the given initial value.
 	 * @param {number} initialValue
 	 */
@@ -106,11 +495,18 @@ class StatType {
 		HookModule.run('StatType.instance.create', arguments, this)
 		return new Stat(this, initialValue)
 	}
-} RasPG.registerClass('StatType', StatType)
+} RasPG.registerClass(StatType)
 class Stat {
 	#type
 	base
+	/** Applied in order. Modifiers with a `source` (i.e. `'effect:<id>'`, `'equipment:<itemID>'`) are managed by whatever added them through the object's Statful component, and aren't serialized.
+	 * @type {StatModifier[]}
+	 */
 	modifiers = []
+	/** The Statful component holding the stat, if any. Used to resolve dependencies and bounds.
+	 * @type {Statful | null}
+	 */
+	owner = null
 
 	/**
 	 * @param {StatType | string} type
@@ -142,10 +538,151 @@ class Stat {
 	}
 }
 
+class StatusEffect {
+	static #all = new Map()
+	id
+	/** @type {{[stat: string]: StatModifier}} */
+	modifiers = {}
+	/** Amount of turns the effect lasts, or `null`, if until removed. */
+	duration = null
+	/** @type {'refresh' | 'stack' | 'ignore'} */
+	stacking = 'refresh'
+	maxStacks = Infinity
+	/** @type {(object: GameObject, stacks: number) => void} */
+	onTurn
+	/** @type {(object: GameObject, stacks: number) => void} */
+	onApply
+	/** @type {(object: GameObject, stacks: number) => void} */
+	onExpire
+
+	/**
+	 * @param {string} id Convention: no spaces, camelCase.
+	 * @param {{modifiers?: {[stat: string]: StatModifier}, duration?: number, stacking?: 'refresh' | 'stack' | 'ignore', maxStacks?: number, onTurn?: (object: GameObject, stacks: number) => void, onApply?: (object: GameObject, stacks: number) => void, onExpire?: (object: GameObject, stacks: number) => void}} [options]
+	 * @param [options.modifiers] Optional. Modifiers added to the given stats while the effect lasts, once per stack.
+	 * @param [options.duration] Optional. Amount of turns the effect lasts. If not set, lasts until removed.
+	 * @param [options.stacking] Defaults to 'refresh'. What happens when the effect is applied to an object already under it: its duration is refreshed, it gains a stack (and its duration is refreshed), or the application is ignored.
+	 * @param [options.maxStacks] Optional. Maximum amount of stacks, if `stacking` is 'stack'.
+	 * @param [options.onTurn] Optional. Called at the end of every turn the effect is active (i.e. poison, regeneration).
+	 * @param [options.onApply] Optional. Called when the effect is first applied.
+	 * @param [options.onExpire] Optional. Called when the effect runs out or is removed.
+	 */
+	constructor(id, options) {
+		HookModule.run('before:StatusEffect.constructor', arguments, this)
+
+		RasPG.dev.validate.type('StatusEffect.constructor.id', id, 'string')
+		RasPG.dev.validate.props('StatusEffect.constructor.options', options, false, {
+			modifiers: 'object',
+			duration: 'number',
+			stacking: "'refresh' | 'stack' | 'ignore'",
+			maxStacks: 'number',
+			onTurn: ['function', '(object: GameObject, stacks: number) => void'],
+			onApply: ['function', '(object: GameObject, stacks: number) => void'],
+			onExpire: ['function', '(object: GameObject, stacks: number) => void']
+		})
+		if (StatusEffect.#all.has(id))
+			throw RasPG.dev.exceptions.GeneralIDConflict('StatusEffect.#all', id)
+
+		this.id = id
+		for (const option of ['modifiers', 'duration', 'stacking', 'maxStacks', 'onTurn', 'onApply', 'onExpire'])
+			if (options?.[option] !== undefined)
+				this[option] = options[option]
+
+		StatusEffect.#all.set(id, this)
+
+		HookModule.run('after:StatusEffect.constructor', arguments, this)
+	}
+
+	static get all() {
+		return new Map(this.#all)
+	}
+
+	/** Returns the status effect with the given ID, if found, or `null`, if not found.
+	 * @param {string} id Convention: no spaces, camelCase.
+	 */
+	static find(id) {
+		HookModule.run('StatusEffect.find', arguments, this)
+
+		RasPG.dev.validate.type('StatusEffect.find', id, 'string')
+
+		return this.#all.get(id) || null
+	}
+	/** Attempts to resolve a string to a StatusEffect instance. Passes it back if first parameter is already one. Returns `null` if not found.
+	 * @param {string | StatusEffect} effect Convention: no spaces, camelCase.
+	 */
+	static resolve(effect) {
+		HookModule.run('StatusEffect.resolve', arguments, this)
+
+		if (typeof effect === 'object' && effect instanceof StatusEffect)
+			return effect
+		if (typeof effect === 'string') {
+			const actualEffect = this.find(effect)
+			if (!actualEffect) {
+				RasPG.dev.logs.elementNotRegisteredInCollection(effect, 'StatusEffect.#all')
+				return null
+			}
+			return actualEffect
+		}
+
+		throw RasPG.dev.exceptions.NotStatusEffect()
+	}
+} RasPG.registerClass(StatusEffect)
+
 //# Components
 class Statful extends Component {
 	static reference = '_stats'
+	static serializer = function(instance) {
+		const stats = {}
+		for (const [name, stat] of instance.stats)
+			stats[name] = {
+				base: stat.base,
+				modifiers: stat.modifiers.filter(m => !m.source)
+			}
+		const effects = {}
+		for (const [id, state] of instance.effects)
+			effects[id] = { stacks: state.stacks, expires: state.expires }
+		return {stats, effects}
+	}
+	static deserializer = function(data) {
+		const instance = new Statful()
+		for (const [name, stat] of Object.entries(data.stats)) {
+			const actualStat = StatType.resolve(name)?.create(stat.base)
+			if (!actualStat)
+				continue
+			actualStat.modifiers = structuredClone(stat.modifiers)
+			actualStat.owner = instance
+			instance.#stats.set(name, actualStat)
+		}
+		for (const [id, state] of Object.entries(data.effects?? {})) {
+			if (!StatusEffect.resolve(id))
+				continue
+			instance.#effects.set(id, { stacks: state.stacks, expires: state.expires, token: ++Statful.#tokens })
+			instance.#applyModifiers(id)
+		}
+		RasPG.utils.scheduling.stateNot(
+			() => {
+				for (const [id, state] of instance.#effects)
+					instance.#scheduleTick(id, state.token)
+			},
+			{inner: 'serializing|instantiating'}
+		)
+		return instance
+	}
+	/** Incremented on every effect application; scheduled effect ticks with an outdated token are ignored. */
+	static #tokens = 0
 	#stats = new Map()
+	/** @type {Map<string, {stacks: number, expires: number | null, token: number}>} */
+	#effects = new Map()
+
+	get stats() {
+		return new Map(this.#stats)
+	}
+	/** Status effects currently on the object, with their stacks and the turn they expire at (or `null`, if they don't). */
+	get effects() {
+		const ret = new Map()
+		for (const [id, state] of this.#effects)
+			ret.set(id, { stacks: state.stacks, expires: state.expires })
+		return ret
+	}
 
 	/** Returns the given Stat instance from the object. Returns `null`, if not found
 	 * @param {string} stat Convention: no spaces, camelCase.
@@ -155,14 +692,23 @@ class Statful extends Component {
 
 		RasPG.dev.validate.type('Statful.get.stat', stat, 'string')
 		if (!this.#stats.has(stat)) {
-			RasPG.dev.RasPG.dev.logs.elementNotRegisteredInCollection(variable, 'Stateful.instance.data')
+			RasPG.dev.logs.elementNotRegisteredInCollection(stat, 'Statful.instance.stats')
 			return null
 		}
 
 		return this.#stats.get(stat)
 	}
 
-	/** Sets the stat's base value. Returns `true`, if successful, and `false`, if stat isn't present.
+	/** Returns whether the object has the given stat.
+	 * @param {string} stat Convention: no spaces, camelCase.
+	 */
+	has(stat) {
+		HookModule.run('Statful.instance.has', arguments, this)
+
+		RasPG.dev.validate.type('Statful.instance.has.stat', stat, 'string')
+		return this.#stats.has(stat)
+	}
+	/** Sets the stat's base value, clamped to its bounds. Stats depending on it are recalculated. Returns `true`, if successful, and `false`, if stat isn't present.
 	 * @param {string} stat Convention: no spaces, camelCase.
 	 * @param {number} value
 	 */
@@ -176,21 +722,12 @@ class Statful extends Component {
 		if (!this.#stats.has(stat))
 			return false
 
-		const actualStat = this.#stats.get(stat)
-		const previous = actualStat.base
-		actualStat.base = value
-
-		EventModule.emitPropertyEvents({
-			object: this.parent,
-			property: stat,
-			previous,
-			current: value
-		}, 'stats.')
+		this.#change(stat, value)
 
 		HookModule.run('after:Statful.instance.set', arguments, this)
 		return true
 	}
-	/** Modifies the stat's base value by the given change. Returns `true`, if successful, and `false`, if stat isn't present.
+	/** Modifies the stat's base value by the given change, clamped to its bounds. Stats depending on it are recalculated. Returns `true`, if successful, and `false`, if stat isn't present.
 	 * @param {string} stat Convention: no spaces, camelCase.
 	 * @param {number} change
 	 */
@@ -204,16 +741,8 @@ class Statful extends Component {
 		if (!this.#stats.has(stat))
 			return false
 
-		const actualStat = this.#stats.get(stat)
-		const previous = actualStat.base
-		actualStat.base += change
+		this.#change(stat, this.#stats.get(stat).base + change)
 
-		EventModule.emitPropertyEvents({
-			object: this.parent,
-			property: stat,
-			previous,
-			current: actualStat.base
-		}, 'stats.')
 		HookModule.run('after:Statful.instance.modify', arguments, this)
 		return true
 	}
@@ -234,7 +763,12 @@ class Statful extends Component {
 		const actualType = StatType.find(stat)
 		if (!actualType)
 			return actualType
-		this.#stats.set(stat, actualType.create(initialValue))
+		const snapshot = this.#snapshot([stat])
+		const actualStat = actualType.create(initialValue)
+		actualStat.owner = this
+		actualStat.base = actualType.clamp(actualStat, initialValue)
+		this.#stats.set(stat, actualStat)
+		this.#settle(snapshot)
 
 		EventModule.emit('stats.created', {
 			object: this.parent,
@@ -257,18 +791,543 @@ class Statful extends Component {
 		HookModule.run('after:Statful.instance.define', arguments, this)
 		return this
 	}
+	/** Adds modifiers to the object's stats under the given source, replacing any previously added under it. Stats the object doesn't have are ignored. Returns the component instance back for further operations.
+	 * @param {string} source Convention: 'domain:id' (i.e. 'equipment:sword').
+	 * @param {{[stat: string]: StatModifier}} modifiers
+	 */
+	addModifiers(source, modifiers) {
+		HookModule.run('before:Statful.instance.addModifiers', arguments, this)
+
+		RasPG.dev.validate.types('Statful.instance.addModifiers', {
+			source: [source, 'string'],
+			modifiers: [modifiers, 'object']
+		})
+
+		this.#setModifiers(source, modifiers, 1)
+
+		HookModule.run('after:Statful.instance.addModifiers', arguments, this)
+		return this
+	}
+	/** Removes all modifiers under the given source from the object's stats. Returns `true`, if any were removed, and `false`, if none were present.
+	 * @param {string} source
+	 */
+	removeModifiers(source) {
+		HookModule.run('before:Statful.instance.removeModifiers', arguments, this)
+
+		RasPG.dev.validate.type('Statful.instance.removeModifiers.source', source, 'string')
+		const present = Array.from(this.#stats.values()).some(stat => stat.modifiers.some(m => m.source === source))
+		if (!present)
+			return false
+
+		this.#setModifiers(source, {}, 0)
+
+		HookModule.run('after:Statful.instance.removeModifiers', arguments, this)
+		return true
+	}
+	/** Applies a status effect to the object, following its stacking rule, if already under it. Returns `true`, if applied, stacked or refreshed, and `false`, if ignored, or if the effect isn't found.
+	 * @param {string | StatusEffect} effect
+	 * @param {{duration?: number}} [options]
+	 * @param [options.duration] Optional. Overrides the effect's duration for this application.
+	 */
+	applyEffect(effect, options) {
+		HookModule.run('before:Statful.instance.applyEffect', arguments, this)
+
+		RasPG.dev.validate.props('Statful.instance.applyEffect.options', options, false, {
+			duration: 'number'
+		})
+		const actualEffect = StatusEffect.resolve(effect)
+		if (!actualEffect)
+			return false
+
+		const duration = options?.duration?? actualEffect.duration
+		const expires = duration === null? null : RasPG.runtime.turn.counter + duration
+		const state = this.#effects.get(actualEffect.id)
+
+		if (state) {
+			if (actualEffect.stacking === 'ignore')
+				return false
+			state.expires = expires
+			if (actualEffect.stacking === 'stack' && state.stacks < actualEffect.maxStacks) {
+				state.stacks++
+				this.#applyModifiers(actualEffect.id)
+				EventModule.emit('effects.stacked', { object: this.parent, effect: actualEffect.id, stacks: state.stacks, expires })
+			}
+			else
+				EventModule.emit('effects.refreshed', { object: this.parent, effect: actualEffect.id, stacks: state.stacks, expires })
+			HookModule.run('after:Statful.instance.applyEffect', arguments, this)
+			return true
+		}
+
+		const token = ++Statful.#tokens
+		this.#effects.set(actualEffect.id, { stacks: 1, expires, token })
+		this.#applyModifiers(actualEffect.id)
+		this.#scheduleTick(actualEffect.id, token)
+		if (actualEffect.onApply)
+			actualEffect.onApply(this.parent, 1)
+
+		EventModule.emit('effects.applied', { object: this.parent, effect: actualEffect.id, stacks: 1, expires })
+		HookModule.run('after:Statful.instance.applyEffect', arguments, this)
+		return true
+	}
+	/** Removes a status effect (and all its stacks) from the object. Returns `true`, if successful, and `false`, if the object wasn't under it.
+	 * @param {string | StatusEffect} effect
+	 */
+	removeEffect(effect) {
+		HookModule.run('before:Statful.instance.removeEffect', arguments, this)
+
+		const actualEffect = StatusEffect.resolve(effect)
+		if (!actualEffect || !this.#effects.has(actualEffect.id))
+			return false
+
+		const { stacks } = this.#effects.get(actualEffect.id)
+		this.#effects.delete(actualEffect.id)
+		this.#applyModifiers(actualEffect.id)
+		if (actualEffect.onExpire)
+			actualEffect.onExpire(this.parent, stacks)
+
+		EventModule.emit('effects.removed', { object: this.parent, effect: actualEffect.id, stacks })
+		HookModule.run('after:Statful.instance.removeEffect', arguments, this)
+		return true
+	}
+	/** Returns whether the object is under the given status effect.
+	 * @param {string | StatusEffect} effect
+	 */
+	hasEffect(effect) {
+		HookModule.run('Statful.instance.hasEffect', arguments, this)
+
+		return this.#effects.has(typeof effect === 'string'? effect : effect.id)
+	}
+
+	/** Replaces the effect's modifiers on the object's stats with one set per current stack (none, if removed). */
+	#applyModifiers(id) {
+		const stacks = this.#effects.get(id)?.stacks?? 0
+		this.#setModifiers('effect:'+ id, StatusEffect.find(id)?.modifiers?? {}, stacks)
+	}
+	/** Replaces the modifiers under the given source with the given ones, repeated the given amount of times, then settles affected stats. */
+	#setModifiers(source, modifiers, times) {
+		const affected = Array.from(this.#stats)
+			.filter(([name, stat]) => name in modifiers || stat.modifiers.some(m => m.source === source))
+			.map(([name, _]) => name)
+		const snapshot = this.parent? this.#snapshot(affected) : null
+		for (const name of affected) {
+			const stat = this.#stats.get(name)
+			stat.modifiers = stat.modifiers.filter(m => m.source !== source)
+			if (name in modifiers)
+				for (let i = 0; i < times; i++)
+					stat.modifiers.push(Object.assign({}, modifiers[name], { source }))
+		}
+		if (snapshot)
+			this.#settle(snapshot)
+	}
+	/** Sets a present stat's base value, clamped, emitting property events, then settles the stats depending on it. */
+	#change(name, value) {
+		const stat = this.#stats.get(name)
+		const snapshot = this.#snapshot([name])
+		const previous = stat.base
+		stat.base = stat.type.clamp(stat, value)
+
+		EventModule.emitPropertyEvents({
+			object: this.parent,
+			property: name,
+			previous,
+			current: stat.base
+		}, 'stats.')
+		this.#settle(snapshot, name)
+	}
+	/** Returns the current net values of the given stats and every stat depending on them, in dependency order. */
+	#snapshot(names) {
+		const snapshot = new Map()
+		for (const name of names)
+			for (const affected of [name, ...StatType.dependentsOf(name)])
+				if (this.#stats.has(affected) && !snapshot.has(affected))
+					snapshot.set(affected, this.#stats.get(affected).net)
+		return snapshot
+	}
+	/** Re-clamps snapshotted stats to their (possibly changed) bounds, and emits 'stats.<name>.recalculated' (except for the stat changed directly, if given), 'stats.<name>.depleted' and 'stats.<name>.filled' events for those whose net value changed. */
+	#settle(snapshot, changed) {
+		for (const [name, previous] of snapshot) {
+			const stat = this.#stats.get(name)
+			if (name !== changed)
+				stat.base = stat.type.clamp(stat, stat.base)
+			const current = stat.net
+			if (current === previous)
+				continue
+
+			const data = { object: this.parent, stat: name, previous, current }
+			if (name !== changed)
+				EventModule.emit(`stats.${name}.recalculated`, data)
+			const { min, max } = stat.type.bounds(stat)
+			if (min !== null && current <= min && previous > min)
+				EventModule.emit(`stats.${name}.depleted`, data)
+			if (max !== null && current >= max && previous < max)
+				EventModule.emit(`stats.${name}.filled`, data)
+		}
+	}
+	/** Schedules the effect's next tick, at the end of the next turn. */
+	#scheduleTick(id, token) {
+		RasPG.runtime.turn.schedule(() => this.#tick(id, token), { delay: 1, phase: 'cleanup' })
+	}
+	#tick(id, token) {
+		const state = this.#effects.get(id)
+		if (!state || state.token !== token)
+			return
+		const effect = StatusEffect.find(id)
+		if (effect?.onTurn)
+			effect.onTurn(this.parent, state.stacks)
+		//? The effect may have been removed by its own turn callback
+		if (this.#effects.get(id) !== state)
+			return
+
+		if (state.expires !== null && RasPG.runtime.turn.counter >= state.expires) {
+			this.#effects.delete(id)
+			this.#applyModifiers(id)
+			if (effect?.onExpire)
+				effect.onExpire(this.parent, state.stacks)
+			EventModule.emit('effects.expired', { object: this.parent, effect: id, stacks: state.stacks })
+			return
+		}
+		this.#scheduleTick(id, token)
+	}
 }
 class Combatant extends Component {
 	static reference = '_combat'
 	static requires = [Actionable, Agentive, Statful]
-	//? Note: Expected to be bundled with the Combat module.
+	static serializer = function(instance) {
+		return {side: instance.side}
+	}
+	static deserializer = function(data) {
+		const instance = new Combatant()
+		instance.side = data.side?? null
+		return instance
+	}
+	/** Side the object fights for in encounters, by default. If `null`, it fights for itself.
+	 * @type {string | null}
+	 */
+	side = null
+
+	/** Whether the object is an active participant in the current encounter. */
+	get inCombat() {
+		return CombatModule.isActive(this.parent)
+	}
 }
 
+class Equipment extends Component {
+	static reference = '_equipment'
+	static requires = [Containing, Statful]
+	static serializer = function(instance) {
+		const slots = {}
+		for (const [name, slot] of instance.slots)
+			slots[name] = { capacity: slot.capacity, items: slot.items }
+		return {slots}
+	}
+	static deserializer = function(data) {
+		const instance = new Equipment()
+		for (const [name, slot] of Object.entries(data.slots))
+			instance.#slots.set(name, { capacity: slot.capacity, items: Array.from(slot.items) })
+		RasPG.utils.scheduling.stateNot(
+			() => {
+				for (const slot of instance.#slots.values())
+					for (const id of slot.items) {
+						const item = GameObject.resolve(id, { component: Equippable, operation: 'Equipment.deserializer' })
+						if (item)
+							instance.parent._stats.addModifiers('equipment:'+ id, item._equippable.modifiers)
+					}
+			},
+			{inner: 'serializing|instantiating'}
+		)
+		return instance
+	}
+	/** @type {Map<string, {capacity: number, items: string[]}>} */
+	#slots = new Map()
+
+	get slots() {
+		const ret = new Map()
+		for (const [name, slot] of this.#slots)
+			ret.set(name, { capacity: slot.capacity, items: Array.from(slot.items) })
+		return ret
+	}
+
+	/** Defines the object's equipment slots and how many items each holds, in bulk. Slots already defined have their capacity changed. Returns the component instance back for further operations.
+	 * @param {{[slot: string]: number}} slots Slot convention: no spaces, camelCase, can be organized into domains (i.e. 'hand.left').
+	 * @example
+	 * hero._equipment.defineSlots({ 'head': 1, 'hand.left': 1, 'hand.right': 1, 'ring': 2 })
+	 */
+	defineSlots(slots) {
+		HookModule.run('before:Equipment.instance.defineSlots', arguments, this)
+
+		RasPG.dev.validate.type('Equipment.instance.defineSlots.slots', slots, 'object')
+
+		for (const [name, capacity] of Object.entries(slots)) {
+			RasPG.dev.validate.type('Equipment.instance.defineSlots.slots.'+ name, capacity, 'number')
+			if (this.#slots.has(name))
+				this.#slots.get(name).capacity = capacity
+			else
+				this.#slots.set(name, { capacity, items: [] })
+		}
+
+		HookModule.run('after:Equipment.instance.defineSlots', arguments, this)
+		return this
+	}
+	/** Returns the name of the slot the given item is equipped in, or `null`, if not equipped.
+	 * @param {GameObject | string} item
+	 */
+	slotOf(item) {
+		HookModule.run('Equipment.instance.slotOf', arguments, this)
+
+		RasPG.dev.validate.type('Equipment.instance.slotOf.item', item, 'GameObject | string')
+
+		const id = typeof item === 'string'? item : item.id
+		for (const [name, slot] of this.#slots)
+			if (slot.items.includes(id))
+				return name
+		return null
+	}
+	/** Returns whether the given item is equipped by the object.
+	 * @param {GameObject | string} item
+	 */
+	isEquipped(item) {
+		HookModule.run('Equipment.instance.isEquipped', arguments, this)
+		return this.slotOf(item) !== null
+	}
+	/** Equips an item in the given slot, or in the first free slot it fits, moving it into the object's container, if needed, and adding its stat modifiers to the object. Returns `true`, if successful, and `false`, if not, in which case an 'equipment.failed' event is emitted with the reason.
+	 *
+	 * Reasons: 'equipped' (already equipped), 'slot' (no fitting slot), 'full' (fitting slots are full), 'requirements' (requirements not met; see `failed`), 'container' (item couldn't be moved into the object's container).
+	 * @param {GameObject | string} item
+	 * @param {string} [slot]
+	 */
+	equip(item, slot) {
+		HookModule.run('before:Equipment.instance.equip', arguments, this)
+
+		RasPG.dev.validate.type('Equipment.instance.equip.slot', slot, 'string | undefined')
+		const actualItem = GameObject.resolve(item, { component: Equippable, operation: 'Equipment.instance.equip' })
+		if (!actualItem)
+			return false
+
+		const fail = (reason, data) => {
+			EventModule.emit('equipment.failed', Object.assign({ object: this.parent, item: actualItem, slot, reason }, data))
+			return false
+		}
+		if (this.isEquipped(actualItem))
+			return fail('equipped')
+
+		const fitting = (slot? [slot] : actualItem._equippable.slots)
+			.filter(name => this.#slots.has(name) && actualItem._equippable.fits(name))
+		if (fitting.length === 0)
+			return fail('slot')
+		const actualSlot = fitting.find(name => this.#slots.get(name).items.length < this.#slots.get(name).capacity)
+		if (!actualSlot)
+			return fail('full')
+
+		const failed = actualItem._equippable.unmetRequirements(this.parent)
+		if (failed.length)
+			return fail('requirements', { failed })
+
+		if (!this.parent._container.has(actualItem, { strict: true }))
+			this.parent._container.add(actualItem)
+		if (!this.parent._container.has(actualItem, { strict: true }))
+			return fail('container')
+
+		this.#slots.get(actualSlot).items.push(actualItem.id)
+		this.parent._stats.addModifiers('equipment:'+ actualItem.id, actualItem._equippable.modifiers)
+
+		EventModule.emit('equipment.equipped', { object: this.parent, item: actualItem, slot: actualSlot })
+		HookModule.run('after:Equipment.instance.equip', arguments, this)
+		return true
+	}
+	/** Unequips an item, removing its stat modifiers from the object. The item is kept in the object's container. Returns `true`, if successful, and `false`, if the item wasn't equipped.
+	 * @param {GameObject | string} item
+	 */
+	unequip(item) {
+		HookModule.run('before:Equipment.instance.unequip', arguments, this)
+
+		RasPG.dev.validate.type('Equipment.instance.unequip.item', item, 'GameObject | string')
+		const id = typeof item === 'string'? item : item.id
+		const slot = this.slotOf(id)
+		if (!slot)
+			return false
+
+		const items = this.#slots.get(slot).items
+		items.splice(items.indexOf(id), 1)
+		this.parent._stats.removeModifiers('equipment:'+ id)
+
+		EventModule.emit('equipment.unequipped', {
+			object: this.parent,
+			item: typeof item === 'string'? GameObject._all.get(GameObject._prefix + id)?? id : item,
+			slot
+		})
+		HookModule.run('after:Equipment.instance.unequip', arguments, this)
+		return true
+	}
+}
+class Equippable extends Component {
+	static reference = '_equippable'
+	static requires = [Tangible]
+	static serializer = function(instance) {
+		return {
+			slots: instance.slots,
+			modifiers: instance.modifiers,
+			requirements: instance.requirements
+		}
+	}
+	static deserializer = function(data) {
+		const instance = new Equippable()
+		instance.define(data)
+		return instance
+	}
+	/** @type {string[]} */
+	#slots = []
+	/** @type {{[stat: string]: StatModifier}} */
+	#modifiers = {}
+	/** @type {{stats?: {[stat: string]: number}, tags?: string[]}} */
+	#requirements = {}
+
+	get slots() {
+		return Array.from(this.#slots)
+	}
+	get modifiers() {
+		return structuredClone(this.#modifiers)
+	}
+	get requirements() {
+		return structuredClone(this.#requirements)
+	}
+	/** The object that has this one equipped, or `null`, if none. */
+	get equippedBy() {
+		const location = this.parent._location.location
+		if (!location?.hasComponent?.(Equipment) || !location._equipment.isEquipped(this.parent))
+			return null
+		return location
+	}
+
+	/** Defines the slots the object fits, the stat modifiers it grants when equipped, and the requirements to equip it. Given properties replace the current ones. Returns the component instance back for further operations.
+	 * @param {{slots?: string[], modifiers?: {[stat: string]: StatModifier}, requirements?: {stats?: {[stat: string]: number}, tags?: string[]}}} options
+	 * @param [options.slots] Slots the object can be equipped in (any one of them).
+	 * @param [options.modifiers] Modifiers added to the equipping object's stats.
+	 * @param [options.requirements] Minimum stat values (net) and tags the equipping object must have.
+	 * @example
+	 * sword._equippable.define({
+	 * 	slots: ['hand.right', 'hand.left'],
+	 * 	modifiers: { attack: { delta: 4 } },
+	 * 	requirements: { stats: { strength: 3 }, tags: ['TRAINED'] }
+	 * })
+	 */
+	define(options) {
+		HookModule.run('before:Equippable.instance.define', arguments, this)
+
+		RasPG.dev.validate.props('Equippable.instance.define.options', options, false, {
+			slots: 'string[]',
+			modifiers: 'object',
+			requirements: 'object'
+		})
+
+		if (options.slots)
+			this.#slots = Array.from(options.slots)
+		if (options.modifiers)
+			this.#modifiers = structuredClone(options.modifiers)
+		if (options.requirements)
+			this.#requirements = structuredClone(options.requirements)
+
+		HookModule.run('after:Equippable.instance.define', arguments, this)
+		return this
+	}
+	/** Returns whether the object fits the given slot.
+	 * @param {string} slot
+	 */
+	fits(slot) {
+		HookModule.run('Equippable.instance.fits', arguments, this)
+		return this.#slots.includes(slot)
+	}
+	/** Returns the requirements the given object doesn't meet to equip this one, as 'stat:<name>' and 'tag:<TAG>' entries. Empty, if all are met.
+	 * @param {GameObject} agent
+	 */
+	unmetRequirements(agent) {
+		HookModule.run('Equippable.instance.unmetRequirements', arguments, this)
+
+		const failed = []
+		for (const [stat, minimum] of Object.entries(this.#requirements.stats?? {}))
+			if (!agent.hasComponent(Statful) || !agent._stats.has(stat) || agent._stats.get(stat).net < minimum)
+				failed.push('stat:'+ stat)
+		for (const tag of this.#requirements.tags?? [])
+			if (!agent.tags.has(tag))
+				failed.push('tag:'+ tag)
+		return failed
+	}
+}
+
+//# Defaults
+CombatModule.registerFormula('hit', () => true)
+CombatModule.registerFormula('damage', (attacker) => CombatModule.statOf(attacker, 'attack'))
+CombatModule.registerFormula('defence', (defender, damage) => Math.max(0, damage - CombatModule.statOf(defender, 'defence')))
+CombatModule.registerFormula('flee', () => true)
+Agentive.registerAct('combat.attack', {
+	callback: (patient) => { CombatModule.attack(ContextModule.get('agent'), patient) },
+	predicate: (patient) => !!patient && CombatModule.isActive(ContextModule.get('agent')) && CombatModule.isActive(patient)
+})
+Agentive.registerAct('combat.flee', {
+	callback: () => { CombatModule.flee(ContextModule.get('agent')) },
+	predicate: () => CombatModule.isActive(ContextModule.get('agent'))
+})
+Agentive.registerAct('combat.surrender', {
+	callback: () => { CombatModule.surrender(ContextModule.get('agent')) },
+	predicate: () => CombatModule.isActive(ContextModule.get('agent'))
+})
+RasPG.runtime.turn.pipeline.register('combat', () => CombatModule.resolveRound(), { after: 'intent' })
+Action.registerGroup('equipment', [
+	['equip', (agent, item, slot) => {
+		RasPG.dev.validate.types('Action.equipment.equip', {
+			agent: [agent, 'GameObject'],
+			item: [item, 'GameObject | string'],
+			slot: [slot, 'string | undefined']
+		})
+
+		if (!agent.hasComponent(Equipment))
+			return false
+
+		return agent._equipment.equip(item, slot)
+	}],
+	['unequip', (agent, item) => {
+		RasPG.dev.validate.types('Action.equipment.unequip', {
+			agent: [agent, 'GameObject'],
+			item: [item, 'GameObject | string']
+		})
+
+		if (!agent.hasComponent(Equipment))
+			return false
+
+		return agent._equipment.unequip(item)
+	}]
+])
+//* Stat costs (i.e. `{stats: {stamina: 5}}`) are paid from the stats' base values, and afforded by their net values
+Action.registerCostType('stats', {
+	afford: (agent, amount) => Object.entries(amount).every(([stat, value]) => CombatModule.statOf(agent, stat) >= value),
+	pay: (agent, amount) => {
+		for (const [stat, value] of Object.entries(amount))
+			agent.component(Statful)?.modify(stat, -value)
+	}
+})
+Stringful.define({
+	'en.action.cost.stats': "You don't have the strength for that."
+})
+//* Equipped items leaving their wearer (dropped, moved, removed from the world) are unequipped
+EventModule.on('tangible.moved', (_, data) => {
+	if (!data.previous || data.previous === data.current || !data.object.hasComponent(Equippable))
+		return
+	const wearer = GameObject._all.get(GameObject._prefix + data.previous)
+	if (wearer?.hasComponent(Equipment) && wearer._equipment.isEquipped(data.object))
+		Action.perform('equipment.unequip', [wearer, data.object])
+})
+
 new Extension('Stats&Combat', {
 	author: 'Rasutei',
 	version: '0.0.0-dev',
 	description: 'An extension including resources for combat systems, such as stats and stat modifiers (e.g. HP, attack), and status effects (e.g. buffs/debuffs). Also includes a turn-based combat system module.',
 })
-	.addClass('StatType', StatType)
-	.addComponent('Statful', Statful)
-	.addComponent('Combatant', Combatant)
\ No newline at end of file
+	.addModule(CombatModule)
+	.addClass(StatType)
+	.addClass(StatusEffect)
+	.addComponent(Statful)
+	.addComponent(Combatant)
+	.addComponent(Equipment)
+	.addComponent(Equippable)
+
+//# Exports
+module.exports = { CombatModule, StatType, Stat, StatusEffect, Statful, Combatant, Equipment, Equippable }
@@ -0,0 +1,450 @@
+//* Registration
+const {
+	RasPG,
+	HookModule, ContextModule, SubTextModule, TemplateModule, ParserModule, MapModule, DescriptionModule,
+	GameObject, Action, Command, Extension,
+	Stringful, Describable, Tangible, Countable, Containing, Connected, Openable, Lockable, LightSource
+} = require('./raspg3.js')
+if (!RasPG)
+	throw new Error('[RasPG - StandardLibrary] Framework core missing'
+		+'\nMaybe incorrect import/load order')
+
+//# Module
+class StandardLibraryModule {
+	/** Returns the message under the given key (prefixed with 'stdlib.'), parsed by the SubTextModule. If an object is given, its own strings (and global strings for it) take precedence, so messages can be overridden per object, as well as globally.
+	 * @param {string} key
+	 * @param {GameObject} [object]
+	 */
+	static message(key, object) {
+		HookModule.run('StandardLibraryModule.message', arguments, this)
+
+		RasPG.dev.validate.types('StandardLibraryModule.message', {
+			key: [key, 'string'],
+			object: [object, 'GameObject | undefined']
+		})
+
+		const string = object?.hasComponent(Stringful)?
+			object._strings.get('stdlib.'+ key)
+			: Stringful.get('stdlib.'+ key)
+		if (!string)
+			return ''
+		return SubTextModule.parse(string)
+	}
+	/** Returns the name of an object (see `DescriptionModule.nameOf()`).
+	 * @param {GameObject} object
+	 */
+	static nameOf(object) {
+		HookModule.run('StandardLibraryModule.nameOf', arguments, this)
+
+		return DescriptionModule.nameOf(object)
+	}
+	/** Lists objects in a sentence (i.e. 'a lamp, two coins and a sword'), following the current locale (see `DescriptionModule.list()`).
+	 * @param {GameObject[]} objects
+	 */
+	static list(objects) {
+		HookModule.run('StandardLibraryModule.list', arguments, this)
+
+		return DescriptionModule.list(objects)
+	}
+	/** Returns an object holding the given amount of a Countable object. If it's less than the whole, the object is split: a new instance of its template gets the amount, and is placed in the same location. Objects that aren't Countable, or weren't instantiated from a template, are returned whole.
+	 * @param {GameObject} object
+	 * @param {number} [count] Defaults to the whole.
+	 */
+	static split(object, count) {
+		HookModule.run('before:StandardLibraryModule.split', arguments, this)
+
+		RasPG.dev.validate.types('StandardLibraryModule.split', {
+			object: [object, 'GameObject'],
+			count: [count, 'number | undefined']
+		})
+
+		if (count === undefined || !object.hasComponent(Countable) || count >= object._count.count)
+			return object
+		const template = TemplateModule.templateOf(object)
+		if (!template)
+			return object
+
+		const piece = TemplateModule.instantiate(template.name)
+		piece._count.set(count)
+		Action.perform('count.subtract', [object, count])
+		if (object._location.location)
+			Action.perform('movement.move', [piece, object._location.location])
+
+		HookModule.run('after:StandardLibraryModule.split', arguments, this)
+		return piece
+	}
+	/** Returns the location's name, followed by its description as composed by `DescriptionModule.compose()`, as shown by 'stdlib.look' (verbosely) and 'stdlib.go'.
+	 * @param {GameObject} agent
+	 * @param {{verbose?: boolean}} [options]
+	 * @param [options.verbose] Defaults to `false`. If `true`, the full description is used even if the location was visited.
+	 */
+	static describeLocation(agent, options) {
+		HookModule.run('StandardLibraryModule.describeLocation', arguments, this)
+
+		RasPG.dev.validate.type('StandardLibraryModule.describeLocation.agent', agent, 'GameObject')
+
+		const location = agent.component(Tangible)?.location
+		if (!location)
+			return [this.message('look.nowhere')]
+		if (!LightSource.canSee(agent, location))
+			return [this.message('look.dark', location)]
+
+		return [this.nameOf(location), ...DescriptionModule.compose(location, {
+			sensor: agent,
+			verbose: options?.verbose === true,
+			sentence: (listing, also) => this.#withListing(listing, () => this.message(also? 'look.also' : 'look.contents', location))
+		})]
+	}
+	/** Returns the place (a Connected object) the given noun phrase refers to, by its Describable nouns and adjectives (see `ParserModule.resolveNoun()`) or its whole name (i.e. 'the garden'), or `null`, if there's none, or several.
+	 * @param {string} phrase Normalized noun phrase.
+	 */
+	static findPlace(phrase) {
+		HookModule.run('StandardLibraryModule.findPlace', arguments, this)
+
+		RasPG.dev.validate.type('StandardLibraryModule.findPlace.phrase', phrase, 'string')
+
+		const articles = RasPG.utils.lang[RasPG.config.locale]?.articles?? []
+		const name = phrase.split(' ').filter(word => !articles.includes(word)).join(' ')
+		const places = Array.from(GameObject.all.values()).filter(object => object.hasComponent(Connected))
+		const found = new Set([
+			...ParserModule.resolveNoun(phrase, places),
+			...places.filter(place => this.nameOf(place).toLowerCase() === name)
+		])
+		return found.size === 1? [...found][0] : null
+	}
+	/** Runs the given function with the given listing under the 'listing' context label, used by the `%listing%` substitution. */
+	static #withListing(listing, fn) {
+		ContextModule.push({ listing })
+		const ret = fn()
+		ContextModule.pop(['listing'])
+		return ret
+	}
+	/** Registers the standard commands. Called once, when the extension is loaded; directions registered to the MapModule afterwards, and direction words of localization packs loaded afterwards (i.e. 'n' for north, in raspg-lpack-en.js), aren't understood by 'stdlib.go'. */
+	static registerCommands() {
+		new Command('stdlib.look', {
+			en: { pattern: /^(?:look|l)(?: around)?$/, filters: {} }
+		}, (match, objects, { agent, output }) => {
+			if (!agent)
+				return false
+			output.push(...this.describeLocation(agent, { verbose: true }))
+		})
+		new Command('stdlib.examine', {
+			en: { pattern: /^(?:examine|x|inspect|look at) (?<patient>.+)$/, filters: {
+				patient: object => object.hasComponent(Describable)
+			} }
+		}, (match, [patient], { output }) => {
+			const description = patient._description.description
+			output.push(description? SubTextModule.parse(description) : this.message('examine.nothingSpecial', patient))
+		})
+		new Command('stdlib.take', {
+			en: { pattern: /^(?:take|get|pick up) (?:(\d+) )?(?<patient>.+)$/, filters: {
+				patient: object => object.hasComponent(Tangible)
+			} }
+		}, (match, [patient], { agent, output }) => {
+			if (!agent?.hasComponent(Containing))
+				return false
+			if (patient._location.location === agent) {
+				output.push(this.message('take.alreadyHeld', patient))
+				return false
+			}
+			//? Fixed objects, and those the agent is in or on, can't be taken
+			if (patient.tags.has('FIXED') || agent._location?.locationArray.includes(patient)) {
+				output.push(this.message('take.fixed', patient))
+				return false
+			}
+
+			const piece = this.split(patient, match[1]? parseInt(match[1]) : undefined)
+			//? Actions tell why they failed, if they can
+			const taken = Action.attempt('container.add', [agent, piece])
+			if (!taken.success) {
+				output.push(Action.message(taken) || this.message('take.failed', patient))
+				return false
+			}
+			output.push(this.message('take.success', patient))
+		})
+		new Command('stdlib.drop', {
+			en: { pattern: /^(?:drop|put down|discard) (?:(\d+) )?(?<patient>.+)$/, filters: {
+				//? Only what the agent holds, so held objects win over similar ones around
+				patient: object => object.hasComponent(Tangible) && object._location.location === ContextModule.get('agent')
+			} }
+		}, (match, [patient], { agent, output }) => {
+			const location = agent?.component(Tangible)?.location
+			if (!location)
+				return false
+
+			const piece = this.split(patient, match[1]? parseInt(match[1]) : undefined)
+			const dropped = Action.attempt('container.transfer', [agent, location, piece])
+			if (!dropped.success) {
+				output.push(Action.message(dropped) || this.message('drop.failed', patient))
+				return false
+			}
+			output.push(this.message('drop.success', patient))
+		})
+		new Command('stdlib.put', {
+			en: { pattern: /^(?:put|place|insert) (?<patient>.+?) (?:in|into|inside) (?<container>.+)$/, filters: {
+				patient: object => object.hasComponent(Tangible),
+				container: object => object.hasComponent(Containing)
+			} }
+		}, (match, objects, { agent, slots: { patient, container }, output }) => {
+			if (!agent?.hasComponent(Containing))
+				return false
+			if (patient._location.location !== agent) {
+				output.push(this.message('put.notHeld', patient))
+				return false
+			}
+			if (patient === container || container._location?.locationArray.includes(patient)) {
+				output.push(this.message('put.self', patient))
+				return false
+			}
+			if (container.component(Openable)?.isOpen === false) {
+				output.push(this.message('put.closed', container))
+				return false
+			}
+			const put = Action.attempt('container.transfer', [agent, container, patient])
+			if (!put.success) {
+				output.push(Action.message(put) || this.message('put.failed', patient))
+				return false
+			}
+			output.push(this.message('put.success', patient))
+		})
+		new Command('stdlib.inventory', {
+			en: { pattern: /^(?:inventory|inv|i)$/, filters: {} }
+		}, (match, objects, { agent, output }) => {
+			if (!agent?.hasComponent(Containing))
+				return false
+			const carried = Array.from(agent._container.contents)
+			output.push(carried.length === 0?
+				this.message('inventory.empty', agent)
+				: this.#withListing(this.list(carried), () => this.message('inventory.contents', agent)))
+		})
+		new Command('stdlib.go', {
+			en: { pattern: new RegExp(`^(?:(?:go|walk|run) )?(${MapModule.directionWords('en').join('|')})$`), filters: {} }
+		}, (match, objects, { agent, output }) => {
+			const location = agent?.component(Tangible)?.location
+			if (!location)
+				return false
+			const result = MapModule.traverse(agent, MapModule.resolveDirection(match[1], 'en'))
+			if (result !== true) {
+				output.push(this.message('go.'+ result, location))
+				return false
+			}
+			output.push(...this.describeLocation(agent))
+		})
+		//* The route is found once, and followed until the place is reached, or an exit can't be passed
+		new Command('stdlib.goTo', {
+			en: { pattern: /^(?:go|walk|run|head) to (.+)$/, filters: {} }
+		}, (match, objects, { agent, output }) => {
+			const location = agent?.component(Tangible)?.location
+			if (!location)
+				return false
+			const place = this.findPlace(match[1])
+			if (!place) {
+				output.push(this.message('goTo.unknown', location))
+				return false
+			}
+			if (place === location) {
+				output.push(this.message('goTo.here', location))
+				return false
+			}
+			const route = MapModule.path(location, place, { agent })
+			if (!route) {
+				output.push(this.message('goTo.noPath', location))
+				return false
+			}
+			for (const { direction } of route) {
+				const result = MapModule.traverse(agent, direction)
+				if (result !== true) {
+					output.push(this.message('go.'+ result, agent._location.location))
+					return false
+				}
+			}
+			output.push(...this.describeLocation(agent))
+		})
+		new Command('stdlib.open', {
+			en: { pattern: /^open (?<patient>.+)$/, filters: {
+				patient: object => object.hasComponent(Openable)
+			} }
+		}, (match, [patient], { output }) => {
+			if (patient._openable.isOpen) {
+				output.push(this.message('open.already', patient))
+				return false
+			}
+			if (patient.component(Lockable)?.locked) {
+				output.push(this.message('open.locked', patient))
+				return false
+			}
+			if (!Action.perform('openable.open', [patient])) {
+				output.push(this.message('open.failed', patient))
+				return false
+			}
+			output.push(this.message('open.success', patient))
+		})
+		new Command('stdlib.close', {
+			en: { pattern: /^(?:close|shut) (?<patient>.+)$/, filters: {
+				patient: object => object.hasComponent(Openable)
+			} }
+		}, (match, [patient], { output }) => {
+			if (!patient._openable.isOpen) {
+				output.push(this.message('close.already', patient))
+				return false
+			}
+			if (!Action.perform('openable.close', [patient])) {
+				output.push(this.message('close.failed', patient))
+				return false
+			}
+			output.push(this.message('close.success', patient))
+		})
+		new Command('stdlib.lock', {
+			en: { pattern: /^lock (?<patient>.+?) with (?<instrument>.+)$/, filters: {
+				patient: object => object.hasComponent(Lockable),
+				instrument: object => object.hasComponent(Tangible)
+			} }
+		}, (match, objects, { agent, slots: { patient, instrument }, output }) => {
+			if (instrument._location.location !== agent) {
+				output.push(this.message('lock.notHeld', instrument))
+				return false
+			}
+			if (patient._lock.locked) {
+				output.push(this.message('lock.already', patient))
+				return false
+			}
+			if (patient._openable.isOpen) {
+				output.push(this.message('lock.open', patient))
+				return false
+			}
+			if (!Action.perform('lockable.lock', [patient, instrument])) {
+				output.push(this.message('lock.wrongKey', patient))
+				return false
+			}
+			output.push(this.message('lock.success', patient))
+		})
+		new Command('stdlib.unlock', {
+			en: { pattern: /^unlock (?<patient>.+?) with (?<instrument>.+)$/, filters: {
+				patient: object => object.hasComponent(Lockable),
+				instrument: object => object.hasComponent(Tangible)
+			} }
+		}, (match, objects, { agent, slots: { patient, instrument }, output }) => {
+			if (instrument._location.location !== agent) {
+				output.push(this.message('unlock.notHeld', instrument))
+				return false
+			}
+			if (!patient._lock.locked) {
+				output.push(this.message('unlock.already', patient))
+				return false
+			}
+			if (!Action.perform('lockable.unlock', [patient, instrument])) {
+				output.push(this.message('unlock.wrongKey', patient))
+				return false
+			}
+			output.push(this.message('unlock.success', patient))
+		})
+		new Command('stdlib.light', {
+			en: { pattern: /^(?:light|turn on|switch on) (?<patient>.+)$/, filters: {
+				patient: object => object.hasComponent(LightSource)
+			} }
+		}, (match, [patient], { agent, output }) => {
+			if (patient._light.lit) {
+				output.push(this.message('light.already', patient))
+				return false
+			}
+			const dark = agent && !LightSource.canSee(agent)
+			const lit = Action.attempt('lightSource.light', [patient])
+			if (!lit.success) {
+				output.push(Action.message(lit) || this.message('light.failed', patient))
+				return false
+			}
+			output.push(this.message('light.success', patient))
+			//? Lighting up a dark place reveals it
+			if (dark && LightSource.canSee(agent))
+				output.push(...this.describeLocation(agent))
+		})
+		new Command('stdlib.extinguish', {
+			en: { pattern: /^(?:extinguish|put out|blow out|turn off|switch off) (?<patient>.+)$/, filters: {
+				patient: object => object.hasComponent(LightSource)
+			} }
+		}, (match, [patient], { agent, output }) => {
+			if (!patient._light.lit) {
+				output.push(this.message('extinguish.already', patient))
+				return false
+			}
+			if (!Action.perform('lightSource.extinguish', [patient])) {
+				output.push(this.message('extinguish.failed', patient))
+				return false
+			}
+			output.push(this.message('extinguish.success', patient))
+			if (agent && !LightSource.canSee(agent))
+				output.push(this.message('extinguish.dark'))
+		})
+		new Command('stdlib.wait', {
+			en: { pattern: /^(?:wait|z)$/, filters: {} }
+		}, (match, objects, { output }) => {
+			output.push(this.message('wait'))
+		})
+	}
+}
+
+//# Defaults
+SubTextModule.registerSubstitution('listing', () => ContextModule.get('listing'))
+Stringful.define({
+	'en.stdlib.look.nowhere': 'You are nowhere at all.',
+	'en.stdlib.look.contents': 'You can see %listing% here.',
+	'en.stdlib.look.also': 'You also see %listing%.',
+	'en.stdlib.look.dark': "It is pitch dark. You can't see a thing.",
+	'en.stdlib.examine.nothingSpecial': 'You see nothing special about the %patient.desc.name%.',
+	'en.stdlib.take.success': 'Taken.',
+	'en.stdlib.take.alreadyHeld': 'You already have the %patient.desc.name%.',
+	'en.stdlib.take.fixed': "The %patient.desc.name% won't budge.",
+	'en.stdlib.take.failed': "You can't take the %patient.desc.name%.",
+	'en.stdlib.drop.success': 'Dropped.',
+	'en.stdlib.drop.failed': "You can't drop the %patient.desc.name% here.",
+	'en.stdlib.put.success': 'You put the %patient.desc.name% in the %container.desc.name%.',
+	'en.stdlib.put.notHeld': "You don't have the %patient.desc.name%.",
+	'en.stdlib.put.self': "You can't put the %patient.desc.name% inside itself.",
+	'en.stdlib.put.closed': 'The %container.desc.name% is closed.',
+	'en.stdlib.put.failed': "The %patient.desc.name% won't fit in the %container.desc.name%.",
+	'en.stdlib.inventory.contents': 'You are carrying %listing%.',
+	'en.stdlib.inventory.empty': 'You are empty-handed.',
+	'en.stdlib.go.noExit': "You can't go that way.",
+	'en.stdlib.go.locked': 'The way is locked.',
+	'en.stdlib.go.closed': 'The way is closed.',
+	'en.stdlib.go.blocked': 'Something keeps you from going that way.',
+	'en.stdlib.go.failed': "You can't go there right now.",
+	'en.stdlib.goTo.unknown': "You don't know of any such place.",
+	'en.stdlib.goTo.here': "You're already here.",
+	'en.stdlib.goTo.noPath': "You can't find a way there from here.",
+	'en.stdlib.open.success': 'You open the %patient.desc.name%.',
+	'en.stdlib.open.already': 'The %patient.desc.name% is already open.',
+	'en.stdlib.open.locked': 'The %patient.desc.name% is locked.',
+	'en.stdlib.open.failed': "The %patient.desc.name% won't open.",
+	'en.stdlib.close.success': 'You close the %patient.desc.name%.',
+	'en.stdlib.close.already': 'The %patient.desc.name% is already closed.',
+	'en.stdlib.close.failed': "The %patient.desc.name% won't close.",
+	'en.stdlib.lock.success': 'You lock the %patient.desc.name%.',
+	'en.stdlib.lock.already': 'The %patient.desc.name% is already locked.',
+	'en.stdlib.lock.open': "You'll have to close the %patient.desc.name% first.",
+	'en.stdlib.lock.wrongKey': "The %instrument.desc.name% doesn't fit the %patient.desc.name%.",
+	'en.stdlib.lock.notHeld': "You don't have the %instrument.desc.name%.",
+	'en.stdlib.unlock.success': 'You unlock the %patient.desc.name%.',
+	'en.stdlib.unlock.already': "The %patient.desc.name% isn't locked.",
+	'en.stdlib.unlock.wrongKey': "The %instrument.desc.name% doesn't fit the %patient.desc.name%.",
+	'en.stdlib.unlock.notHeld': "You don't have the %instrument.desc.name%.",
+	'en.stdlib.light.success': 'You light the %patient.desc.name%.',
+	'en.stdlib.light.already': 'The %patient.desc.name% is already lit.',
+	'en.stdlib.light.failed': "The %patient.desc.name% won't light.",
+	'en.stdlib.extinguish.success': 'You put out the %patient.desc.name%.',
+	'en.stdlib.extinguish.already': "The %patient.desc.name% isn't lit.",
+	'en.stdlib.extinguish.failed': "The %patient.desc.name% won't go out.",
+	'en.stdlib.extinguish.dark': 'It is now pitch dark.',
+	'en.stdlib.wait': 'Time passes.',
+})
+StandardLibraryModule.registerCommands()
+
+new Extension('StandardLibrary', {
+	author: 'Rasutei',
+	version: '0.0.0-dev',
+	description: 'An extension registering the standard interactive fiction commands (look, examine, take, drop, put in, inventory, go, go to, open, close, lock, unlock, light, extinguish and wait) with English matchers, wired to the core Action groups. All messages are Stringful strings under "stdlib.", and can be overridden globally or per object.',
+})
+	.addModule(StandardLibraryModule)
+
+//# Exports
+module.exports = { StandardLibraryModule }
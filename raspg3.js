@@ -3,8 +3,22 @@
 /** @typedef {(owner: GameObject, data: EventData) => void} EventCallback */
 /** @typedef {{object: GameObject, property: string, previous: any, current: any}} EventData */
 /** @typedef {{context: PerceptionContext, description: string | PerceptionDescriptionFunction}} Perception */
-/** @typedef {string | 'superficial' | 'direct' | 'inContainer' | 'inRoom' | 'adjacentRoom' | 'onObject'} PerceptionContext */
+/** @typedef {string | 'superficial' | 'direct' | 'inContainer' | 'inRoom' | 'adjacentRoom' | 'distant' | 'onObject'} PerceptionContext */
 /** @typedef {(sensor: GameObject, target: GameObject) => string} PerceptionDescriptionFunction */
+/** @typedef {{act: string, patient?: GameObject | string, instrument?: GameObject | string, priority?: number} | {input: string, priority?: number}} Intent */
+/** @typedef {{act: string, patient?: GameObject | string, instrument?: GameObject | string, priority?: number, reason: string, scores?: {[option: string]: number}}} WillDecision */
+/** @typedef {(agent: GameObject, config: object, memory: object, random: () => number) => WillDecision | null} WillStrategy */
+/** @typedef {{state: string, equals?: any, of?: 'agent' | 'patient', weight?: number} | {stat: string, of?: 'agent' | 'patient', weight?: number} | {sense: string, context?: PerceptionContext, of?: 'agent' | 'patient', weight?: number} | ((agent: GameObject, patient?: GameObject) => number)} Consideration */
+/** @typedef {{number?: string, gender?: string[]}} ReferenceSpec */
+/** @typedef {{senses?: (agent: GameObject, senses: Set<string>) => void, enter?: (agent: GameObject, container: GameObject, senses: Set<string>) => boolean, visible?: (agent: GameObject, object: GameObject, senses: Set<string>) => boolean, extend?: (agent: GameObject, senses: Set<string>) => GameObject[]}} ScopeRule */
+/** @typedef {{to: string, door?: {object: string, state?: string, equals?: boolean | number}, guard?: (agent: GameObject, from: GameObject, to: GameObject) => boolean, cost?: number}} Exit */
+/** @typedef {{input: string, success: boolean, command: string | null, reason: null | 'empty' | 'unknownCommand' | 'unknownObject' | 'ambiguous' | 'filtered' | 'failed' | 'nothingToRepeat' | 'nothingToUndo' | 'notPerformed', slots: {[slot: string]: GameObject | GameObject[]}, output: string[], fragments: OutputFragment[], slot?: string, text?: string, candidates?: GameObject[], failure?: ActionResult}} ParseResult */
+/** @typedef {{success: boolean, action: string | null, reason: string | null, key: string | null, context: {[label: string]: any}, rule?: string, cost?: {[type: string]: any}}} ActionResult */
+/** @typedef {'check' | 'before' | 'instead' | 'carryOut' | 'after' | 'report'} ActionStage */
+/** @typedef {{action: string | string[], stage: ActionStage, callback: (args: any[], info: {action: string, stage: ActionStage, agent?: GameObject, result?: ActionResult}) => boolean | ActionResult | void, priority?: number, tag?: string, object?: GameObject | string}} ActionRule */
+/** @typedef {{text: string, channel: string | 'narration' | 'error' | 'system' | 'debug', priority: number, key?: string}} OutputFragment */
+/** @typedef {{success: boolean, slot: string, applied: {target: string, version: string, description: string}[], failed: {target: string, version: string, description: string, error: string} | null, save: {metadata: Object, world: Object} | null}} MigrationReport */
+/** @typedef {{data: ReturnType<typeof SaveModule.serialize>, functions: Function[], objects: GameObject[], registry: Map<string, GameObject>}} WorldSnapshot */
 
 //# Prototype mutations
 if (!Set.prototype.find) {
@@ -44,17 +58,31 @@ class RasPG {
 		logWarnings: true,
 		logErrors: true,
 		serializeFunctions: false,
+		serializeTemplateDeltas: true,
+		gameVersion: '0.0.0',
 		components: {
 			containing: {
 				allowSameBaseID: true,
 				strictRemove: true,
 				strictHas: true,
 			},
+			lightSource: {
+				/** Light level of locations without a 'light' state of their own, or inherited. */
+				ambient: 1,
+				/** Light level needed for the 'sight' sense to work. */
+				threshold: 1,
+			},
+			perceptible: {
+				/** Intensity stimuli lose as they spread; see `Perceptible.propagate()`. */
+				attenuation: { hop: 1, closed: 2, locked: 3, guarded: 1 },
+			},
 		}
 	}
 	static utils = {
 		lang: {
 			en: {
+				/** Words ignored by the parser when resolving noun phrases. */
+				articles: ['the', 'a', 'an', 'some'],
 				/** Takes a trimmed string containing a noun and returns it with an/a, depending on first letter.
 				 * @param {string} noun
 				 */
@@ -148,11 +176,128 @@ class RasPG {
 			 * @param {string} version
 			 */
 			split(version) {
-				const matches = version.match(/(\d)\.(\d)\.(\d)(?:-(\w*))?/)
+				const matches = version.match(/(\d+)\.(\d+)\.(\d+)(?:-(\w*))?/)
 				if (!matches)
 					return false
 				const [_, major, minor, patch, branch] = matches
 				return {major: +major, minor: +minor, patch: +patch, branch: branch || undefined}
+			},
+			/** Compares two versions by major, minor and patch numbers. Returns a negative number, if `a` is older, a positive number, if newer, and `0`, if equal. Branches are not taken into account.
+			 * @param {string} a
+			 * @param {string} b
+			 */
+			compare(a, b) {
+				const splitA = this.split(a)
+				const splitB = this.split(b)
+				if (!splitA || !splitB)
+					throw new Error(`[RasPG - Core] Malformed versioning on comparison: "${!splitA? a : b}"`
+						+'\nRequired format: MAJOR.MINOR.PATCH[-BRANCH]')
+				return (splitA.major - splitB.major)
+					|| (splitA.minor - splitB.minor)
+					|| (splitA.patch - splitB.patch)
+			}
+		},
+		delta: {
+			/** Returns whether two JSON-compatible values are deeply equal.
+			 * @param {any} a
+			 * @param {any} b
+			 */
+			equal(a, b) {
+				if (a === b)
+					return true
+				if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null)
+					return false
+				if (Array.isArray(a) !== Array.isArray(b))
+					return false
+				const keysA = Object.keys(a)
+				const keysB = Object.keys(b)
+				if (keysA.length !== keysB.length)
+					return false
+				return keysA.every(key => key in b && this.equal(a[key], b[key]))
+			},
+			/** Returns the differences between two JSON-compatible values, or `undefined`, if they are equal. Plain objects are compared per key, recursively, resulting in `{$patch: {[key]: delta}, $removed: string[]}`; any other changed value is replaced whole.
+			 * @param {any} base
+			 * @param {any} current
+			 */
+			diff(base, current) {
+				if (this.equal(base, current))
+					return undefined
+				if (!isPlainObject(base) || !isPlainObject(current))
+					return structuredClone(current)
+
+				const delta = { $patch: {}, $removed: [] }
+				for (const key in current) {
+					const inner = this.diff(base[key], current[key])
+					if (inner !== undefined)
+						delta.$patch[key] = inner
+				}
+				for (const key in base)
+					if (!(key in current))
+						delta.$removed.push(key)
+				return delta
+
+				function isPlainObject(value) {
+					return typeof value === 'object' && value !== null && !Array.isArray(value)
+				}
+			},
+			/** Applies a delta returned by `diff()` to the base value, returning the result. Does not mutate the base value.
+			 * @param {any} base
+			 * @param {any} delta
+			 */
+			patch(base, delta) {
+				if (delta === undefined)
+					return structuredClone(base)
+				if (typeof delta !== 'object' || delta === null || !('$patch' in delta))
+					return structuredClone(delta)
+
+				const result = structuredClone(base)?? {}
+				for (const [key, inner] of Object.entries(delta.$patch))
+					result[key] = this.patch(result[key], inner)
+				for (const key of delta.$removed?? [])
+					delete result[key]
+				return result
+			},
+			/** Returns the differences between two arrays treated as sets, or `undefined`, if they hold the same elements.
+			 * @param {any[]} base
+			 * @param {any[]} current
+			 */
+			diffSet(base, current) {
+				const added = current.filter(e => !base.includes(e))
+				const removed = base.filter(e => !current.includes(e))
+				if (added.length === 0 && removed.length === 0)
+					return undefined
+				return { $added: added, $removed: removed }
+			},
+			/** Applies a delta returned by `diffSet()` to the base array, returning the result. Does not mutate the base array.
+			 * @param {any[]} base
+			 * @param {{$added: any[], $removed: any[]} | undefined} delta
+			 */
+			patchSet(base, delta) {
+				if (!delta)
+					return Array.from(base)
+				return base
+					.filter(e => !delta.$removed.includes(e))
+					.concat(delta.$added)
+			}
+		},
+		random: {
+			/** Hashes a number or string into a 32-bit state for `next()`.
+			 * @param {number | string} seed
+			 */
+			seed(seed) {
+				let hash = 2166136261
+				for (const char of String(seed))
+					hash = Math.imul(hash ^ char.charCodeAt(0), 16777619)
+				return hash | 0
+			},
+			/** Advances a seeded pseudo-random number generator (mulberry32) by one step. Returns the generated number, in [0, 1), and the generator's next state. The state is a plain number, so it can be stored and serialized as is.
+			 * @param {number} state
+			 */
+			next(state) {
+				const next = (state + 0x6D2B79F5) | 0
+				let t = Math.imul(next ^ (next >>> 15), next | 1)
+				t = (t + Math.imul(t ^ (t >>> 7), t | 61)) ^ t
+				return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: next }
 			}
 		},
 		/**
@@ -184,8 +329,13 @@ class RasPG {
 				}),
 		},
 		turn: {
+			/** Number of the turn currently being (or last) resolved. `0` before the first turn. */
 			counter: 0,
+			/** @type {Map<string, ({callback: Function, end: number, predicate?: () => boolean} | {callback: Function, delay: number, predicate?: () => boolean, repeat: number})[]>} */
 			queued: new Map(),
+			paused: false,
+			/** Index of the next turn phase to be resolved in the pipeline, or `null`, if no turn is in progress. */
+			currentPhase: null,
 			/** Schedules a function to be called after a number of turns, with many parameters.
 			 * @param {Function} callback
 			 * @param {{delay: number, on?: 'zero' | 'tick', phase?: string|'preparation'|'before'|'intent'|'after'|'cleanup', predicate?: () => boolean, repeat?: number}} options
@@ -208,7 +358,9 @@ class RasPG {
 
 				const scheduleTurn = this.counter + options.delay
 				const queueKey = `${(('on' in options) && options.on === 'tick')? 'tick' : scheduleTurn}:${options.phase || 'before'}`
-				const queue = this.queued.get(queueKey)?? this.queued.set(queueKey, [])
+				if (!this.queued.has(queueKey))
+					this.queued.set(queueKey, [])
+				const queue = this.queued.get(queueKey)
 				if (('on' in options) && options.on === 'tick')
 					queue.push({
 						callback,
@@ -242,56 +394,104 @@ class RasPG {
 				if (!queue)
 					return
 				for (const item of Array.from(queue)) {
-					if (predicate === undefined || predicate())
-						item.callback()
-					else if (key !== 'tick')
-						this.queued.get(`${+key + 1}:${phase}`).push(item)
+					const ready = item.predicate === undefined || item.predicate()
+
 					if (key === 'tick') {
-						if (item.end === this.counter)
-							queue.splice(queue.indexOf(item), 1)
-					} else {
-						if (item.repeat > 0) {
-							item.repeat -= 1
-							this.schedule(item.callback, Object.assign({on: 'zero', phase}, item))
-						} else
+						if (ready)
+							item.callback()
+						if (item.end <= this.counter)
 							queue.splice(queue.indexOf(item), 1)
+						continue
+					}
+
+					queue.splice(queue.indexOf(item), 1)
+					//? Predicate not met: delay call by a turn
+					if (!ready) {
+						const nextKey = `${key + 1}:${phase}`
+						if (!this.queued.has(nextKey))
+							this.queued.set(nextKey, [])
+						this.queued.get(nextKey).push(item)
+						continue
+					}
+					item.callback()
+					if (item.repeat > 0) {
+						const options = { delay: item.delay, phase, repeat: item.repeat - 1 }
+						if (item.predicate)
+							options.predicate = item.predicate
+						this.schedule(item.callback, options)
 					}
 				}
+				if (queue.length === 0)
+					this.queued.delete(`${key}:${phase}`)
 
 				HookModule.run('after:Turn.runScheduled', arguments, this)
 			},
 			pipeline: {
 				/** @type {{name: string, run: Function, appended: {callback: Function, once: boolean}[]}[]} */
 				phases: [],
-				/** Registers a turn phase into the turn resolution pipeline. In `options`, if `before` is passed, `after` will be ignored - they are mutually exclusive.
+				/** Registers a turn phase into the turn resolution pipeline. In `options`, if `before` is passed, `after` will be ignored - they are mutually exclusive. If neither is passed, the phase is placed at the end of the pipeline.
 				 *
 				 * 'before:' and 'after:' hooks will be run around each phase during turn resolution.
 				 * @param {string} name Convention: no spaces, camelCase.
 				 * @param {Function} fn Function that performs the necessary operations.
-				 * @param {{before?: string, after?: string}} options
+				 * @param {{before?: string, after?: string}} [options]
 				 * @param {{string}} [options.before] Existing turn phase before which it should be placed.
 				 * @param {{string}} [options.after] Existing turn phase after which it should be placed.
 				 */
 				register(name, fn, options) {
 					HookModule.run('before:Turn.pipeline.register', arguments, this)
 
+					RasPG.dev.validate.types('Turn.pipeline.register', {
+						name: [name, 'string'],
+						fn: [fn, 'function'],
+					})
 					RasPG.dev.validate.props('Turn.pipeline.register.options', options, false, {
 						before: 'string',
 						after: 'string'
 					})
 					if (this.phases.some(p => p.name === name))
 						throw RasPG.dev.exceptions.GeneralIDConflict('Turn.pipeline.phases', name)
-					if (options.before && !this.phases.find(e => e.name === options.before))
+					if (options?.before && !this.phases.find(e => e.name === options.before))
 						throw new Error(`[RasPG - Core] Turn phase "${options.before}" not found`
 							+'\nMaybe typo, not registered, or wrong operation order')
-					else if (options.after && !this.phases.find(e => e.name === options.after))
+					else if (options?.after && !this.phases.find(e => e.name === options.after))
 						throw new Error(`[RasPG - Core] Turn phase "${options.after}" not found`
 							+'\nMaybe typo, not registered, or wrong operation order')
 
+					let index = this.phases.length
+					if (options?.before)
+						index = this.phases.findIndex(e => e.name === options.before)
+					else if (options?.after)
+						index = this.phases.findIndex(e => e.name === options.after) + 1
 					this.phases.splice(index, 0, { name, run: fn, appended: [] })
 
 					HookModule.run('after:Turn.pipeline.register', arguments, this)
 				},
+				/** Appends a callback to the given turn phase, to be called after its resolution and scheduled functions. Returns `true`, if successful, and `false`, if the phase isn't registered.
+				 * @param {string} name
+				 * @param {Function} callback
+				 * @param {{once?: boolean}} [options]
+				 * @param [options.once] If `true`, the callback is removed after being called once.
+				 */
+				append(name, callback, options) {
+					HookModule.run('before:Turn.pipeline.append', arguments, this)
+
+					RasPG.dev.validate.types('Turn.pipeline.append', {
+						name: [name, 'string'],
+						callback: [callback, 'function'],
+					})
+					RasPG.dev.validate.props('Turn.pipeline.append.options', options, false, {
+						once: 'boolean'
+					})
+					const phase = this.phases.find(e => e.name === name)
+					if (!phase)
+						return RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Turn.pipeline.phases')
+
+					phase.appended.push({ callback, once: options?.once === true })
+
+					HookModule.run('after:Turn.pipeline.append', arguments, this)
+					return true
+				},
 				/** Reorders turn phases in the pipeline to reflect the given array. Must contain all defined turn phases.
 				 * @param {string[]} order
 				 */
@@ -306,7 +506,7 @@ class RasPG {
 
 					HookModule.run('after:Turn.pipeline.reorder', arguments, this)
 				},
-				/** Runs the given turn phase resolution, and any appended callbacks.
+				/** Runs the given turn phase resolution, then functions scheduled for it (on tick, then on the current turn), and then any appended callbacks.
 				 * @param {string} name
 				 */
 				run(name) {
@@ -318,6 +518,8 @@ class RasPG {
 
 					HookModule.run('before:Turn.phase:'+ name, arguments, this)
 					phase.run()
+					RasPG.runtime.turn.runScheduled('tick', name)
+					RasPG.runtime.turn.runScheduled(RasPG.runtime.turn.counter, name)
 					for (const appendix of Array.from(phase.appended)) {
 						appendix.callback()
 						if (appendix.once)
@@ -328,21 +530,72 @@ class RasPG {
 					HookModule.run('after:Turn.pipeline.run', arguments, this)
 				}
 			},
-			tick() {
-				HookModule.run('before:Turn.tick', arguments, this)
+			/** Pauses turn resolution; `tick()` and `step()` become no-ops until `resume()` is called. Returns `false`, if already paused (no-op), and `true`, otherwise. */
+			pause() {
+				HookModule.run('before:Turn.pause', arguments, this)
 
-				this.runScheduled('tick', 'before')
-				this.runScheduled(this.counter, 'before')
+				if (this.paused)
+					return false
+				this.paused = true
+
+				EventModule.emit('turn.paused', { object: this, label: 'runtime.turn', turn: this.counter })
+				HookModule.run('after:Turn.pause', arguments, this)
+				return true
+			},
+			/** Resumes turn resolution. Returns `false`, if not paused (no-op), and `true`, otherwise. */
+			resume() {
+				HookModule.run('before:Turn.resume', arguments, this)
+
+				if (!this.paused)
+					return false
+				this.paused = false
+
+				EventModule.emit('turn.resumed', { object: this, label: 'runtime.turn', turn: this.counter })
+				HookModule.run('after:Turn.resume', arguments, this)
+				return true
+			},
+			/** Resolves the next turn phase in the pipeline. If no turn is in progress, starts a new one, advancing the counter. Returns the name of the resolved phase, or `false`, if paused. */
+			step() {
+				HookModule.run('before:Turn.step', arguments, this)
+
+				if (this.paused)
+					return false
+
+				if (this.currentPhase === null) {
+					this.counter++
+					this.currentPhase = 0
+					EventModule.emit('turn.started', { object: this, label: 'runtime.turn', turn: this.counter })
+				}
 
-				for (const phase of this.pipeline.phases)
+				const phase = this.pipeline.phases[this.currentPhase]
+				if (phase)
 					this.pipeline.run(phase.name)
+				this.currentPhase++
+
+				if (this.currentPhase >= this.pipeline.phases.length) {
+					this.currentPhase = null
+					EventModule.emit('turn.ended', { object: this, label: 'runtime.turn', turn: this.counter })
+				}
+
+				HookModule.run('after:Turn.step', arguments, this)
+				return phase?.name
+			},
+			/** Resolves a full turn (or the rest of the one in progress), running every phase in the pipeline in order. Returns `true`, if successful, and `false`, if paused. */
+			tick() {
+				HookModule.run('before:Turn.tick', arguments, this)
+
+				if (this.paused)
+					return false
 
-				this.runScheduled(this.counter, 'after')
-				this.runScheduled('tick', 'after')
+				do
+					this.step()
+				while (this.currentPhase !== null && !this.paused)
 
 				HookModule.run('after:Turn.tick', arguments, this)
+				return true
 			}
 		},
+		/** @type {typeof SaveModule} */
 		saveModule: undefined,
 		modules: new Map(),
 		classes: new Map(),
@@ -369,6 +622,10 @@ class RasPG {
 				+'\nMaybe typo or forgot to pass'),
 			DeserializerMissingComponent: (component) => new Error(`[RasPG][DeserializerMissingComponent] Deserialization error: missing component "${component}"`
 				+'\nMaybe typo, got renamed, or from missing extension'),
+			DeserializerMissingTemplate: (template) => new Error(`[RasPG][DeserializerMissingTemplate] Deserialization error: missing template "${template}"`
+				+'\nMaybe typo, got renamed, or not yet registered at this line'),
+			DeserializerMissingClass: (clss) => new Error(`[RasPG][DeserializerMissingClass] Deserialization error: missing class "${clss}"`
+				+'\nMaybe typo, got renamed, not registered, or from missing extension'),
 			BrokenStringFormat: (string, format) => new Error(`[RasPG][BrokenStringFormat] String format broken: "${string}" must conform to "${format}"`
 				+'\nMaybe typo, maybe forgot; often enforced for good reasons'),
 			TemplateReferenceViolation: (domainPath, reference) => new Error(`[RasPG][TemplateReferenceViolation] Attempted operation "${domainPath}" during templating includes reference "${reference}", which would incur an exclusive relationship between static object and template instance`
@@ -411,6 +668,12 @@ class RasPG {
 						+'\nLikely a conflict between extensions; consider manually changing one of the components\' reference, or using GameObject.instance.component(Component)')
 				return false
 			},
+			migrationFailed: (target, version, slot, error) => {
+				if (RasPG.config.logErrors)
+					console.error(`[RasPG][migrationFailed] Migration "${target}@${version}" failed while loading save "${slot}": ${error}`
+						+'\nConsult SaveModule.lastMigrationReport for details; the save was left unloaded')
+				return false
+			},
 		},
 		validate: {
 			/** Throws an exception if the value is mistyped. Supports all `typeof` returns, string literals (with ' or "), arrays of type (`type[]` or `Array<type>`) with ors (`Array<type1 | type2>`), RegExp instances, and instances and subclasses of any registered classes and components, as well as themselves.
@@ -453,11 +716,12 @@ class RasPG {
 								if (clss)
 									return clss.isPrototypeOf(val) || val === clss
 							}
-							if (typeStr.match(/^[A-Z]/))
-								return val instanceof RasPG.runtime.components.get(typeStr)
-									|| val instanceof RasPG.runtime.classes.get(typeStr)
-									|| RasPG.runtime.components.get(typeStr)?.isPrototypeOf(val.prototype)
-									|| RasPG.runtime.classes.get(typeStr)?.isPrototypeOf(val.prototype)
+							if (typeStr.match(/^[A-Z]/)) {
+								const component = RasPG.runtime.components.get(typeStr)
+								const clss = RasPG.runtime.classes.get(typeStr)
+								return (!!component && (val instanceof component || component.isPrototypeOf(val?.prototype)))
+									|| (!!clss && (val instanceof clss || clss.isPrototypeOf(val?.prototype)))
+							}
 							if (typeStr.match(/(['"])([^'"\n]+)\1/))
 								return (typeof val === 'string' && val === typeStr.match(/(['"])([^'"\n]+)\1/)[2])
 							return typeof val === typeStr
@@ -509,7 +773,7 @@ class RasPG {
 					if (prop in object)
 						this.type(path+'.'+prop, object[prop], typeSpec)
 				if (wild)
-					for (const [prop, value] of Object.entries(object).filter(([prop, _]) => !(prop in required) && !(prop in optional)))
+					for (const [prop, value] of Object.entries(object).filter(([prop, _]) => !(required && prop in required) && !(prop in optional)))
 						this.type(path+'.'+prop, value, wild)
 
 				return true
@@ -684,6 +948,131 @@ class RasPG {
 	}
 }
 
+//# Base classes
+class RegistryBase {
+	/** @type {Map<string, any>} */
+	static _all = new Map()
+	static _prefix = ''
+	_id
+
+	static get all() {
+		return new Map(this._all)
+	}
+
+	get id() {
+		return this._id.slice(this.constructor._prefix.length)
+	}
+	get baseID() {
+		const match = this.id.match(/^(.+?)__i\d+$/)
+		if (match)
+			return match[1]
+		else return this._id
+	}
+
+	/** Registers an element under a unique ID in the registry.
+	 * @param {string} id
+	 * @param {any} value
+	 */
+	static register(id, value) {
+		HookModule.run('before:RegistryBase.register', arguments, this)
+
+		RasPG.dev.validate.type('RegistryBase.register.id', id, 'string')
+
+		if (this._all.has(this._prefix+id))
+			throw RasPG.dev.exceptions.GeneralIDConflict('RegistryBase.#all', id)
+
+		value._id = this._prefix+id
+		this._all.set(this._prefix+id, value)
+
+		HookModule.run('after:RegistryBase.register', arguments, this)
+		return this
+	}
+	/** Unregisters (essentially deletes) an element under a unique ID in the registry.
+	 * @param {string} id
+	 * @param {any} value
+	 */
+	static unregister(id) {
+		HookModule.run('before:RegistryBase.unregister', arguments, this)
+
+		RasPG.dev.validate.type('RegistryBase.unregister.id', id, 'string')
+
+		if (!this._all.has(this._prefix+id))
+			throw RasPG.dev.logs.elementNotRegisteredInCollection(id, 'RegistryBase.#all')
+
+		this._all.delete(this._prefix+id)
+
+		HookModule.run('after:RegistryBase.unregister', arguments, this)
+		return this
+	}
+	/** Returns an element by exact ID, `null`, if not found.
+	 * @param {string} id
+	 * @returns {any | null}
+	 */
+	static getByID(id) {
+		HookModule.run('RegistryBase.getByID', arguments, this)
+
+		RasPG.dev.validate.type('RegistryBase.getByID.id', id, 'string')
+
+		const ret = this._all.get(this._prefix+id)?? Array.from(this._all.values()).find(e => e.id === id)
+		if (ret)
+			return ret
+		RasPG.dev.logs.elementNotRegisteredInCollection(id, 'RegistryBase.#all')
+		return null
+	}
+	/** Returns an array containing all elements with the given baseID.
+	 * @param {string} baseID
+	 */
+	static getAllByBaseID(baseID) {
+		HookModule.run('RegistryBase.getByBaseID', arguments, this)
+
+		RasPG.dev.validate.type('RegistryBase.getByBaseID.id', baseID, 'string')
+
+		const ret = Array.from(this._all.values())
+			.filter(e => e.baseID === baseID)
+
+		if (ret.length === 0)
+			RasPG.dev.logs.elementNotRegisteredInCollection(baseID, 'RegistryBase.#all')
+		return ret
+	}
+	/** Performs fuzzy matching on IDs. Supports RegEx-like `^` and `$`, for beginning and end, and `*`, for wildcard. Always returns an array.
+	 * @param {string} pattern
+	 * @returns {any[]}
+	 */
+	static findFuzzy(pattern) {
+		HookModule.run('RegistryBase.findFuzzy', arguments, this)
+		RasPG.dev.validate.type('RegistryBase.findFuzzy.pattern', pattern, 'string')
+
+		let results = Array.from(this._all.entries())
+			.filter(([id, element]) => id.match(new RegExp(this._prefix+pattern.replaceAll('*', '.*'))))
+			.map(([id, element]) => element)
+
+		return results
+	}
+	/** Returns all entries matching a predicate function.
+	 * @param {(value: any, id: string) => boolean} predicate
+	 * @returns {any[]}
+	 */
+	static filter(predicate) {
+		HookModule.run('RegistryBase.filter', arguments, this)
+
+		RasPG.dev.validate.type('RegistryBase.filter.predicate', predicate, 'function')
+
+		const results = Array.from(this._all.entries()).filter(predicate)
+
+		return results
+	}
+
+	/** Unregisters (essentially deletes) the object from its class registry.
+	 */
+	unregister() {
+		HookModule.run('before:RegistryBase.instance.unregister', arguments, this)
+
+		this.constructor.unregister(this.id)
+
+		HookModule.run('after:RegistryBase.instance.unregister', arguments, this)
+	}
+} RasPG.registerClass(RegistryBase)
+
 //# Modules
 class EventModule {
 	/** @type {Map<string, Set<{event: string, callback: Function, owner: GameObject | undefined, once: boolean}>>} */
@@ -707,8 +1096,10 @@ class EventModule {
 	static on(event, callback, options) {
 		HookModule.run('before:EventModule.on', arguments, this)
 
-		this.#listeners.get(event)?? this.#listeners.set(event, new Set())
-			.add({ event, callback, owner: options.owner || undefined, once: options.once || false })
+		if (!this.#listeners.has(event))
+			this.#listeners.set(event, new Set())
+		this.#listeners.get(event)
+			.add({ event, callback, owner: options?.owner || undefined, once: options?.once || false })
 
 		HookModule.run('after:EventModule.on', arguments, this)
 	}
@@ -751,23 +1142,32 @@ class EventModule {
 			console.groupEnd()
 		}
 
-		if (!this.#listeners.has(event)) return
-
-		const listeners = Array.from(this.#listeners.get(event))
+		const listeners = Array.from(this.#listeners.get(event)?? [])
 		for (const [e, l] of this.#listeners.entries()) {
-			if (e.includes('**') && event.match(new RegExp('^'+e.replaceAll('.', '\.').replaceAll('**', '.*?')+'$')))
-				listeners.push(...l.values())
-			if (e.includes('*') && event.match(new RegExp('^'+e.replaceAll('.', '\.').replaceAll('*', '[^.]*')+'$')))
+			if (e === event || !e.includes('*'))
+				continue
+			const pattern = e
+				.replaceAll('.', '\\.')
+				.replaceAll('**', '\0')
+				.replaceAll('*', '[^.]*')
+				.replaceAll('\0', '.*?')
+			if (event.match(new RegExp('^'+pattern+'$')))
 				listeners.push(...l.values())
 		}
 		for (const listener of listeners) {
-			listener.callback(listener.owner, data)
 			if (listener.once)
-				listeners.delete(listener)
+				this.#listeners.get(listener.event)?.delete(listener)
+			listener.callback(listener.owner, data)
 		}
 
 		HookModule.run('after:EventModule.emit', arguments, this)
 	}
+	/** Returns the listeners registered for a given event, as they are. Does not parse wildcards.
+	 * @param {string} event
+	 */
+	static listeners(event) {
+		return new Set(this.#listeners.get(event))
+	}
 	/** Removes all listeners owned by a specific GameObject.
 	 * @param {GameObject} owner
 	 */
@@ -858,7 +1258,9 @@ class HookModule {
 	 * @param {(args: Array<any>, object: Object) => void} callback
 	 */
 	static attach(hook, callback) {
-		this.#hooks.get(hook)?? this.#hooks.set(hook, new Set())
+		if (!this.#hooks.has(hook))
+			this.#hooks.set(hook, new Set())
+		this.#hooks.get(hook)
 			.add(callback)
 	}
 	/** Runs all registered callbacks on a given hook.
@@ -1157,7 +1559,7 @@ class SubTextModule {
 				//* If it is, look for context object
 				const [, contextLabel, stringKey] = parts
 				const contextObject = ContextModule.get(contextLabel)
-				if (!contextObject || !GameObject.isPrototypeOf(contextObject.prototype) || !contextObject.hasComponent(Stringful)) {
+				if (!contextObject || !(contextObject instanceof GameObject) || !contextObject.hasComponent(Stringful)) {
 					//* Collapse double space
 					string = string
 						.replace(inplace, '{MISSING}')
@@ -1253,63 +1655,909 @@ class SubTextModule {
 		return string
 	}
 } RasPG.registerModule(SubTextModule)
-class TemplateModule extends RegistryBase {
-	/** @type {{name: string, serialized: {id: string, tags: string[], components: {}}, constructor: function, instances: number}} */
-	static _all = new Map()
-
-	/** Instantiates an object from a template and returns it. Instance will be tagged with `'TEMPLATE:<name>'`.
-	 * @param {string} name
+class OutputModule {
+	/** @type {Map<string, {enabled: boolean}>} */
+	static #channels = new Map()
+	/** @type {OutputFragment[]} */
+	static #buffer = []
+	/** Fragments written while capturing (see `OutputModule.capture()`) go to the innermost capture, instead of the buffer.
+	 * @type {OutputFragment[][]}
 	 */
-	static instantiate(name) {
-		HookModule.run('before:Template.instantiate', arguments, this)
+	static #captures = []
 
-		RasPG.dev.validate.type('Template.instantiate.name', name, 'string')
-		if (!this._all.has(name))
-			return RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Template.#all')
+	static get channels() {
+		return new Map(Array.from(this.#channels).map(([name, channel]) => [name, Object.assign({}, channel)]))
+	}
+	/** Fragments written since the last flush. */
+	static get buffer() {
+		return Array.from(this.#buffer)
+	}
 
-		RasPG.runtime.state.inner.push('instantiating')
+	/** Registers a channel fragments can be written to (i.e. 'narration', 'error').
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {{enabled?: boolean}} [options]
+	 * @param [options.enabled] Defaults to `true`. Whether fragments written to it are kept when composing.
+	 */
+	static registerChannel(name, options) {
+		HookModule.run('before:OutputModule.registerChannel', arguments, this)
 
-		const registered = this._all.get(name)
-		registered.serialized.id += '__i' + registered.instances++
-		const instance = registered.constructor.deserializer(registered.serialized)
-		instance.tag('TEMPLATE:'+name)
-		registered.serialized.id = registered.serialized.id.replace(/__i\d+$/, '')
+		RasPG.dev.validate.type('OutputModule.registerChannel.name', name, 'string')
+		RasPG.dev.validate.props('OutputModule.registerChannel.options', options, false, {
+			enabled: 'boolean'
+		})
+		if (this.#channels.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('OutputModule.#channels', name)
 
-		RasPG.runtime.state.inner.pop()
+		this.#channels.set(name, { enabled: options?.enabled !== false })
 
-		EventModule.emit('template.instantiated', {
-			object: instance,
-			name,
-			instance: registered.instances-1
-		})
-		HookModule.run('after:Template.instantiate', arguments, this)
-		return instance
+		HookModule.run('after:OutputModule.registerChannel', arguments, this)
 	}
-	/** Serializes and registers a GameObject (or subclass) instance as a template under the given name. It is recommended to set `register: false` when creating a GameObject to serve as a template.
+	/** Enables or disables a channel. Returns `true`, if successful, and `false`, if it isn't registered.
 	 * @param {string} name
-	 * @param {GameObject} object
+	 * @param {boolean} enabled
 	 */
-	static register(name, object) {
-		HookModule.run('before:Template.register', arguments, this)
+	static setChannel(name, enabled) {
+		HookModule.run('before:OutputModule.setChannel', arguments, this)
 
-		RasPG.dev.validate.type('TemplateModule.register.object', object, 'GameObject')
+		RasPG.dev.validate.types('OutputModule.setChannel', {
+			name: [name, 'string'],
+			enabled: [enabled, 'boolean']
+		})
+		if (!this.#channels.has(name))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(name, 'OutputModule.#channels')
 
-		RasPG.runtime.state.inner.push('serializing')
-		const serialized = object.constructor.serializer(object)
-		RasPG.runtime.state.inner.pop()
+		this.#channels.get(name).enabled = enabled
 
-		super.register(name, { name, serialized, constructor: object.constructor, instances: 0 })
+		HookModule.run('after:OutputModule.setChannel', arguments, this)
+		return true
+	}
+	/** Writes a fragment of output. Returns the fragment, or `false`, if the channel isn't registered.
+	 * @param {string} text
+	 * @param {{channel?: string, priority?: number, key?: string}} [options]
+	 * @param [options.channel] Defaults to 'narration'.
+	 * @param [options.priority] Defaults to 0. Fragments with higher priority come first, when composed; ties keep the order they were written in.
+	 * @param [options.key] Optional. Fragments sharing a key are merged into one, when composed (i.e. sentences of the same paragraph).
+	 */
+	static write(text, options) {
+		HookModule.run('before:OutputModule.write', arguments, this)
+
+		RasPG.dev.validate.type('OutputModule.write.text', text, 'string')
+		RasPG.dev.validate.props('OutputModule.write.options', options, false, {
+			channel: 'string',
+			priority: 'number',
+			key: 'string'
+		})
+		const channel = options?.channel?? 'narration'
+		if (!this.#channels.has(channel))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(channel, 'OutputModule.#channels')
+
+		/** @type {OutputFragment} */
+		const fragment = { text, channel, priority: options?.priority?? 0 }
+		if (options?.key)
+			fragment.key = options.key
+		const target = this.#captures.at(-1)?? this.#buffer
+		target.push(fragment)
+
+		EventModule.emit('output.written', Object.assign({ object: this }, fragment))
+		HookModule.run('after:OutputModule.write', arguments, this)
+		return fragment
+	}
+	/** Writes the string under the given key, parsed by the SubTextModule, as a fragment of output (see `OutputModule.write()`). If an object is given, its own strings (and global strings for it) take precedence. Returns the fragment, or `false`, if the string isn't found, or the channel isn't registered.
+	 * @param {string} key
+	 * @param {{object?: GameObject, channel?: string, priority?: number, key?: string}} [options]
+	 * @param [options.object] Optional. Object whose strings are looked into first.
+	 */
+	static writeString(key, options) {
+		HookModule.run('OutputModule.writeString', arguments, this)
 
-		HookModule.run('after:Template.register', arguments, this)
+		RasPG.dev.validate.type('OutputModule.writeString.key', key, 'string')
+		RasPG.dev.validate.props('OutputModule.writeString.options', options, false, {
+			object: 'GameObject'
+		})
+
+		const { object, ...rest } = options?? {}
+		const string = object?.hasComponent(Stringful)? object._strings.get(key) : Stringful.get(key)
+		if (!string)
+			return RasPG.dev.logs.elementNotRegisteredInCollection(key, 'Stringful')
+
+		return this.write(SubTextModule.parse(string), rest)
 	}
-} RasPG.registerModule(TemplateModule)
+	/** Runs the given function, keeping the fragments written meanwhile out of the buffer. Returns the function's return, and the fragments written.
+	 * @param {() => any} fn
+	 * @return {{ret: any, fragments: OutputFragment[]}}
+	 */
+	static capture(fn) {
+		HookModule.run('before:OutputModule.capture', arguments, this)
+
+		RasPG.dev.validate.type('OutputModule.capture.fn', fn, 'function')
+
+		const fragments = []
+		this.#captures.push(fragments)
+		let ret
+		try {
+			ret = fn()
+		}
+		finally {
+			this.#captures.pop()
+		}
+
+		HookModule.run('after:OutputModule.capture', arguments, this)
+		return { ret, fragments }
+	}
+	/** Adds fragments to the buffer (or the innermost capture) as they are, i.e. ones captured earlier.
+	 * @param {OutputFragment[]} fragments
+	 */
+	static append(fragments) {
+		HookModule.run('before:OutputModule.append', arguments, this)
+
+		RasPG.dev.validate.type('OutputModule.append.fragments', fragments, ['object[]', 'OutputFragment[]'])
+
+		const target = this.#captures.at(-1)?? this.#buffer
+		target.push(...fragments)
+
+		HookModule.run('after:OutputModule.append', arguments, this)
+	}
+	/** Returns the given fragments ready to be shown: fragments sharing a key merged into the first of them (texts joined by spaces, leaving out texts repeated within the key, and keeping the highest priority), those in disabled channels left out, and the rest ordered by priority. Fragments without a key are never merged nor left out as repeated, as each usually reports something that happened (i.e. "Taken." for every object taken).
+	 * @param {OutputFragment[]} fragments
+	 * @return {OutputFragment[]}
+	 */
+	static compose(fragments) {
+		HookModule.run('OutputModule.compose', arguments, this)
+
+		RasPG.dev.validate.type('OutputModule.compose.fragments', fragments, ['object[]', 'OutputFragment[]'])
+
+		const merged = []
+		/** @type {Map<string, {first: OutputFragment, texts: Set<string>}>} */
+		const byKey = new Map()
+		for (const fragment of fragments) {
+			const group = fragment.key !== undefined? byKey.get(fragment.key) : undefined
+			if (group) {
+				if (!group.texts.has(fragment.text)) {
+					group.texts.add(fragment.text)
+					group.first.text += ' '+ fragment.text
+				}
+				group.first.priority = Math.max(group.first.priority, fragment.priority)
+				continue
+			}
+			const copy = Object.assign({}, fragment)
+			if (copy.key !== undefined)
+				byKey.set(copy.key, { first: copy, texts: new Set([copy.text]) })
+			merged.push(copy)
+		}
+
+		return merged
+			.filter(fragment => this.#channels.get(fragment.channel)?.enabled)
+			.sort((a, b) => b.priority - a.priority)
+	}
+	/** Composes the buffer (see `OutputModule.compose()`), empties it, and emits an 'output.flushed' event with the result, which is also returned. Called at the end of every turn, during the 'cleanup' turn phase.
+	 * @return {OutputFragment[]}
+	 */
+	static flush() {
+		HookModule.run('before:OutputModule.flush', arguments, this)
+
+		const fragments = this.compose(this.#buffer)
+		this.#buffer = []
+
+		EventModule.emit('output.flushed', { object: this, fragments })
+		HookModule.run('after:OutputModule.flush', arguments, this)
+		return fragments
+	}
+} RasPG.registerModule(OutputModule)
+class TemplateModule extends RegistryBase {
+	/** @type {{name: string, serialized: {id: string, tags: string[], components: {}}, constructor: function, instances: number}} */
+	static _all = new Map()
+
+	/** Instantiates an object from a template and returns it. Instance will be tagged with `'TEMPLATE:<name>'`.
+	 * @param {string} name
+	 */
+	static instantiate(name) {
+		HookModule.run('before:Template.instantiate', arguments, this)
+
+		RasPG.dev.validate.type('Template.instantiate.name', name, 'string')
+		if (!this._all.has(name))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Template.#all')
+
+		RasPG.runtime.state.inner.push('instantiating')
+
+		const registered = this._all.get(name)
+		registered.serialized.id += '__i' + registered.instances++
+		const instance = registered.constructor.deserializer(registered.serialized)
+		instance.tag('TEMPLATE:'+name)
+		registered.serialized.id = registered.serialized.id.replace(/__i\d+$/, '')
+
+		RasPG.runtime.state.inner.pop()
+
+		EventModule.emit('template.instantiated', {
+			object: instance,
+			name,
+			instance: registered.instances-1
+		})
+		HookModule.run('after:Template.instantiate', arguments, this)
+		return instance
+	}
+	/** Serializes and registers a GameObject (or subclass) instance as a template under the given name. It is recommended to set `register: false` when creating a GameObject to serve as a template.
+	 * @param {string} name
+	 * @param {GameObject} object
+	 */
+	static register(name, object) {
+		HookModule.run('before:Template.register', arguments, this)
+
+		RasPG.dev.validate.type('TemplateModule.register.object', object, 'GameObject')
+
+		RasPG.runtime.state.inner.push('serializing')
+		const serialized = object.constructor.serializer(object)
+		RasPG.runtime.state.inner.pop()
+
+		super.register(name, { name, serialized, constructor: object.constructor, instances: 0 })
+
+		HookModule.run('after:Template.register', arguments, this)
+	}
+	/** Returns the registered template the given object was instantiated from (per its `'TEMPLATE:<name>'` tag), or `null`, if not templated or if the template isn't registered.
+	 * @param {GameObject} object
+	 */
+	static templateOf(object) {
+		HookModule.run('Template.templateOf', arguments, this)
+
+		RasPG.dev.validate.type('TemplateModule.templateOf.object', object, 'GameObject')
+
+		const tag = Array.from(object.tags).find(e => e.startsWith('TEMPLATE:'))
+		if (!tag)
+			return null
+		return this._all.get(this._prefix + tag.slice(9)) || null
+	}
+} RasPG.registerModule(TemplateModule)
 class ParserModule {
-	/** @type {{ input: string, result: { command: string | RegExp, objects: GameObject[] } }[]}  */
+	/** @type {{ input: string, result: ParseResult, agent?: GameObject }[]}  */
 	static inputHistory = []
 	/** @type {string}  */
 	static currentInput
+	/** Command awaiting an answer to a disambiguation prompt, if any.
+	 * @type {{input: string, command: string, slot: string, text: string, candidates: GameObject[], forced: {[slot: string]: GameObject}} | null}
+	 */
+	static pending = null
+	/** Objects last referred to, per grammatical number and gender (`'<number>:<gender>'`), from least to most recent. */
+	static #references = new Map()
+	/** @type {Map<string, ScopeRule>} */
+	static #scopeRules = new Map()
+	/** @type {WorldSnapshot[]} */
+	static #snapshots = []
+	/** How many world snapshots are kept for undoing commands run through `ParserModule.submit()`. Each command submitted takes a snapshot of the whole world through `SaveModule.snapshot()` beforehand, so its cost grows with the world, and memory held with this depth; set to `0` to skip snapshots altogether, in large worlds that don't need undoing. */
+	static undoDepth = 1
+	/** If `true`, commands submitted for an Agentive agent through `ParserModule.submit()` are declared as its intent (see `Agentive.instance.declareInput()`), and performed by ticking the turn, in initiative order along with every other agent's intent. */
+	static turnBased = false
+	/** Senses available to agents when resolving scope, before scope rules apply. */
+	static senses = ['sight', 'hearing', 'smell', 'touch', 'taste']
+	/** Settings for `ParserModule.rankCandidates()`. `margin` is how far ahead the top candidate must score to be picked without asking; `historyDepth`, how many past inputs count towards recency. */
+	static disambiguation = {
+		weights: { specificity: 1, recency: 1, proximity: 1, filters: 1 },
+		margin: 0.5,
+		historyDepth: 10
+	}
+
+	static get references() {
+		return new Map(this.#references)
+	}
+	static get scopeRules() {
+		return new Map(this.#scopeRules)
+	}
+
+	/** Records objects as the last referred to, for pronoun resolution. A single object is classified by the current locale's adapter; several are recorded as plural.
+	 * @param {GameObject | GameObject[]} objects
+	 */
+	static remember(objects) {
+		HookModule.run('before:ParserModule.remember', arguments, this)
+
+		objects = [objects].flat()
+		RasPG.dev.validate.type('ParserModule.remember.objects', objects, 'GameObject[]')
+		if (objects.length === 0)
+			return
+
+		const adapter = RasPG.currentLocaleAdapter
+		let key = 'PL:'
+		if (objects.length === 1) {
+			const { number, gender } = adapter?.classify(objects[0])?? { number: 'SG' }
+			key = `${number}:${gender?? ''}`
+		}
+		this.#references.delete(key)
+		this.#references.set(key, objects)
+
+		HookModule.run('after:ParserModule.remember', arguments, this)
+	}
+	/** Returns the objects most recently referred to that the given pronoun may stand for, according to the current locale's adapter, or `null`, if the word isn't a pronoun or nothing fits.
+	 * @param {string} word
+	 */
+	static resolveReference(word) {
+		HookModule.run('ParserModule.resolveReference', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.resolveReference.word', word, 'string')
+
+		const pronouns = RasPG.currentLocaleAdapter?.references?.pronouns
+		if (!pronouns || !Object.hasOwn(pronouns, word))
+			return null
+		const spec = pronouns[word]
+		const specs = [spec].flat()
+		for (const [key, objects] of Array.from(this.#references.entries()).reverse()) {
+			const [number, gender] = key.split(':')
+			if (specs.some(e => (!e.number || e.number === number) && (!e.gender || e.gender.includes(gender))))
+				return Array.from(objects)
+		}
+		return null
+	}
+	/** Normalizes raw player input: lowercases, trims, collapses whitespace and strips trailing punctuation.
+	 * @param {string} input
+	 */
+	static normalize(input) {
+		HookModule.run('ParserModule.normalize', arguments, this)
 
+		RasPG.dev.validate.type('ParserModule.normalize.input', input, 'string')
+
+		return input
+			.toLowerCase()
+			.replace(/\s+/g, ' ')
+			.replace(/[\s.!?]+$/, '')
+			.trim()
+	}
+	/** Returns the objects in scope for the given agent (what it can refer to), or all registered objects, if no agent is given.
+	 *
+	 * Starting from the agent's location and the agent itself, contents are gathered recursively, following Containing. Registered scope rules (see `ParserModule.registerScopeRule()`) may then narrow the senses available to the agent, keep containers from being looked into, hide objects, or add remote ones. Objects with Perceptible perceptions are only in scope if at least one of them is for an available sense.
+	 * @param {GameObject} [agent]
+	 */
+	static scope(agent) {
+		HookModule.run('ParserModule.scope', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.scope.agent', agent, 'GameObject | undefined')
+
+		if (!agent)
+			return Array.from(new Set(GameObject._all.values()))
+
+		const rules = Array.from(this.#scopeRules.values())
+		const senses = new Set(this.senses)
+		for (const rule of rules)
+			rule.senses?.(agent, senses)
+		const perceivable = object => {
+			const perceptions = object.component(Perceptible)?.perceptions
+			return !perceptions || perceptions.size === 0 || Array.from(perceptions.keys()).some(sense => senses.has(sense))
+		}
+
+		const objects = new Set()
+		const visited = new Set()
+		const gather = container => {
+			if (visited.has(container) || !container.hasComponent(Containing))
+				return
+			visited.add(container)
+			if (container !== agent && rules.some(rule => rule.enter?.(agent, container, senses) === false))
+				return
+			for (const object of container._container.contents) {
+				if (object === agent || rules.some(rule => rule.visible?.(agent, object, senses) === false) || !perceivable(object))
+					continue
+				objects.add(object)
+				gather(object)
+			}
+		}
+		const location = agent.hasComponent(Tangible)? agent._location.location : null
+		if (location)
+			gather(location)
+		gather(agent)
+		for (const rule of rules)
+			for (const object of rule.extend?.(agent, senses)?? [])
+				if (object !== agent)
+					objects.add(object)
+
+		return Array.from(objects)
+	}
+	/** Registers a scope rule under the given name, used by `ParserModule.scope()`. Every part of a rule is optional:
+	 * - `senses`: receives the set of senses available to the agent (starting from `ParserModule.senses`), and may remove or add to it (i.e. darkness removing 'sight');
+	 * - `enter`: returning `false` keeps the contents of a container out of scope (i.e. closed or opaque containers). Not applied to the agent's own contents;
+	 * - `visible`: returning `false` keeps an object, and its contents, out of scope;
+	 * - `extend`: returns objects to be added to scope (i.e. things visible from afar).
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {ScopeRule} rule
+	 */
+	static registerScopeRule(name, rule) {
+		HookModule.run('before:ParserModule.registerScopeRule', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.registerScopeRule.name', name, 'string')
+		RasPG.dev.validate.props('ParserModule.registerScopeRule.rule', rule, false, {
+			senses: ['function', '(agent: GameObject, senses: Set<string>) => void'],
+			enter: ['function', '(agent: GameObject, container: GameObject, senses: Set<string>) => boolean'],
+			visible: ['function', '(agent: GameObject, object: GameObject, senses: Set<string>) => boolean'],
+			extend: ['function', '(agent: GameObject, senses: Set<string>) => GameObject[]']
+		})
+		if (this.#scopeRules.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('ParserModule.#scopeRules', name)
+
+		this.#scopeRules.set(name, rule)
+
+		HookModule.run('after:ParserModule.registerScopeRule', arguments, this)
+	}
+	/** Unregisters a scope rule. Returns `true`, if successful, and `false`, if it wasn't registered.
+	 * @param {string} name
+	 */
+	static unregisterScopeRule(name) {
+		HookModule.run('before:ParserModule.unregisterScopeRule', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.unregisterScopeRule.name', name, 'string')
+		if (!this.#scopeRules.has(name))
+			return false
+
+		this.#scopeRules.delete(name)
+
+		HookModule.run('after:ParserModule.unregisterScopeRule', arguments, this)
+		return true
+	}
+	/** Returns the objects whose Describable nouns and adjectives match the given noun phrase (i.e. 'the small red box'). Articles for the current locale are ignored; every other word must be either the object's noun (or its plural, if the locale defines one) or one of its adjectives, with the noun last (or first, if `nounAdjectiveOrder` is 'NA').
+	 * @param {string} phrase Normalized noun phrase.
+	 * @param {GameObject[]} objects Objects to match against.
+	 * @param {'AN' | 'NA'} [nounAdjectiveOrder] Defaults to adjective-noun (`'AN'`).
+	 */
+	static resolveNoun(phrase, objects, nounAdjectiveOrder) {
+		HookModule.run('ParserModule.resolveNoun', arguments, this)
+
+		RasPG.dev.validate.types('ParserModule.resolveNoun', {
+			phrase: [phrase, 'string'],
+			objects: [objects, 'GameObject[]'],
+			nounAdjectiveOrder: [nounAdjectiveOrder, `'AN' | 'NA' | undefined`],
+		})
+
+		const articles = RasPG.utils.lang[RasPG.config.locale]?.articles?? []
+		const words = phrase.split(' ').filter(word => word && !articles.includes(word))
+		if (words.length === 0)
+			return []
+		const noun = nounAdjectiveOrder === 'NA'? words[0] : words.at(-1)
+		const adjectives = nounAdjectiveOrder === 'NA'? words.slice(1) : words.slice(0, -1)
+
+		return objects.filter(object => {
+			if (!object.hasComponent(Describable))
+				return false
+			const description = object._description
+			const plural = RasPG.utils.lang[RasPG.config.locale]?.plural
+			return (description.nouns.includes(noun) || !!plural && description.nouns.some(e => plural(e) === noun))
+				&& adjectives.every(adjective => description.adjectives.includes(adjective))
+		})
+	}
+	/** Runs player input that may chain several commands (i.e. 'take lamp, go north then open door'), splitting it by the current locale adapter's `chaining.separators`, and executing each command in order through `ParserModule.execute()`, until one fails. Returns the results of the commands run.
+	 *
+	 * Separators may still appear within exclusion lists (i.e. 'take all but the sword, the shield'), as parts that don't match any command are then joined back to the previous one. Commands consisting of one of the adapter's `chaining.again` words repeat the last input that matched a command; `chaining.undo` words restore the world to how it was before the last successful command, keeping up to `ParserModule.undoDepth` snapshots (set to `0` to disable snapshots). Undoing clears pronoun references and pending disambiguations; objects are restored in place (see `SaveModule.restore()`), so references to them stay valid.
+	 *
+	 * If `ParserModule.turnBased` is `true` and the agent is Agentive, each command takes a turn: it's declared as the agent's intent, and the turn is ticked. Its result is then that of the intent being performed, or fails as 'notPerformed', if it wasn't (i.e. the turn is paused); only the agent is passed on to `execute()`, then.
+	 *
+	 * Failure reasons, besides those of `execute()`: 'nothingToRepeat', 'nothingToUndo', 'notPerformed'.
+	 * @param {string} input Raw player input.
+	 * @param {{agent?: GameObject, objects?: GameObject[], nounAdjectiveOrder?: 'AN' | 'NA'}} [options] Passed on to `ParserModule.execute()`.
+	 * @return {ParseResult[]}
+	 */
+	static submit(input, options) {
+		HookModule.run('before:ParserModule.submit', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.submit.input', input, 'string')
+
+		const chaining = RasPG.currentLocaleAdapter?.chaining
+		const results = []
+		for (const command of this.split(input)) {
+			let result
+			if (chaining?.again?.includes(command)) {
+				const last = this.inputHistory.findLast(entry => entry.result.command !== null)
+				result = last? this.#snapshotted(last.input, options) : this.#record({ input: command, success: false, command: null, reason: 'nothingToRepeat', slots: {}, output: [], fragments: [] }, options)
+			}
+			else if (chaining?.undo?.includes(command))
+				result = this.#undo(command, options)
+			else
+				result = this.#snapshotted(command, options)
+
+			results.push(result)
+			if (!result.success)
+				break
+		}
+
+		HookModule.run('after:ParserModule.submit', arguments, this)
+		return results
+	}
+	/** Normalizes player input and splits it into commands, following the current locale adapter's `chaining.separators`. Parts that don't match a command (nor an again or undo word) are joined back to the previous one, if it has an exclusion list they may continue.
+	 * @param {string} input
+	 */
+	static split(input) {
+		HookModule.run('ParserModule.split', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.split.input', input, 'string')
+
+		const normalized = this.normalize(input)
+		const chaining = RasPG.currentLocaleAdapter?.chaining
+		if (!chaining?.separators?.length)
+			return [normalized]
+
+		//* Multi-word separators are tried first, so 'and then' isn't split at 'then'
+		const separators = chaining.separators
+			.map(e => e.split(' '))
+			.sort((a, b) => b.length - a.length)
+		const tokens = normalized.replace(/([,.;:])/g, ' $1 ').split(' ').filter(e => e)
+		const parts = [{ separator: null, words: [] }]
+		for (let i = 0; i < tokens.length; i++) {
+			const separator = separators.find(words => words.every((word, j) => tokens[i + j] === word))
+			if (separator) {
+				parts.push({ separator: separator.join(' '), words: [] })
+				i += separator.length - 1
+			}
+			else
+				parts.at(-1).words.push(tokens[i])
+		}
+
+		const join = words => words.join(' ').replace(/ ([,.;:])/g, '$1')
+		const except = RasPG.currentLocaleAdapter.references?.except?? []
+		const meta = [...(chaining.again?? []), ...(chaining.undo?? [])]
+		const commands = []
+		for (const { separator, words } of parts.filter(e => e.words.length > 0)) {
+			const part = join(words)
+			if (commands.length > 0 && commands.at(-1).split(' ').some(word => except.includes(word))
+				&& !meta.includes(part) && !Command.match(part))
+				commands[commands.length - 1] = join([commands.at(-1), separator, part])
+			else
+				commands.push(part)
+		}
+
+		return commands.length > 0? commands : ['']
+	}
+	/** Executes a command, keeping a snapshot of the world from before it, if it succeeds. The snapshot is taken whether it does or not, as the command can't be known to change the world before it runs (see `undoDepth`). */
+	static #snapshotted(input, options) {
+		const snapshot = this.undoDepth > 0? SaveModule.snapshot() : null
+		const result = this.#run(input, options)
+		if (snapshot && result.success) {
+			this.#snapshots.push(snapshot)
+			if (this.#snapshots.length > this.undoDepth)
+				this.#snapshots.shift()
+		}
+		return result
+	}
+	/** Executes a command, or declares it as the agent's intent and ticks the turn, if turn-based. */
+	static #run(input, options) {
+		const agent = options?.agent
+		if (!this.turnBased || !agent?.hasComponent(Agentive))
+			return this.execute(input, options)
+
+		const start = this.inputHistory.length
+		agent._acts.declareInput(input)
+		RasPG.runtime.turn.tick()
+		const entry = this.inputHistory.slice(start).findLast(entry => entry.agent === agent)
+		if (entry)
+			return entry.result
+		agent._acts.withdraw()
+		return this.#record({ input, success: false, command: null, reason: 'notPerformed', slots: {}, output: [], fragments: [] }, options)
+	}
+	/** Restores the world from the last snapshot. */
+	static #undo(input, options) {
+		/** @type {ParseResult} */
+		const result = { input, success: false, command: null, reason: null, slots: {}, output: [], fragments: [] }
+		const snapshot = this.#snapshots.pop()
+		if (!snapshot) {
+			result.reason = 'nothingToUndo'
+			return this.#record(result, options)
+		}
+
+		SaveModule.restore(snapshot)
+		this.#references.clear()
+		this.pending = null
+		result.success = true
+
+		EventModule.emit('parser.undone', { object: this, label: 'ParserModule', agent: options?.agent, result })
+		return this.#record(result, options)
+	}
+	/** Records a result in the input history, emitting the corresponding event. */
+	static #record(result, options) {
+		this.inputHistory.push({ input: result.input, result, agent: options?.agent })
+		EventModule.emit(result.success? 'parser.executed' : 'parser.failed', {
+			object: this,
+			label: 'ParserModule',
+			agent: options?.agent,
+			result
+		})
+		return result
+	}
+	/** Runs the full input pipeline: normalizes the input, matches it against registered commands for the current locale, resolves each named capture group (slot) to a single object in scope, runs the command's slot filters, and then runs the command. Returns a structured result.
+	 *
+	 * The agent is pushed to the ContextModule under 'agent' while slots are resolved, so filters can depend on it. While the command runs, the agent and slot objects are pushed under 'agent' and their slot names (by convention, 'patient' and 'instrument'). The command's function receives `{agent, slots, output}` as options; strings pushed to `output`, or returned, are collected in the result. Returning strictly `false` marks the command as failed, as does returning a failed action result (see `Action.attempt()`), whose message is then added to the output, in the 'error' channel, and which is kept in the result as `failure`.
+	 *
+	 * Fragments written to the OutputModule while the command runs (i.e. by actions, or event listeners) are composed with the command's own strings (see `OutputModule.compose()`), and all of the result's output is then added to the OutputModule's buffer, as fragments (parser output, such as disambiguation questions, in the 'system' channel).
+	 *
+	 * If several commands match, the one resolving the most slots is run. If several objects match a slot, `ParserModule.rankCandidates()` is used to pick one; if it can't, the result fails as 'ambiguous', a prompt (i.e. "Which key do you mean, the brass key or the iron key?") is added to the output, and the command is kept pending. The next input is then first tried as an answer to it, and only parsed as a new command if it doesn't narrow down the candidates.
+	 *
+	 * If the current locale's adapter defines `references`, slots may also be pronouns (resolved through `ParserModule.resolveReference()`) or words for "all" (every in-scope object the slot's filter doesn't reject), optionally followed by exclusions (i.e. 'all but the sword and it'). Slots holding several objects run the command once for each. Objects filling slots of successful commands are remembered for pronoun resolution.
+	 *
+	 * Failure reasons: 'empty', 'unknownCommand', 'unknownObject', 'ambiguous', 'filtered', 'failed'.
+	 * @param {string} input Raw player input.
+	 * @param {{agent?: GameObject, objects?: GameObject[], nounAdjectiveOrder?: 'AN' | 'NA'}} [options]
+	 * @param [options.agent] Optional. The object performing the command (usually the player).
+	 * @param [options.objects] Optional. Objects in scope. Defaults to `ParserModule.scope(agent)`.
+	 * @param [options.nounAdjectiveOrder] Defaults to adjective-noun (`'AN'`).
+	 */
+	static execute(input, options) {
+		HookModule.run('before:ParserModule.execute', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.execute.input', input, 'string')
+		RasPG.dev.validate.props('ParserModule.execute.options', options, false, {
+			agent: 'GameObject',
+			objects: 'GameObject[]',
+			nounAdjectiveOrder: `'AN' | 'NA'`
+		})
+
+		let normalized = this.normalize(input)
+		let forced = {}
+		/** @type {ParseResult} */
+		let result = { input: normalized, success: false, command: null, reason: null, slots: {}, output: [], fragments: [] }
+
+		//* Try input as an answer to a pending disambiguation
+		if (normalized && this.pending) {
+			const pending = this.pending
+			const articles = RasPG.utils.lang[RasPG.config.locale]?.articles?? []
+			const words = normalized.split(' ').filter(word => !articles.includes(word))
+			const narrowed = pending.candidates.filter(object => words.every(word =>
+				object._description.nouns.includes(word) || object._description.adjectives.includes(word)
+			))
+			this.pending = null
+
+			if (narrowed.length === 1) {
+				normalized = pending.input
+				forced = Object.assign({}, pending.forced, { [pending.slot]: narrowed[0] })
+				result.input = normalized
+			}
+			else if (narrowed.length > 1 && narrowed.length < pending.candidates.length) {
+				this.pending = Object.assign({}, pending, { candidates: narrowed })
+				Object.assign(result, {
+					command: pending.command,
+					reason: 'ambiguous',
+					slot: pending.slot,
+					text: pending.text,
+					candidates: narrowed,
+					output: [this.#prompt(pending.text, narrowed)]
+				})
+				return this.#finish(result, options, arguments)
+			}
+		}
+		this.currentInput = normalized
+
+		if (!normalized) {
+			result.reason = 'empty'
+			return this.#finish(result, options, arguments)
+		}
+		const matched = Command.match(normalized)
+		if (!matched) {
+			result.reason = 'unknownCommand'
+			return this.#finish(result, options, arguments)
+		}
+
+		const objects = options?.objects?? this.scope(options?.agent)
+		//* With several matching commands, the one resolving the most slots is run; failures are reported from the first
+		let chosen = null
+		let failure = null
+		//* Filters may read the agent from the context
+		if (options?.agent)
+			ContextModule.push({ agent: options.agent })
+		for (const command of [matched].flat()) {
+			const match = normalized.match(new RegExp(command.matchers[RasPG.config.locale].pattern, 'i'))
+			const attempt = this.#resolveSlots(command, match, objects, options, forced)
+			if (attempt.reason)
+				failure??= Object.assign({ command: command.id }, attempt)
+			else if (!chosen || Object.keys(attempt.slots).length > Object.keys(chosen.slots).length)
+				chosen = Object.assign({ command, match }, attempt)
+		}
+		if (options?.agent)
+			ContextModule.pop(['agent'])
+
+		if (!chosen) {
+			Object.assign(result, failure)
+			if (result.reason === 'ambiguous') {
+				result.output.push(this.#prompt(result.text, result.candidates))
+				this.pending = {
+					input: normalized,
+					command: result.command,
+					slot: result.slot,
+					text: result.text,
+					candidates: result.candidates,
+					forced: failure.slots
+				}
+			}
+			return this.#finish(result, options, arguments)
+		}
+
+		result.command = chosen.command.id
+		result.slots = chosen.slots
+		//* Slots holding several objects (i.e. 'all', 'them') run the command once per combination
+		let combinations = [{}]
+		for (const [slot, value] of Object.entries(chosen.slots))
+			combinations = combinations.flatMap(combination => [value].flat().map(object => Object.assign({}, combination, { [slot]: object })))
+
+		let succeeded = 0
+		for (const slots of combinations) {
+			const context = Object.assign({}, slots)
+			if (options?.agent)
+				context.agent = options.agent
+			ContextModule.push(context)
+			//* Output written meanwhile (i.e. by actions, or event listeners) is composed with the command's own
+			const output = []
+			const { ret, fragments } = OutputModule.capture(() => chosen.command.run(chosen.match, Object.values(slots), {
+				agent: options?.agent,
+				slots,
+				output
+			}))
+			ContextModule.pop(Object.keys(context))
+
+			if (typeof ret === 'string')
+				output.push(ret)
+			//* Failed action results tell why, in the 'error' channel
+			const failed = Action.isResult(ret) && !ret.success
+			if (failed) {
+				const message = Action.message(ret)
+				if (message)
+					fragments.push({ text: message, channel: 'error', priority: 0 })
+				result.failure??= ret
+			}
+			const composed = OutputModule.compose([...output.map(text => ({ text, channel: 'narration', priority: 0 })), ...fragments])
+			result.fragments.push(...composed)
+			result.output.push(...composed.map(fragment => fragment.text))
+			if (ret !== false && !failed)
+				succeeded++
+		}
+
+		result.success = succeeded > 0
+		if (result.success)
+			for (const value of Object.values(chosen.slots))
+				this.remember(value)
+		else
+			result.reason = 'failed'
+		return this.#finish(result, options, arguments)
+	}
+	/** Ranks candidate objects for a command slot, from most to least likely, by a weighted sum of scores (weights and settings in `ParserModule.disambiguation`):
+	 * - `specificity`: share of the candidate's adjectives present in the phrase (candidates without adjectives score 1);
+	 * - `recency`: how recently the candidate filled a slot in `ParserModule.inputHistory`;
+	 * - `proximity`: how close the candidate is to the agent, following Tangible locations (held objects score highest);
+	 * - `filters`: 1, if the command's filter for the slot accepts the candidate. Candidates rejected by it are left out.
+	 * @param {GameObject[]} candidates
+	 * @param {{phrase?: string, command?: Command | string, slot?: string, agent?: GameObject}} [context]
+	 * @return {{object: GameObject, score: number, scores: {specificity: number, recency: number, proximity: number, filters: number}}[]}
+	 */
+	static rankCandidates(candidates, context) {
+		HookModule.run('ParserModule.rankCandidates', arguments, this)
+
+		RasPG.dev.validate.type('ParserModule.rankCandidates.candidates', candidates, 'GameObject[]')
+		RasPG.dev.validate.props('ParserModule.rankCandidates.context', context, false, {
+			phrase: 'string',
+			command: 'Command | string',
+			slot: 'string',
+			agent: 'GameObject'
+		})
+
+		const { weights, historyDepth } = this.disambiguation
+		const words = (context?.phrase?? '').split(' ')
+		const command = typeof context?.command === 'string'? Command.getByID(context.command) : context?.command
+		const filter = command?.matchers[RasPG.config.locale]?.filters?.[context?.slot]
+		const history = this.inputHistory.slice(-historyDepth).reverse()
+		const agentLocation = context?.agent?.hasComponent(Tangible)? context.agent._location.location : null
+
+		const ranked = []
+		for (const object of candidates) {
+			const passed = filter? filter(object) : null
+			if (passed === false)
+				continue
+
+			const adjectives = object.hasComponent(Describable)? object._description.adjectives.filter(e => e) : []
+			const recent = history.findIndex(entry => Object.values(entry.result.slots?? {}).flat().includes(object))
+			const path = object.hasComponent(Tangible)? object._location.locationArray : []
+			let proximity = 0
+			if (context?.agent && path.includes(context.agent))
+				proximity = 1 / (path.indexOf(context.agent) + 1)
+			else if (agentLocation && path.includes(agentLocation))
+				proximity = 1 / (path.indexOf(agentLocation) + 2)
+
+			const scores = {
+				specificity: adjectives.length === 0? 1 : adjectives.filter(e => words.includes(e)).length / adjectives.length,
+				recency: recent === -1? 0 : 1 / (recent + 1),
+				proximity,
+				filters: passed === true? 1 : 0
+			}
+			const score = Object.entries(scores).reduce((sum, [name, value]) => sum + value * (weights[name]?? 1), 0)
+			ranked.push({ object, score, scores })
+		}
+
+		return ranked.sort((a, b) => b.score - a.score)
+	}
+	/** Finalizes and records an execution result. */
+	static #finish(result, options, args) {
+		//? Parser output (i.e. disambiguation questions) goes to the 'system' channel
+		if (result.fragments.length === 0)
+			result.fragments = result.output.map(text => ({ text, channel: 'system', priority: 0 }))
+		OutputModule.append(result.fragments)
+		this.#record(result, options)
+		HookModule.run('after:ParserModule.execute', args, this)
+		return result
+	}
+	/** Returns the disambiguation question phrased by the current locale's adapter, or a plain fallback. */
+	static #prompt(phrase, candidates) {
+		const articles = RasPG.utils.lang[RasPG.config.locale]?.articles?? []
+		const words = phrase.trim().split(' ').filter(word => !articles.includes(word))
+		const names = candidates.map(e => e._description.canonicalName)
+		const phrasing = RasPG.currentLocaleAdapter?.phrasing
+		if (phrasing?.disambiguationPrompt)
+			return phrasing.disambiguationPrompt(words.join(' '), names)
+		return `${words.join(' ')}? (${names.join(', ')})`
+	}
+	/** Resolves a command match's named capture groups into objects, and runs the command's filters on them. Returns the slots, or the failure reason, slot and the slot's text or candidates (plus slots resolved so far). */
+	static #resolveSlots(command, match, objects, options, forced) {
+		const slots = {}
+		for (const [slot, text] of Object.entries(match.groups?? {})) {
+			if (text === undefined)
+				continue
+			if (forced[slot]) {
+				slots[slot] = forced[slot]
+				continue
+			}
+			const phrase = text.trim()
+
+			const references = RasPG.currentLocaleAdapter?.references
+			if (references) {
+				const articles = RasPG.utils.lang[RasPG.config.locale]?.articles?? []
+				const words = phrase.split(' ').filter(word => !articles.includes(word))
+				const split = words.findIndex(word => references.except.includes(word))
+				const head = split === -1? words : words.slice(0, split)
+				const filter = command.matchers[RasPG.config.locale]?.filters?.[slot]
+
+				let found = null
+				if (head.length === 1 && references.all.includes(head[0]))
+					found = objects.filter(object => object !== options?.agent
+						&& object.hasComponent(Describable)
+						&& (!filter || filter(object) !== false))
+				else if (head.length === 1 && Object.hasOwn(references.pronouns, head[0])) {
+					found = (this.resolveReference(head[0])?? []).filter(object => objects.includes(object))
+					if (found.length === 0)
+						return { reason: 'unknownObject', slot, text }
+					found = found.filter(object => !filter || filter(object) !== false)
+					if (found.length === 0)
+						return { reason: 'filtered', slot, text }
+				}
+
+				if (found) {
+					//* Exclusions: '<all> except <phrase>[, <phrase>][ and <phrase>]'
+					if (split !== -1) {
+						const excluded = words.slice(split + 1).join(' ').replace(/,/g, ' , ').split(' ')
+							.reduce((phrases, word) => {
+								if (references.conjunctions.includes(word))
+									phrases.push([])
+								else if (word)
+									phrases.at(-1).push(word)
+								return phrases
+							}, [[]])
+							.filter(e => e.length > 0)
+							.flatMap(e => this.resolveReference(e.join(' '))?? this.resolveNoun(e.join(' '), objects, options?.nounAdjectiveOrder))
+						found = found.filter(object => !excluded.includes(object))
+					}
+					if (found.length === 0)
+						return { reason: 'unknownObject', slot, text }
+					slots[slot] = found.length === 1? found[0] : found
+					continue
+				}
+			}
+
+			const candidates = this.resolveNoun(phrase, objects, options?.nounAdjectiveOrder)
+			if (candidates.length === 0)
+				return { reason: 'unknownObject', slot, text }
+			if (candidates.length === 1) {
+				slots[slot] = candidates[0]
+				continue
+			}
+
+			const ranked = this.rankCandidates(candidates, { phrase, command, slot, agent: options?.agent })
+			if (ranked.length === 0)
+				return { reason: 'filtered', slot, text }
+			if (ranked.length > 1 && ranked[0].score - ranked[1].score < this.disambiguation.margin)
+				return { reason: 'ambiguous', slot, text: phrase, candidates: ranked.map(e => e.object), slots }
+			slots[slot] = ranked[0].object
+		}
+
+		const filtered = command.filter(Object.fromEntries(Object.entries(slots).filter(([_, value]) => !Array.isArray(value))))?? {}
+		for (const [slot, passed] of Object.entries(filtered))
+			if (passed === false)
+				return { reason: 'filtered', slot, text: match.groups[slot] }
+		return { slots }
+	}
 	/**
+	 * @deprecated Use `ParserModule.execute()`, which also resolves slots and runs the matched command.
 	 * @param {string} input Input to be parsed.
 	 * @param {(RegExp | string)[]} commands Possible/available commands.
 	 * @param {GameObject[]} objects Interactable/available objects.
@@ -1336,7 +2584,7 @@ class ParserModule {
 		for (const command of commands)
 			if (typeof command === 'string' && input.includes(command))
 				result.command = command
-			else if (command instanceof RegExp && input.match())
+			else if (command instanceof RegExp && input.match(command))
 				result.command = command
 
 		//* Try to match objects
@@ -1359,139 +2607,946 @@ class ParserModule {
 		}
 
 		HookModule.run('after:ParserModule.parse', arguments, this)
-		this.inputHistory.push({ input, result })
 		return result
 	}
 } RasPG.registerModule(ParserModule)
+class MapModule {
+	/** @type {Map<string, {opposite?: string, aliases: {[locale: string]: string[]}}>} */
+	static #directions = new Map()
 
-//# Classes
-class RegistryBase {
-	/** @type {Map<string, any>} */
-	static _all = new Map()
-	static _prefix = ''
-	_id
+	static get directions() {
+		return new Map(this.#directions)
+	}
 
-	static get all() {
-		return new Map(this._all)
+	/** Registers a direction exits can lead in. If its opposite is already registered, it's set as the opposite's opposite as well.
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {{opposite?: string, aliases?: {[locale: string]: string[]}}} [options]
+	 * @param [options.opposite] Optional. Direction of the way back, used by two-way connections.
+	 * @param [options.aliases] Optional. Words for the direction in each locale (i.e. `{en: ['n']}`), on top of those given by the locale's adapter (see `LocalizationAdapter`). The name itself is always understood.
+	 */
+	static registerDirection(name, options) {
+		HookModule.run('before:MapModule.registerDirection', arguments, this)
+
+		RasPG.dev.validate.type('MapModule.registerDirection.name', name, 'string')
+		RasPG.dev.validate.props('MapModule.registerDirection.options', options, false, {
+			opposite: 'string',
+			aliases: ['object', '{[locale: string]: string[]}']
+		})
+		if (this.#directions.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('MapModule.#directions', name)
+
+		this.#directions.set(name, { opposite: options?.opposite, aliases: options?.aliases?? {} })
+		if (options?.opposite && this.#directions.has(options.opposite))
+			this.#directions.get(options.opposite).opposite = name
+
+		HookModule.run('after:MapModule.registerDirection', arguments, this)
 	}
+	/** Returns the name of the direction the given word stands for in the given locale, or `null`, if none.
+	 * @param {string} word
+	 * @param {string} [locale] Defaults to the current locale.
+	 */
+	static resolveDirection(word, locale) {
+		HookModule.run('MapModule.resolveDirection', arguments, this)
 
-	get id() {
-		return this._id.slice(this.prototype._prefix.length)
+		RasPG.dev.validate.types('MapModule.resolveDirection', {
+			word: [word, 'string'],
+			locale: [locale, 'string | undefined']
+		})
+
+		for (const name of this.#directions.keys())
+			if (word === name || this.#aliases(name, locale).includes(word))
+				return name
+		return null
 	}
-	get baseID() {
-		const match = this.id.match(/^(.+?)__i\d+$/)
-		if (match)
-			return match[1]
-		else return this._id
+	/** Returns every word standing for a direction in the given locale, longest first, for building command patterns.
+	 * @param {string} [locale] Defaults to the current locale.
+	 */
+	static directionWords(locale) {
+		HookModule.run('MapModule.directionWords', arguments, this)
+
+		RasPG.dev.validate.type('MapModule.directionWords.locale', locale, 'string | undefined')
+
+		return Array.from(this.#directions.keys())
+			.flatMap(name => [name, ...this.#aliases(name, locale)])
+			.sort((a, b) => b.length - a.length)
+	}
+	/** Returns the words for a direction in the given locale (or the current one): its own aliases, followed by the locale adapter's. */
+	static #aliases(name, locale) {
+		const code = locale?? RasPG.config.locale
+		return [
+			...(this.#directions.get(name).aliases[code]?? []),
+			...(RasPG.runtime.localizationAdapters.get(code)?.directions?.[name]?? [])
+		]
+	}
+	/** Connects two locations by an exit in the given direction, adding the Connected component to them if needed. Unless `oneWay` is set, the way back (in the opposite direction) is connected as well, with the same options. Returns `true`, if successful, and `false`, if a location can't be resolved, or the direction (or its opposite, if needed) isn't registered.
+	 * @param {GameObject | string} from
+	 * @param {string} direction
+	 * @param {GameObject | string} to
+	 * @param {{oneWay?: boolean, door?: {object: GameObject | string, state?: string, equals?: boolean | number}, guard?: (agent: GameObject, from: GameObject, to: GameObject) => boolean, cost?: number}} [options]
+	 * @param [options.oneWay] Defaults to `false`.
+	 * @param [options.door] Optional. Object the exit depends on: passable while it's open and unlocked (Openable and Lockable), or, if `state` is given, while its Stateful state is truthy (or strictly equal to `equals`, if given).
+	 * @param [options.guard] Optional. Predicate the exit depends on.
+	 * @param [options.cost] Defaults to 1. Cost of the exit, for pathfinding.
+	 */
+	static connect(from, direction, to, options) {
+		HookModule.run('before:MapModule.connect', arguments, this)
+
+		RasPG.dev.validate.types('MapModule.connect', {
+			from: [from, 'GameObject | string'],
+			direction: [direction, 'string'],
+			to: [to, 'GameObject | string']
+		})
+		RasPG.dev.validate.props('MapModule.connect.options', options, false, {
+			oneWay: 'boolean',
+			door: ['object', '{object: GameObject | string, state?: string, equals?: boolean | number}'],
+			guard: ['function', '(agent: GameObject, from: GameObject, to: GameObject) => boolean'],
+			cost: 'number'
+		})
+
+		const actualFrom = GameObject.resolve(from, { component: Containing, operation: 'MapModule.connect' })
+		const actualTo = GameObject.resolve(to, { component: Containing, operation: 'MapModule.connect' })
+		if (!actualFrom || !actualTo)
+			return false
+		if (!this.#directions.has(direction))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(direction, 'MapModule.#directions')
+		const { oneWay, ...exit } = options?? {}
+		const opposite = this.#directions.get(direction).opposite
+		if (!oneWay && !opposite)
+			return RasPG.dev.logs.elementNotRegisteredInCollection(`opposite of ${direction}`, 'MapModule.#directions')
+
+		actualFrom.addComponent(Connected)
+		actualFrom._exits.connect(direction, actualTo, exit)
+		if (!oneWay) {
+			actualTo.addComponent(Connected)
+			actualTo._exits.connect(opposite, actualFrom, exit)
+		}
+
+		HookModule.run('after:MapModule.connect', arguments, this)
+		return true
 	}
+	/** Removes the exit in the given direction from a location and, unless `oneWay` is set, the way back, if it leads back there. Returns `true`, if an exit was removed, and `false`, otherwise.
+	 * @param {GameObject | string} from
+	 * @param {string} direction
+	 * @param {{oneWay?: boolean}} [options]
+	 * @param [options.oneWay] Defaults to `false`.
+	 */
+	static disconnect(from, direction, options) {
+		HookModule.run('before:MapModule.disconnect', arguments, this)
 
-	/** Registers an element under a unique ID in the registry.
-	 * @param {string} id
-	 * @param {any} value
+		RasPG.dev.validate.types('MapModule.disconnect', {
+			from: [from, 'GameObject | string'],
+			direction: [direction, 'string']
+		})
+		RasPG.dev.validate.props('MapModule.disconnect.options', options, false, {
+			oneWay: 'boolean'
+		})
+
+		const actualFrom = GameObject.resolve(from, { component: Connected, operation: 'MapModule.disconnect' })
+		if (!actualFrom)
+			return false
+		const to = actualFrom._exits.destination(direction)
+		const opposite = this.#directions.get(direction)?.opposite
+		if (!actualFrom._exits.disconnect(direction))
+			return false
+		if (!options?.oneWay && opposite && to?.hasComponent(Connected) && to._exits.destination(opposite) === actualFrom)
+			to._exits.disconnect(opposite)
+
+		HookModule.run('after:MapModule.disconnect', arguments, this)
+		return true
+	}
+	/** Moves an agent through the exit in the given direction from its location, with the 'movement.move' action. Returns `true`, if successful, or why not: 'noExit', 'locked', 'closed', 'blocked' (see `Connected.instance.passable()`) or 'failed' (the action failed).
+	 * @param {GameObject} agent
+	 * @param {string} direction
 	 */
-	static register(id, value) {
-		HookModule.run('before:RegistryBase.register', arguments, this)
+	static traverse(agent, direction) {
+		HookModule.run('before:MapModule.traverse', arguments, this)
 
-		RasPG.dev.validate.type('RegistryBase.register.id', id, 'string')
+		RasPG.dev.validate.types('MapModule.traverse', {
+			agent: [agent, 'GameObject'],
+			direction: [direction, 'string']
+		})
 
-		if (this._all.has(this._prefix+id))
-			throw RasPG.dev.exceptions.GeneralIDConflict('RegistryBase.#all', id)
+		const location = agent.component(Tangible)?.location
+		if (!location?.hasComponent(Connected))
+			return 'noExit'
+		const passable = location._exits.passable(direction, agent)
+		if (passable !== true)
+			return passable
+		const destination = location._exits.destination(direction)
+		if (!Action.perform('movement.move', [agent, destination]))
+			return 'failed'
+
+		EventModule.emit('map.traversed', {
+			object: agent,
+			direction,
+			previous: location.id,
+			current: destination.id
+		})
+		HookModule.run('after:MapModule.traverse', arguments, this)
+		return true
+	}
+	/** Returns the cheapest route between two locations, as the steps taken (direction and location reached), or `null`, if there's none. Exits cost 1, unless set otherwise.
+	 *
+	 * Without a heuristic, this is a breadth-first (uniform-cost, if exits have costs) search; with one, it's A*. The heuristic must never overestimate the remaining cost, for the route to be the cheapest.
+	 * @param {GameObject | string} from
+	 * @param {GameObject | string} to
+	 * @param {{agent?: GameObject, heuristic?: (location: GameObject, goal: GameObject) => number}} [options]
+	 * @param [options.agent] Optional. If given, only exits the agent can currently pass are followed.
+	 * @param [options.heuristic] Optional. Estimated cost from a location to the goal (i.e. distance between coordinates).
+	 * @return {{direction: string, location: GameObject}[] | null}
+	 */
+	static path(from, to, options) {
+		HookModule.run('MapModule.path', arguments, this)
 
-		value._id = this._prefix+id
-		this._all.set(this._prefix+id, value)
+		RasPG.dev.validate.types('MapModule.path', {
+			from: [from, 'GameObject | string'],
+			to: [to, 'GameObject | string']
+		})
+		RasPG.dev.validate.props('MapModule.path.options', options, false, {
+			agent: 'GameObject',
+			heuristic: ['function', '(location: GameObject, goal: GameObject) => number']
+		})
 
-		HookModule.run('after:RegistryBase.register', arguments, this)
+		const start = GameObject.resolve(from, { component: Containing, operation: 'MapModule.path' })
+		const goal = GameObject.resolve(to, { component: Containing, operation: 'MapModule.path' })
+		if (!start || !goal)
+			return null
+		const heuristic = options?.heuristic?? (() => 0)
+
+		const open = [{ location: start, cost: 0, estimate: heuristic(start, goal) }]
+		const costs = new Map([[start.id, 0]])
+		/** @type {Map<string, {previous: GameObject, direction: string, location: GameObject}>} */
+		const steps = new Map()
+		const closed = new Set()
+		while (open.length > 0) {
+			//? Insertion order breaks ties, keeping the search breadth-first
+			const { location, cost } = open.splice(open.reduce((best, e, i) => e.estimate < open[best].estimate? i : best, 0), 1)[0]
+			if (location === goal) {
+				const route = []
+				for (let step = steps.get(goal.id); step; step = steps.get(step.previous.id))
+					route.unshift({ direction: step.direction, location: step.location })
+				return route
+			}
+			if (closed.has(location.id) || !location.hasComponent(Connected))
+				continue
+			closed.add(location.id)
+
+			for (const [direction, exit] of location._exits.exits) {
+				if (options?.agent && location._exits.passable(direction, options.agent) !== true)
+					continue
+				const next = location._exits.destination(direction)
+				const nextCost = cost + (exit.cost?? 1)
+				if (!next || (costs.has(next.id) && costs.get(next.id) <= nextCost))
+					continue
+				costs.set(next.id, nextCost)
+				steps.set(next.id, { previous: location, direction, location: next })
+				open.push({ location: next, cost: nextCost, estimate: nextCost + heuristic(next, goal) })
+			}
+		}
+		return null
+	}
+	/** Moves an agent one exit along the cheapest route it can currently take to the given location (see `MapModule.path()`), through `MapModule.traverse()`. Used by the 'movement.goTo' act, for NPCs to travel a turn at a time. Returns `true`, if successful, 'arrived', if the agent is already there, or why not: 'noPath' (there's no route it can take), or those of `traverse()`.
+	 * @param {GameObject} agent
+	 * @param {GameObject | string} to
+	 * @param {{heuristic?: (location: GameObject, goal: GameObject) => number}} [options] Passed on to `MapModule.path()`.
+	 */
+	static step(agent, to, options) {
+		HookModule.run('before:MapModule.step', arguments, this)
+
+		RasPG.dev.validate.types('MapModule.step', {
+			agent: [agent, 'GameObject'],
+			to: [to, 'GameObject | string']
+		})
+
+		const location = agent.component(Tangible)?.location
+		const goal = GameObject.resolve(to, { component: Containing, operation: 'MapModule.step' })
+		if (!location || !goal)
+			return 'noPath'
+		if (location === goal)
+			return 'arrived'
+		const route = this.path(location, goal, Object.assign({}, options, { agent }))
+		if (!route)
+			return 'noPath'
+		const result = this.traverse(agent, route[0].direction)
+
+		HookModule.run('after:MapModule.step', arguments, this)
+		return result
+	}
+} RasPG.registerModule(MapModule)
+class DescriptionModule {
+	/** @type {Map<string, (a: GameObject, b: GameObject) => number>} */
+	static #orderingRules = new Map()
+
+	static get orderingRules() {
+		return new Map(this.#orderingRules)
+	}
+
+	/** Registers a rule for the order objects are described in by `DescriptionModule.compose()`, as a comparison function (negative, if `a` goes first). Rules are applied in the order they were registered, each only breaking ties left by the ones before; objects tied by all keep their order in the container.
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {(a: GameObject, b: GameObject) => number} compare
+	 */
+	static registerOrderingRule(name, compare) {
+		HookModule.run('before:DescriptionModule.registerOrderingRule', arguments, this)
+
+		RasPG.dev.validate.types('DescriptionModule.registerOrderingRule', {
+			name: [name, 'string'],
+			compare: [compare, ['function', '(a: GameObject, b: GameObject) => number']]
+		})
+		if (this.#orderingRules.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('DescriptionModule.#orderingRules', name)
+
+		this.#orderingRules.set(name, compare)
+
+		HookModule.run('after:DescriptionModule.registerOrderingRule', arguments, this)
+	}
+	/** Unregisters an ordering rule. Returns `true`, if successful, and `false`, if it wasn't registered.
+	 * @param {string} name
+	 */
+	static unregisterOrderingRule(name) {
+		HookModule.run('before:DescriptionModule.unregisterOrderingRule', arguments, this)
+
+		RasPG.dev.validate.type('DescriptionModule.unregisterOrderingRule.name', name, 'string')
+		if (!this.#orderingRules.has(name))
+			return false
+
+		this.#orderingRules.delete(name)
+
+		HookModule.run('after:DescriptionModule.unregisterOrderingRule', arguments, this)
+		return true
+	}
+	/** Returns the name of an object, from Describable, or its own 'name' string (i.e. Areas), or its ID.
+	 * @param {GameObject} object
+	 */
+	static nameOf(object) {
+		HookModule.run('DescriptionModule.nameOf', arguments, this)
+
+		RasPG.dev.validate.type('DescriptionModule.nameOf.object', object, 'GameObject')
+
+		if (object.hasComponent(Describable))
+			return object._description.canonicalName
+		return object._strings?.get('name')?? object.id
+	}
+	/** Lists objects in a sentence (i.e. 'a lamp, two coins and a sword'), following the current locale. Describable objects are named by the current locale's LocalizationAdapter, if one is registered ('ART.NDEF-ADJ-NOUN', or 'COUNT-ADJ-NOUN', for counts other than one), and through `RasPG.utils.lang`, otherwise. They're joined by the adapter's `phrasing.list()`, or by commas, without one.
+	 * @param {GameObject[]} objects
+	 */
+	static list(objects) {
+		HookModule.run('DescriptionModule.list', arguments, this)
+
+		RasPG.dev.validate.type('DescriptionModule.list.objects', objects, 'GameObject[]')
+
+		const lang = RasPG.utils.lang[RasPG.config.locale]
+		const adapter = RasPG.currentLocaleAdapter
+		const names = objects.map(object => {
+			const name = this.nameOf(object)
+			const count = object.component(Countable)?.count?? 1
+			if (count === 1 && object.component(Describable)?.metadata[RasPG.config.locale]?.nameIsProper)
+				return name
+			if (adapter && object.hasComponent(Describable))
+				return adapter.morph(object.id, count !== 1? 'COUNT-ADJ-NOUN' : 'ART.NDEF-ADJ-NOUN')
+			if (count !== 1)
+				return `${count} ${lang?.plural?.(name)?? name}`
+			return lang?.withArticle? `${lang.withArticle(name)} ${name}` : name
+		})
+		return adapter?.phrasing?.list? adapter.phrasing.list(names) : names.join(', ')
+	}
+	/** Composes the description of a location, as seen by the given sensor, if any: its description, then a sentence for each Tangible object in it with a 'sight' perception for the 'inRoom' context (or its variants, see `Perceptible.perceive()`), and then a sentence listing the rest (see `DescriptionModule.list()`). Objects tagged 'SCENERY', and those out of the sensor's scope (see `ParserModule.scope()`), are left out, and the rest are ordered by the registered ordering rules.
+	 *
+	 * Locations are tagged 'VISITED' when composed; after that, their 'briefDescription' string is used instead, if they have one, unless `options.verbose` is `true`. Returns an empty array, if the sensor can't see there (see `LightSource.canSee()`).
+	 * @param {GameObject} location
+	 * @param {{sensor?: GameObject, verbose?: boolean, visit?: boolean, sentence?: (listing: string, also: boolean) => string}} [options]
+	 * @param [options.sensor] Optional. Object the description is for.
+	 * @param [options.verbose] Defaults to `false`. If `true`, the full description is used even if the location was visited.
+	 * @param [options.visit] Defaults to `true`. If `false`, the location isn't tagged as visited.
+	 * @param [options.sentence] Optional. Makes the sentence listing the rest of the objects, told whether other objects had sentences of their own. Defaults to the current locale's adapter's `phrasing.contentsSentence()`; without one, the listing is used as is.
+	 * @return {string[]}
+	 */
+	static compose(location, options) {
+		HookModule.run('before:DescriptionModule.compose', arguments, this)
+
+		RasPG.dev.validate.type('DescriptionModule.compose.location', location, 'GameObject')
+		RasPG.dev.validate.props('DescriptionModule.compose.options', options, false, {
+			sensor: 'GameObject',
+			verbose: 'boolean',
+			visit: 'boolean',
+			sentence: ['function', '(listing: string, also: boolean) => string']
+		})
+		const sensor = options?.sensor
+		if (sensor && !LightSource.canSee(sensor, location))
+			return []
+
+		const output = []
+		const visited = location.tags.has('VISITED')
+		const description = visited && !options?.verbose && location._strings?.get('briefDescription')
+			|| (location.hasComponent(Describable)? location._description.description : location._strings?.get('description'))
+		if (description)
+			output.push(SubTextModule.parse(description))
+		if (options?.visit !== false && !visited)
+			location.tag('VISITED')
+
+		const scope = sensor? new Set(ParserModule.scope(sensor)) : null
+		const rules = Array.from(this.#orderingRules.values())
+		const objects = Array.from(location.component(Containing)?.contents?? [])
+			.filter(object => object !== sensor && object.hasComponent(Tangible) && !object.tags.has('SCENERY') && (!scope || scope.has(object)))
+			.sort((a, b) => {
+				for (const compare of rules) {
+					const order = compare(a, b)
+					if (order)
+						return order
+				}
+				return 0
+			})
+
+		const listed = []
+		for (const object of objects) {
+			const perception = object.component(Perceptible)?.perceive('sight', 'inRoom', sensor?? location)
+			if (perception)
+				output.push(SubTextModule.parse(perception))
+			else
+				listed.push(object)
+		}
+		if (listed.length > 0) {
+			const listing = this.list(listed)
+			const also = listed.length < objects.length
+			const phrasing = RasPG.currentLocaleAdapter?.phrasing
+			if (options?.sentence)
+				output.push(options.sentence(listing, also))
+			else
+				output.push(phrasing?.contentsSentence? phrasing.contentsSentence(listing, also) : listing)
+		}
+
+		HookModule.run('after:DescriptionModule.compose', arguments, this)
+		return output
+	}
+} RasPG.registerModule(DescriptionModule)
+class SaveModule {
+	/** @type {Map<string, StorageBackend>} */
+	static #backends = new Map()
+	static #currentBackend = 'memory'
+	/** @type {{target: string, version: string, description: string, migrate: (world: Object, metadata: Object) => Object | void}[]} */
+	static #migrations = []
+	/** @type {MigrationReport | null} */
+	static lastMigrationReport = null
+	/** Functions kept as they are while taking (or restoring) a snapshot, by their placeholders' index. See `snapshot()`.
+	 * @type {Function[] | null}
+	 */
+	static #functions = null
+
+	static get backends() {
+		return new Map(this.#backends)
+	}
+	static get currentBackend() {
+		return this.#backends.get(this.#currentBackend)
+	}
+
+	/** Registers a storage backend under the given name. Throws an exception if the name is already registered.
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {StorageBackend} backend
+	 */
+	static registerBackend(name, backend) {
+		HookModule.run('before:SaveModule.registerBackend', arguments, this)
+
+		RasPG.dev.validate.types('SaveModule.registerBackend', {
+			name: [name, 'string'],
+			backend: [backend, 'StorageBackend'],
+		})
+		if (this.#backends.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('SaveModule.#backends', name)
+
+		this.#backends.set(name, backend)
+
+		HookModule.run('after:SaveModule.registerBackend', arguments, this)
 		return this
 	}
-	/** Unregisters (essentially deletes) an element under a unique ID in the registry.
-	 * @param {string} id
-	 * @param {any} value
+	/** Sets the storage backend used by default for save operations. Returns `true`, if successful, and `false`, if the backend isn't registered.
+	 * @param {string} name
 	 */
-	static unregister(id) {
-		HookModule.run('before:RegistryBase.unregister', arguments, this)
+	static useBackend(name) {
+		HookModule.run('before:SaveModule.useBackend', arguments, this)
 
-		RasPG.dev.validate.type('RegistryBase.unregister.id', id, 'string')
+		RasPG.dev.validate.type('SaveModule.useBackend.name', name, 'string')
+		if (!this.#backends.has(name))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(name, 'SaveModule.#backends')
 
-		if (!this._all.has(this._prefix+id))
-			throw RasPG.dev.logs.elementNotRegisteredInCollection(id, 'RegistryBase.#all')
+		this.#currentBackend = name
 
-		this._all.delete(this._prefix+id)
+		HookModule.run('after:SaveModule.useBackend', arguments, this)
+		return true
+	}
+	/** Registers a migration, to be applied to saves made before the given version of its target, when loaded under that version or a later one. Migrations for the same target are applied in version order, and in registration order for the same version.
+	 *
+	 * Migrations receive the raw serialized world (as returned by `serialize()`) and the save's metadata, and may either mutate the world or return a replacement for it. Throwing an exception aborts the migration, and the load.
+	 * @param {string | 'core' | 'game'} target Either 'core' (framework version), 'game' (`RasPG.config.gameVersion`), or the name of a registered extension.
+	 * @param {string} version Format: MAJOR.MINOR.PATCH[-BRANCH].
+	 * @param {(world: Object, metadata: Object) => Object | void} migrate
+	 * @param {{description?: string}} [options]
+	 * @param [options.description] Optional. A description of what the migration changes, for reports.
+	 */
+	static registerMigration(target, version, migrate, options) {
+		HookModule.run('before:SaveModule.registerMigration', arguments, this)
 
-		HookModule.run('after:RegistryBase.unregister', arguments, this)
+		RasPG.dev.validate.types('SaveModule.registerMigration', {
+			target: [target, 'string'],
+			version: [version, 'string'],
+			migrate: [migrate, ['function', '(world: Object, metadata: Object) => Object | void']],
+		})
+		RasPG.dev.validate.props('SaveModule.registerMigration.options', options, false, {
+			description: 'string'
+		})
+		RasPG.dev.validate.versioning(`SaveModule.migrations.${target}`, version)
+
+		this.#migrations.push({ target, version, description: options?.description?? '', migrate })
+
+		HookModule.run('after:SaveModule.registerMigration', arguments, this)
 		return this
 	}
-	/** Returns an element by exact ID, `null`, if not found.
-	 * @param {string} id
-	 * @returns {any | null}
+	/** Applies all pending migrations to a copy of the given save, in order: core, then extensions (in registration order), then game. Returns a report, including the migrated save if all migrations succeeded. The given save is never mutated.
+	 * @param {{metadata: Object, world: Object}} save
+	 * @returns {MigrationReport}
 	 */
-	static getByID(id) {
-		HookModule.run('RegistryBase.getByID', arguments, this)
+	static migrate(save) {
+		HookModule.run('before:SaveModule.migrate', arguments, this)
+
+		const migrated = structuredClone(save)
+		const targets = [
+			['core', save.metadata.core, RasPG.metadata.version],
+			...Array.from(RasPG.runtime.extensions.values())
+				.map(e => [e.name, save.metadata.extensions?.[e.name], e.version]),
+			['game', save.metadata.game, RasPG.config.gameVersion]
+		]
+		/** @type {MigrationReport} */
+		const report = {
+			success: true,
+			slot: save.metadata.slot,
+			applied: [],
+			failed: null,
+			save: null
+		}
 
-		RasPG.dev.validate.type('RegistryBase.getByID.id', id, 'string')
+		for (const [target, from, to] of targets) {
+			//* Target absent from the save has no data to migrate
+			if (from === undefined || to === undefined)
+				continue
+			const pending = this.#migrations
+				.filter(m => m.target === target
+					&& RasPG.utils.version.compare(from, m.version) < 0
+					&& RasPG.utils.version.compare(m.version, to) <= 0)
+				.sort((a, b) => RasPG.utils.version.compare(a.version, b.version))
+
+			for (const migration of pending) {
+				const entry = { target, version: migration.version, description: migration.description }
+				try {
+					const result = migration.migrate(migrated.world, migrated.metadata)
+					if (result !== undefined)
+						migrated.world = result
+				} catch (error) {
+					report.success = false
+					report.failed = Object.assign(entry, { error: error?.message?? String(error) })
+					break
+				}
+				report.applied.push(entry)
+			}
+			if (!report.success)
+				break
+		}
 
-		const ret = this._all.get(this._prefix+id)?? this._all.find(e => e.id === id)
-		if (ret)
-			return ret
-		RasPG.dev.logs.elementNotRegisteredInCollection(id, 'RegistryBase.#all')
-		return null
+		if (report.success) {
+			migrated.metadata.core = RasPG.metadata.version
+			migrated.metadata.game = RasPG.config.gameVersion
+			migrated.metadata.extensions = Object.fromEntries(Array.from(RasPG.runtime.extensions.values()).map(e => [e.name, e.version]))
+			report.save = migrated
+		}
+		this.lastMigrationReport = report
+
+		HookModule.run('after:SaveModule.migrate', arguments, this)
+		return report
 	}
-	/** Returns an array containing all elements with the given baseID.
-	 * @param {string} baseID
+	/** Compiles the current state of the world (objects, templates, global strings, turn counter and queue, and registered action and command IDs) into a JSON-compatible object, and returns it.
+	 *
+	 * Functions (i.e. in scheduled turn callbacks and global strings) are only kept if `RasPG.config.serializeFunctions` is set.
 	 */
-	static getAllByBaseID(baseID) {
-		HookModule.run('RegistryBase.getByBaseID', arguments, this)
+	static serialize() {
+		HookModule.run('before:SaveModule.serialize', arguments, this)
 
-		RasPG.dev.validate.type('RegistryBase.getByBaseID.id', baseID, 'string')
+		RasPG.runtime.state.inner.push('serializing')
 
-		const ret = Array.from(this._all.values())
-			.filter(e => e.baseID === baseID)
+		const data = {
+			objects: [],
+			templates: [],
+			actions: Array.from(Action._all.keys()),
+			commands: Array.from(Command._all.keys()),
+			strings: [],
+			turn: {
+				counter: RasPG.runtime.turn.counter,
+				queued: []
+			}
+		}
+		//* Areas share the GameObject registry under a different key; serialize each instance once
+		for (const object of new Set(GameObject._all.values()))
+			data.objects.push(object.serialize())
+		for (const template of TemplateModule._all.values())
+			data.templates.push({
+				name: template.name,
+				serialized: structuredClone(template.serialized),
+				constructor: template.constructor.name,
+				instances: template.instances
+			})
+		//* Functions that can't be serialized are left out
+		for (const [key, string] of Stringful.globals.entries())
+			if (this.serializeFunction(string) !== undefined)
+				data.strings.push([key, this.serializeFunction(string)])
+		for (const [key, queue] of RasPG.runtime.turn.queued.entries())
+			data.turn.queued.push([key, queue
+				.filter(item => this.serializeFunction(item.callback) !== undefined)
+				.map(item => Object.assign({}, item, {
+					callback: this.serializeFunction(item.callback),
+					predicate: item.predicate? this.serializeFunction(item.predicate) : undefined
+				}))])
 
-		if (ret.length === 0)
-			RasPG.dev.logs.elementNotRegisteredInCollection(baseID, 'RegistryBase.#all')
-		return ret
+		RasPG.runtime.state.inner.pop()
+
+		HookModule.run('after:SaveModule.serialize', arguments, this)
+		return data
 	}
-	/** Performs fuzzy matching on IDs. Supports RegEx-like `^` and `$`, for beginning and end, and `*`, for wildcard. Always returns an array.
-	 * @param {string} pattern
-	 * @returns {any[]}
+	/** Replaces the current world with the one described by the given data, as returned by `serialize()`. Components' deferred operations (i.e. Tangible locations, Containing contents) are resolved once all objects have been recreated.
+	 *
+	 * Actions and commands are not recreated; saved IDs missing from their registries are logged as warnings.
+	 * @param {ReturnType<typeof SaveModule.serialize>} data
 	 */
-	static findFuzzy(pattern) {
-		HookModule.run('RegistryBase.findFuzzy', arguments, this)
-		RasPG.dev.validate.type('RegistryBase.findFuzzy.pattern', pattern, 'string')
+	static deserialize(data) {
+		HookModule.run('before:SaveModule.deserialize', arguments, this)
+
+		RasPG.dev.validate.props('SaveModule.deserialize.data', data, {
+			objects: 'object[]',
+			templates: 'object[]',
+			actions: 'string[]',
+			commands: 'string[]',
+			strings: 'Array<string[]>',
+			turn: 'object'
+		})
 
-		let results = Array.from(this._all.entries())
-			.filter(([id, element]) => id.match(new RegExp(this._prefix+pattern.replaceAll('*', '.*'))))
-			.map(([id, element]) => element)
+		//* Check for missing classes and components before touching the current world
+		for (const template of data.templates)
+			if (!RasPG.runtime.classes.has(template.constructor))
+				throw RasPG.dev.exceptions.DeserializerMissingClass(template.constructor)
+		for (const object of data.objects) {
+			if (!RasPG.runtime.classes.has(object.class))
+				throw RasPG.dev.exceptions.DeserializerMissingClass(object.class)
+			for (const name in object.components)
+				if (!RasPG.runtime.components.has(name))
+					throw RasPG.dev.exceptions.DeserializerMissingComponent(name)
+		}
+
+		RasPG.runtime.state.inner.push('serializing')
+
+		//* Objects, templates and region memberships are deserialized into staging collections, and the current world is only replaced once all of them have loaded
+		const previous = {
+			objects: GameObject._all,
+			templates: TemplateModule._all,
+			parents: Region._parents,
+			deferred: EventModule.listeners('state.**.changed')
+		}
+		GameObject._all = new Map()
+		TemplateModule._all = new Map(previous.templates)
+		Region._parents = new Map()
+		try {
+			for (const template of data.templates) {
+				const constructor = RasPG.runtime.classes.get(template.constructor)
+				TemplateModule._all.set(TemplateModule._prefix+template.name, {
+					_id: TemplateModule._prefix+template.name,
+					name: template.name,
+					serialized: template.serialized,
+					constructor,
+					instances: template.instances
+				})
+			}
+			for (const object of data.objects)
+				RasPG.runtime.classes.get(object.class).deserializer(object)
+		} catch (error) {
+			for (const object of new Set(GameObject._all.values()))
+				EventModule.removeAllBy(object)
+			//? Staged objects defer work until serialization ends (i.e. Containing adding its contents), which would otherwise run against the current world
+			for (const listener of EventModule.listeners('state.**.changed'))
+				if (!previous.deferred.has(listener))
+					EventModule.off(listener.event, listener.callback, {})
+			GameObject._all = previous.objects
+			TemplateModule._all = previous.templates
+			Region._parents = previous.parents
+			RasPG.runtime.state.inner.pop()
+			throw error
+		}
+		for (const object of new Set(previous.objects.values()))
+			EventModule.removeAllBy(object)
+		for (const [key, string] of data.strings)
+			Stringful.set(key, this.deserializeFunction(string))
+
+		this.#restoreTurn(data.turn)
+
+		for (const id of data.actions)
+			if (!Action._all.has(id))
+				RasPG.dev.logs.elementNotRegisteredInCollection(id, 'Action.#all')
+		for (const id of data.commands)
+			if (!Command._all.has(id))
+				RasPG.dev.logs.elementNotRegisteredInCollection(id, 'Command.#all')
+
+		//* Popping the state runs deferred component operations
+		RasPG.runtime.state.inner.pop()
+
+		HookModule.run('after:SaveModule.deserialize', arguments, this)
+		return true
+	}
+	/** Takes an in-memory snapshot of the world, to be brought back by `restore()` (i.e. when undoing commands). Unlike `serialize()`, functions are kept as they are, whether or not `RasPG.config.serializeFunctions` is set, and the objects themselves are kept, so references to them stay valid once restored.
+	 *
+	 * Costs a serialization (and deep copy) of the whole world; snapshots aren't meant to be saved.
+	 * @returns {WorldSnapshot}
+	 */
+	static snapshot() {
+		HookModule.run('before:SaveModule.snapshot', arguments, this)
+
+		const functions = SaveModule.#functions = []
+		let data
+		try {
+			data = structuredClone(this.serialize())
+		} finally {
+			SaveModule.#functions = null
+		}
+		const snapshot = {
+			data,
+			functions,
+			//? Same order as `data.objects`
+			objects: Array.from(new Set(GameObject._all.values())),
+			registry: new Map(GameObject._all)
+		}
+
+		HookModule.run('after:SaveModule.snapshot', arguments, this)
+		return snapshot
+	}
+	/** Brings the world back to how it was when the given snapshot was taken, in place: objects get their tags and components back, objects created since are dropped, and objects removed since are registered again, as the same instances. Stringful globals and the turn's counter and queue are restored as well.
+	 * @param {WorldSnapshot} snapshot
+	 */
+	static restore(snapshot) {
+		HookModule.run('before:SaveModule.restore', arguments, this)
+
+		RasPG.dev.validate.props('SaveModule.restore.snapshot', snapshot, {
+			data: 'object',
+			functions: 'function[]',
+			objects: 'GameObject[]',
+			registry: ['object', 'Map<string, GameObject>']
+		})
+
+		RasPG.runtime.state.inner.push('serializing')
+		SaveModule.#functions = snapshot.functions
+		try {
+			const kept = new Set(snapshot.objects)
+			for (const object of new Set(GameObject._all.values()))
+				if (!kept.has(object))
+					EventModule.removeAllBy(object)
+			GameObject._all = new Map(snapshot.registry)
+			Region._parents = new Map()
+			for (const [i, object] of snapshot.objects.entries())
+				object.constructor.restorer(object, structuredClone(snapshot.data.objects[i]))
+
+			for (const [key, string] of snapshot.data.strings)
+				Stringful.set(key, this.deserializeFunction(string))
+			this.#restoreTurn(snapshot.data.turn)
+		} finally {
+			SaveModule.#functions = null
+			//* Popping the state runs deferred component operations
+			RasPG.runtime.state.inner.pop()
+		}
+
+		HookModule.run('after:SaveModule.restore', arguments, this)
+		return true
+	}
+	/** Replaces the turn's counter and queue with the serialized ones. */
+	static #restoreTurn(turn) {
+		RasPG.runtime.turn.counter = turn.counter
+		RasPG.runtime.turn.queued.clear()
+		for (const [key, queue] of turn.queued) {
+			const items = []
+			for (const item of queue)
+				items.push(Object.assign({}, item, {
+					callback: this.deserializeFunction(item.callback),
+					predicate: item.predicate? this.deserializeFunction(item.predicate) : undefined
+				}))
+			if (items.length)
+				RasPG.runtime.turn.queued.set(key, items)
+		}
+	}
+	/** Serializes the world and writes it to the given slot, along with its metadata. Returns `true`, if successful, and `null`, if the backend isn't registered.
+	 * @param {string} slot Convention: no spaces, camelCase. Only letters, numbers, dots, dashes and underscores.
+	 * @param {{label?: string, backend?: string}} [options]
+	 * @param [options.label] Optional. A player-facing name for the save.
+	 * @param [options.backend] Optional. Name of the storage backend to be used instead of the current one.
+	 */
+	static save(slot, options) {
+		HookModule.run('before:SaveModule.save', arguments, this)
+
+		RasPG.dev.validate.type('SaveModule.save.slot', slot, 'string')
+		RasPG.dev.validate.props('SaveModule.save.options', options, false, {
+			label: 'string',
+			backend: 'string'
+		})
+		if (!slot.match(/^[\w.-]+$/))
+			throw RasPG.dev.exceptions.BrokenStringFormat(slot, 'letters, numbers, dots, dashes and underscores')
+		const backend = this.#backends.get(options?.backend?? this.#currentBackend)
+		if (!backend) {
+			RasPG.dev.logs.elementNotRegisteredInCollection(options?.backend?? this.#currentBackend, 'SaveModule.#backends')
+			return null
+		}
+
+		const metadata = {
+			slot,
+			label: options?.label?? slot,
+			timestamp: Date.now(),
+			turn: RasPG.runtime.turn.counter,
+			core: RasPG.metadata.version,
+			game: RasPG.config.gameVersion,
+			extensions: Object.fromEntries(Array.from(RasPG.runtime.extensions.values()).map(e => [e.name, e.version]))
+		}
+		backend.write(slot, { metadata, world: this.serialize() })
+
+		EventModule.emit('save.saved', {
+			object: SaveModule,
+			label: 'SaveModule',
+			slot,
+			metadata
+		})
+		HookModule.run('after:SaveModule.save', arguments, this)
+		return true
+	}
+	/** Reads the given slot, applies pending migrations, and replaces the current world with the saved one. Returns `true`, if successful, `null`, if either the slot or the backend isn't found, and `false`, if a migration failed, in which case the current world is left untouched; consult `SaveModule.lastMigrationReport` for details.
+	 * @param {string} slot
+	 * @param {{backend?: string}} [options]
+	 * @param [options.backend] Optional. Name of the storage backend to be used instead of the current one.
+	 */
+	static load(slot, options) {
+		HookModule.run('before:SaveModule.load', arguments, this)
+
+		RasPG.dev.validate.type('SaveModule.load.slot', slot, 'string')
+		RasPG.dev.validate.props('SaveModule.load.options', options, false, {
+			backend: 'string'
+		})
+		const backend = this.#backends.get(options?.backend?? this.#currentBackend)
+		if (!backend) {
+			RasPG.dev.logs.elementNotRegisteredInCollection(options?.backend?? this.#currentBackend, 'SaveModule.#backends')
+			return null
+		}
+		const save = backend.read(slot)
+		if (!save) {
+			RasPG.dev.logs.elementNotRegisteredInCollection(slot, 'SaveModule.currentBackend')
+			return null
+		}
+
+		const report = this.migrate(save)
+		if (!report.success) {
+			RasPG.dev.logs.migrationFailed(report.failed.target, report.failed.version, slot, report.failed.error)
+			EventModule.emit('save.migration.failed', {
+				object: SaveModule,
+				label: 'SaveModule',
+				slot,
+				report
+			})
+			return false
+		}
+		if (report.applied.length)
+			EventModule.emit('save.migrated', {
+				object: SaveModule,
+				label: 'SaveModule',
+				slot,
+				report
+			})
+
+		this.deserialize(report.save.world)
+
+		EventModule.emit('save.loaded', {
+			object: SaveModule,
+			label: 'SaveModule',
+			slot,
+			metadata: save.metadata
+		})
+		HookModule.run('after:SaveModule.load', arguments, this)
+		return true
+	}
+	/** Deletes the given slot. Returns `true`, if successful, and `null`, if either the slot or the backend isn't found.
+	 * @param {string} slot
+	 * @param {{backend?: string}} [options]
+	 * @param [options.backend] Optional. Name of the storage backend to be used instead of the current one.
+	 */
+	static delete(slot, options) {
+		HookModule.run('before:SaveModule.delete', arguments, this)
+
+		RasPG.dev.validate.type('SaveModule.delete.slot', slot, 'string')
+		const backend = this.#backends.get(options?.backend?? this.#currentBackend)
+		if (!backend) {
+			RasPG.dev.logs.elementNotRegisteredInCollection(options?.backend?? this.#currentBackend, 'SaveModule.#backends')
+			return null
+		}
+		if (!backend.remove(slot)) {
+			RasPG.dev.logs.elementNotRegisteredInCollection(slot, 'SaveModule.currentBackend')
+			return null
+		}
 
-		return results
+		EventModule.emit('save.deleted', {
+			object: SaveModule,
+			label: 'SaveModule',
+			slot
+		})
+		HookModule.run('after:SaveModule.delete', arguments, this)
+		return true
 	}
-	/** Returns all entries matching a predicate function.
-	 * @param {(value: any, id: string) => boolean} predicate
-	 * @returns {any[]}
+	/** Returns an array containing the metadata of every save in the backend, sorted by most recent first.
+	 * @param {{backend?: string}} [options]
+	 * @param [options.backend] Optional. Name of the storage backend to be used instead of the current one.
 	 */
-	static filter(predicate) {
-		HookModule.run('RegistryBase.filter', arguments, this)
+	static list(options) {
+		HookModule.run('SaveModule.list', arguments, this)
 
-		RasPG.dev.validate.type('RegistryBase.filter.predicate', predicate, 'function')
-
-		const results = Array.from(this._all.entries()).filter(predicate)
+		const backend = this.#backends.get(options?.backend?? this.#currentBackend)
+		if (!backend)
+			return []
 
-		return results
+		return backend.list()
+			.map(slot => backend.read(slot)?.metadata)
+			.filter(e => e)
+			.sort((a, b) => b.timestamp - a.timestamp)
 	}
 
-	/** Unregisters (essentially deletes) the object from its class registry.
+	/** Returns the given function as a string prefixed with 'SERIALIZED_FUNCTION:', or `undefined`, if `RasPG.config.serializeFunctions` is off (so callers may leave it out). Other values are returned as they are.
+	 *
+	 * While taking a snapshot, functions are instead kept as they are, and replaced with placeholders prefixed with 'SNAPSHOT_FUNCTION:'.
+	 * @param {any} value
 	 */
-	unregister() {
-		HookModule.run('before:RegistryBase.instance.unregister', arguments, this)
-
-		this.prototype.unregister(this.id)
-
-		HookModule.run('after:RegistryBase.instance.unregister', arguments, this)
+	static serializeFunction(value) {
+		if (typeof value !== 'function')
+			return value
+		if (SaveModule.#functions)
+			return 'SNAPSHOT_FUNCTION:' + (SaveModule.#functions.push(value) - 1)
+		if (RasPG.config.serializeFunctions)
+			return 'SERIALIZED_FUNCTION:' + value.toString()
+		return undefined
 	}
-} RasPG.registerClass(RegistryBase)
+	/** Reverses `serializeFunction()`: strings prefixed with 'SERIALIZED_FUNCTION:' are evaluated back into functions, and snapshot placeholders, while restoring one, are replaced with the functions they kept. Other values are returned as they are.
+	 * @param {any} value
+	 */
+	static deserializeFunction(value) {
+		if (typeof value === 'string' && value.startsWith('SERIALIZED_FUNCTION:'))
+			return eval(value.slice(20))
+		if (typeof value === 'string' && value.startsWith('SNAPSHOT_FUNCTION:') && SaveModule.#functions)
+			return SaveModule.#functions[value.slice(18)]
+		return value
+	}
+} RasPG.registerModule(SaveModule)
+
+//# Classes
 class GameObject extends RegistryBase {
 	/** @type {Map<string, GameObject>} */
 	static _all = new Map()
-	static serializer = function(object) {
+	/**
+	 * @param {GameObject} object
+	 * @param {{delta?: boolean}} [options]
+	 * @param [options.delta] Whether objects instantiated from a template should be serialized as their differences from it. Default behavior can be configured in `RasPG.config.serializeTemplateDeltas`.
+	 */
+	static serializer = function(object, options) {
 		const data = {
 			class: object.constructor.name,
 			id: object.id,
@@ -1500,20 +3555,48 @@ class GameObject extends RegistryBase {
 		}
 		for (const [name, instance] of object._components.entries())
 			data.components[name] = instance.serialize()
-		return data
+
+		if (!(options?.delta?? RasPG.config.serializeTemplateDeltas))
+			return data
+		const template = TemplateModule.templateOf(object)
+		if (!template)
+			return data
+		return GameObject.delta(data, template)
 	}
 	static deserializer = function(data) {
-		const {components, ...rest} = data
-		const object = new this(data.id, Object.assign(rest, {components: Object.keys(components)}))
+		if ('template' in data)
+			data = GameObject.patch(data)
+		const {components, class: _, ...rest} = data
+		//* Components are added from their deserialized instances, in serialized order (requirements first)
+		const object = new this(data.id, Object.assign(rest, {components: []}))
 		for (const [name, cData] of Object.entries(data.components)) {
 			const component = RasPG.runtime.components.get(name)
 			if (!component)
-				throw RasPG.dev.exceptions.DeserializerMissingComponent()
+				throw RasPG.dev.exceptions.DeserializerMissingComponent(name)
 			const instance = component.deserializer(cData)
 			object.addComponent(instance)
 		}
 		return object
 	}
+	/** Applies serialized data onto an existing object, in place of its current tags and components (see `SaveModule.restore()`). */
+	static restorer = function(object, data) {
+		if ('template' in data)
+			data = GameObject.patch(data)
+		for (const tag of object.tags)
+			object.untag(tag)
+		for (const tag of data.tags)
+			object.tag(tag)
+		for (const instance of object._components.values())
+			if (instance.constructor.reference)
+				delete object[instance.constructor.reference]
+		object._components.clear()
+		for (const [name, cData] of Object.entries(data.components)) {
+			const component = RasPG.runtime.components.get(name)
+			if (!component)
+				throw RasPG.dev.exceptions.DeserializerMissingComponent(name)
+			object.addComponent(component.deserializer(cData))
+		}
+	}
 	#tags = new Set()
 	_components = new Map()
 
@@ -1525,6 +3608,7 @@ class GameObject extends RegistryBase {
 	 * @param [options.register] If strictly `false`, instance will not be registered to GameObject.#all.
 	 */
 	constructor(id, options) {
+		super()
 		HookModule.run('before:GameObject.constructor', arguments, this)
 
 		RasPG.dev.validate.type('GameObject.constructor.id', id, 'string')
@@ -1558,6 +3642,72 @@ class GameObject extends RegistryBase {
 		return new Set(this.#tags)
 	}
 
+	/** Compiles a serialized templated object into only its differences from the given registered template's serialized snapshot, per component and per key, and returns it.
+	 *
+	 * Components absent from the template are kept in full, and components removed from the instance are listed under `removed`.
+	 * @param {{class: string, id: string, tags: string[], components: {[name: string]: any}}} data
+	 * @param {{name: string, serialized: {id: string, tags: string[], components: {}}}} template
+	 */
+	static delta(data, template) {
+		HookModule.run('GameObject.delta', arguments, this)
+
+		const delta = {
+			class: data.class,
+			id: data.id,
+			tags: data.tags,
+			template: template.name,
+			components: {},
+			removed: []
+		}
+		for (const [name, cData] of Object.entries(data.components)) {
+			if (!(name in template.serialized.components)) {
+				delta.components[name] = cData
+				continue
+			}
+			const component = RasPG.runtime.components.get(name)
+			const cDelta = (component?.delta?? Component.delta)(template.serialized.components[name], cData)
+			if (cDelta !== undefined)
+				delta.components[name] = cDelta
+		}
+		for (const name in template.serialized.components)
+			if (!(name in data.components))
+				delta.removed.push(name)
+
+		return delta
+	}
+	/** Rebuilds a full serialized object from its registered template and the delta returned by `GameObject.delta()`, and returns it. Throws an exception if the template isn't registered.
+	 * @param {{class: string, id: string, tags: string[], template: string, components: {[name: string]: any}, removed: string[]}} delta
+	 */
+	static patch(delta) {
+		HookModule.run('GameObject.patch', arguments, this)
+
+		const template = TemplateModule._all.get(TemplateModule._prefix + delta.template)
+		if (!template)
+			throw RasPG.dev.exceptions.DeserializerMissingTemplate(delta.template)
+
+		const data = {
+			class: delta.class,
+			id: delta.id,
+			tags: delta.tags,
+			components: {}
+		}
+		for (const [name, cData] of Object.entries(template.serialized.components)) {
+			if (delta.removed?.includes(name))
+				continue
+			if (!(name in delta.components)) {
+				data.components[name] = structuredClone(cData)
+				continue
+			}
+			const component = RasPG.runtime.components.get(name)
+			data.components[name] = (component?.patch?? Component.patch)(cData, delta.components[name])
+		}
+		for (const [name, cData] of Object.entries(delta.components))
+			if (!(name in data.components))
+				data.components[name] = cData
+
+		return data
+	}
+
 	/** Attempts to resolve an object ID (soft*) to an instance. Optionally checks if it inherits from a given class, and/ir if it contains a given component or set of components.
 	 *
 	 * \*: If `id` is a string with the 'instantiate:' prefix, will instantiate the given template and return it, if found.
@@ -1621,7 +3771,8 @@ class GameObject extends RegistryBase {
 
 		if (instance.constructor.requires.length)
 			for (const requirement of instance.constructor.requires)
-				this.addComponent(requirement)
+				if (!this.hasComponent(requirement))
+					this.addComponent(requirement)
 		this._components.set(instance.constructor.name, instance)
 		instance.parent = this
 
@@ -1657,7 +3808,7 @@ class GameObject extends RegistryBase {
 		if (!actualComponent)
 			throw RasPG.dev.exceptions.NotComponent()
 
-		return this._components.get(actualComponent.constructor.name) || null
+		return this._components.get(actualComponent.prototype.constructor.name) || null
 	}
 	/** Returns whether or not the object has the given component or not.
 	 * @param {typeof Component | Component | string} component Either the component subclass itself, or an instance of the wanted component subclass.
@@ -1711,9 +3862,12 @@ class GameObject extends RegistryBase {
 
 		return (this.#tags.has(tag))
 	}
-	/** Uses the GameObject's `serializer` function to compile the object and all its components into the form of a JSON-compatible object, returning it. */
-	serialize() {
-		return this.constructor.serializer(this)
+	/** Uses the GameObject's `serializer` function to compile the object and all its components into the form of a JSON-compatible object, returning it.
+	 * @param {{delta?: boolean}} [options]
+	 * @param [options.delta] Whether objects instantiated from a template should be serialized as their differences from it. Default behavior can be configured in `RasPG.config.serializeTemplateDeltas`.
+	 */
+	serialize(options) {
+		return this.constructor.serializer(this, options)
 	}
 } RasPG.registerClass(GameObject)
 class Component {
@@ -1721,6 +3875,18 @@ class Component {
 	static requires = []
 	static serializer
 	static deserializer
+	/** Returns the differences between the component's serialized data on a template and on an instance, or `undefined`, if equal. Override for data that isn't best compared per key (i.e. sets).
+	 * @type {(base: any, current: any) => any}
+	 */
+	static delta = function(base, current) {
+		return RasPG.utils.delta.diff(base, current)
+	}
+	/** Applies the differences returned by `delta` to the component's serialized data on a template, returning the instance's.
+	 * @type {(base: any, delta: any) => any}
+	 */
+	static patch = function(base, delta) {
+		return RasPG.utils.delta.patch(base, delta)
+	}
 	/** @type {GameObject} */
 	parent
 
@@ -1750,12 +3916,39 @@ class Component {
 class Action extends RegistryBase {
 	/** @type {Map<string, Action>} */
 	static _all = new Map()
-	/** @type {(...args: any[]) => boolean} */
+	/** Results made by `Action.fail()` and `Action.attempt()`, to tell them apart from other objects.
+	 * @type {WeakSet<ActionResult>}
+	 */
+	static #results = new WeakSet()
+	/** @type {ActionResult | null} */
+	static #last = null
+	/** Stages of each action's rulebook, in the order they're followed.
+	 * @type {ActionStage[]}
+	 */
+	static stages = ['check', 'before', 'instead', 'carryOut', 'after', 'report']
+	/** @type {Map<string, {action: string[], stage: ActionStage, callback: Function, priority: number, tag?: string, object?: string}>} */
+	static #rules = new Map()
+	/** @type {Map<string, {afford: (agent: GameObject, amount: any) => boolean, pay: (agent: GameObject, amount: any) => void}>} */
+	static #costTypes = new Map()
+	/** @type {Map<string, {[type: string]: any} | ((args: any[]) => {[type: string]: any})>} */
+	static #costs = new Map()
+	/** @type {(...args: any[]) => boolean | ActionResult} */
 	#fn
 
+	/** Result of the last action performed (or attempted), or `null`, if none was. */
+	static get lastResult() {
+		return this.#last
+	}
+	static get rules() {
+		return new Map(this.#rules)
+	}
+	static get costs() {
+		return new Map(this.#costs)
+	}
+
 	/** Registers a new action.
 	 * @param {string} id Convention: all lowercase, no spaces.
-	 * @param {(...args: any[]) => boolean} fn Function that performs the action. Must return `true` if performed correctly, and `false`, if it cannot be performed, in which case it should make no changes in the game state.
+	 * @param {(...args: any[]) => boolean | ActionResult} fn Function that performs the action. Must return `true` if performed correctly, and `false`, or a failure made by `Action.fail()` (telling why), if it cannot be performed, in which case it should make no changes in the game state.
 	 */
 	static register(id, fn) {
 		HookModule.run('before:Action.register', arguments, this)
@@ -1796,7 +3989,9 @@ class Action extends RegistryBase {
 
 		HookModule.run('after:Action.registerGroup', arguments, this)
 	}
-	/** Performs the action with the given ID (strict), if found. Returns `true` if found and performed, `false`, if it cannot be performed, or `null`, if not found.
+	/** Performs the action with the given ID (strict), if found, following its rulebook. Returns `true` if found and performed, `false`, if it cannot be performed, or `null`, if not found. Why it couldn't be performed is kept in `Action.lastResult`; see `Action.attempt()` to get it directly.
+	 *
+	 * Rulebook stages are followed in order (see `Action.registerRule()`): 'check' and 'before' rules may stop the action, and between them, its cost (see `Action.setCost()`) is checked against the agent in the ContextModule, if any. The first 'instead' rule returning anything replaces the action. Otherwise, the action itself is carried out, and if it succeeds, its cost is paid, and 'carryOut', 'after' and 'report' rules follow.
 	 * @param {string} id Convention: all lowercase, no spaces.
 	 * @param {any[]} args
 	 */
@@ -1806,13 +4001,258 @@ class Action extends RegistryBase {
 		const action = this._all.get(id)
 		if (!action) {
 			RasPG.dev.logs.elementNotRegisteredInCollection(id, 'Action.#all')
+			this.#last = this.#result(id, false, 'unknownAction', {})
 			return null
 		}
 
-		const ret = action.#fn(...args)
+		const info = { action: id, agent: ContextModule.get('agent') }
+		const cost = this.#costOf(id, args)
+		let ret = this.#follow('check', args, info)
+		if (ret === undefined && cost && info.agent instanceof GameObject) {
+			const unaffordable = Object.keys(cost).find(type => this.#costTypes.has(type) && !this.#costTypes.get(type).afford(info.agent, cost[type]))
+			if (unaffordable)
+				ret = this.fail('cannotAfford', { key: 'action.cost.'+ unaffordable, context: { agent: info.agent } })
+		}
+		ret??= this.#follow('before', args, info)
+		ret??= this.#follow('instead', args, info)
+
+		let performed = false
+		if (ret === undefined) {
+			ret = action.#fn(...args)
+			performed = this.#results.has(ret)? ret.success : !!ret
+		}
+
+		//* Failures made by `Action.fail()` get this action's ID; those passed on from other actions keep theirs
+		const result = this.#results.has(ret)?
+			Object.assign({}, ret, { action: ret.action?? id, key: ret.key?? (ret.reason && `action.${id}.${ret.reason}`) })
+			: this.#result(id, !!ret, ret? null : 'failed', {})
+		this.#results.add(result)
+
+		if (performed) {
+			if (cost && info.agent instanceof GameObject) {
+				for (const type in cost)
+					this.#costTypes.get(type)?.pay(info.agent, cost[type])
+				result.cost = cost
+			}
+			info.result = result
+			this.#follow('carryOut', args, info)
+			if (this.#follow('after', args, info) === undefined)
+				this.#follow('report', args, info)
+		}
+		this.#last = result
 
 		HookModule.run('after:Action.perform', arguments, this)
-		return ret
+		return this.#results.has(ret)? ret.success : ret
+	}
+	/** Performs the action with the given ID, like `Action.perform()`, but returns its result: whether it succeeded and, if not, the reason, the Stringful key for the message telling it, and the objects the message may refer to.
+	 *
+	 * Reasons are specific to each action (i.e. 'closed', 'filtered'), and 'failed', if the action didn't tell, or 'unknownAction', if it isn't registered.
+	 * @param {string} id
+	 * @param {any[]} args
+	 * @return {ActionResult}
+	 */
+	static attempt(id, args) {
+		HookModule.run('Action.attempt', arguments, this)
+
+		this.perform(id, args)
+		return this.#last
+	}
+	/** Returns a failure to be returned by an action function, telling why it couldn't be performed. Failures returned by other actions (i.e. through `Action.attempt()`) may be returned as they are, instead.
+	 * @param {string} reason Convention: no spaces, camelCase.
+	 * @param {{key?: string, context?: {[label: string]: any}}} [options]
+	 * @param [options.key] Optional. Stringful key for the message telling the failure. Defaults to 'action.<action ID>.<reason>'.
+	 * @param [options.context] Optional. Objects the message may refer to, by ContextModule label (i.e. `{container, item}`).
+	 * @return {ActionResult}
+	 */
+	static fail(reason, options) {
+		HookModule.run('Action.fail', arguments, this)
+
+		RasPG.dev.validate.type('Action.fail.reason', reason, 'string')
+		RasPG.dev.validate.props('Action.fail.options', options, false, {
+			key: 'string',
+			context: ['object', '{[label: string]: any}']
+		})
+
+		const failure = this.#result(null, false, reason, options?.context?? {})
+		if (options?.key)
+			failure.key = options.key
+		return failure
+	}
+	/** Returns whether the given value is an action result (see `Action.attempt()`).
+	 * @param {any} value
+	 */
+	static isResult(value) {
+		return this.#results.has(value)
+	}
+	/** Returns the message telling an action's failure, parsed by the SubTextModule with its context objects pushed to the ContextModule, or an empty string, if the result isn't a failure, or its message isn't found. Messages for the built-in actions are defined by localization packs (i.e. raspg-lpack-en.js).
+	 * @param {ActionResult} result
+	 */
+	static message(result) {
+		HookModule.run('Action.message', arguments, this)
+
+		if (!this.#results.has(result))
+			throw RasPG.dev.exceptions.BrokenTypeEnforcement('Action.message.result', typeof result, 'ActionResult')
+		if (result.success)
+			return ''
+		const string = Stringful.get(result.key?? `action.${result.action}.${result.reason}`)
+		if (!string)
+			return ''
+
+		ContextModule.push(result.context)
+		const message = SubTextModule.parse(string)
+		ContextModule.pop(Object.keys(result.context))
+		return message
+	}
+	/** Registers a rule into actions' rulebooks. Rules apply to every object (global), to actions involving a given object, or an object with a given tag, among their arguments; within a stage, they're followed by priority (higher first), then from the most specific (object, tag, global), then in registration order. Their callbacks receive the action's arguments, and `{action, stage, agent, result}` (`result` only after the action is carried out).
+	 *
+	 * Stages, in order:
+	 * - 'check': whether the action can be performed. Returning `false`, or a failure made by `Action.fail()`, stops it, failing;
+	 * - 'before': right before the action. May stop it, just like 'check' rules;
+	 * - 'instead': the first rule returning anything (but `undefined`) replaces the action. Returning `true` counts as success, without carrying it out; returning `false`, or a failure, fails it;
+	 * - 'carryOut': effects added to the action's, once carried out successfully;
+	 * - 'after': reactions to the action. Returning `false` skips the report;
+	 * - 'report': telling what happened (i.e. through `OutputModule.write()`).
+	 *
+	 * In 'carryOut', 'after' and 'report', returning `false` skips the stage's remaining rules. Hooks are run as each stage is followed ('Action.stage:<stage>').
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {ActionRule} rule
+	 * @param rule.action Action ID(s), or '*', for every action.
+	 * @param [rule.priority] Defaults to 0.
+	 * @param [rule.tag] Optional. Tag one of the action's object arguments must have.
+	 * @param [rule.object] Optional. Object (or object ID) that must be among the action's arguments.
+	 */
+	static registerRule(name, rule) {
+		HookModule.run('before:Action.registerRule', arguments, this)
+
+		RasPG.dev.validate.type('Action.registerRule.name', name, 'string')
+		RasPG.dev.validate.props('Action.registerRule.rule', rule, {
+			action: 'string | string[]',
+			stage: "'check' | 'before' | 'instead' | 'carryOut' | 'after' | 'report'",
+			callback: ['function', '(args: any[], info: {action: string, stage: ActionStage, agent?: GameObject, result?: ActionResult}) => boolean | ActionResult | void']
+		}, {
+			priority: 'number',
+			tag: 'string',
+			object: 'GameObject | string'
+		})
+		if (this.#rules.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('Action.#rules', name)
+
+		this.#rules.set(name, {
+			action: [rule.action].flat(),
+			stage: rule.stage,
+			callback: rule.callback,
+			priority: rule.priority?? 0,
+			tag: rule.tag,
+			object: typeof rule.object === 'string'? rule.object : rule.object?.id
+		})
+
+		HookModule.run('after:Action.registerRule', arguments, this)
+		return this
+	}
+	/** Unregisters a rule. Returns `true`, if successful, and `false`, if it isn't registered.
+	 * @param {string} name
+	 */
+	static unregisterRule(name) {
+		HookModule.run('before:Action.unregisterRule', arguments, this)
+
+		RasPG.dev.validate.type('Action.unregisterRule.name', name, 'string')
+		if (!this.#rules.has(name))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Action.#rules')
+
+		this.#rules.delete(name)
+
+		HookModule.run('after:Action.unregisterRule', arguments, this)
+		return true
+	}
+	/** Registers a type of cost actions may have (see `Action.setCost()`), and how agents afford and pay it.
+	 * @param {string} type Convention: no spaces, camelCase.
+	 * @param {{afford: (agent: GameObject, amount: any) => boolean, pay: (agent: GameObject, amount: any) => void}} costType
+	 */
+	static registerCostType(type, costType) {
+		HookModule.run('before:Action.registerCostType', arguments, this)
+
+		RasPG.dev.validate.type('Action.registerCostType.type', type, 'string')
+		RasPG.dev.validate.props('Action.registerCostType.costType', costType, {
+			afford: ['function', '(agent: GameObject, amount: any) => boolean'],
+			pay: ['function', '(agent: GameObject, amount: any) => void']
+		})
+		if (this.#costTypes.has(type))
+			throw RasPG.dev.exceptions.GeneralIDConflict('Action.#costTypes', type)
+
+		this.#costTypes.set(type, costType)
+
+		HookModule.run('after:Action.registerCostType', arguments, this)
+		return this
+	}
+	/** Declares what performing the action with the given ID costs the agent performing it (the one in the ContextModule, if any), by cost type (i.e. `{turns: 2, stats: {stamina: 5}}`), or a function returning it from the action's arguments. Agents unable to afford it fail the action, as 'cannotAfford'. The 'turns' cost type is built in: paying it keeps Agentive agents busy for the turns past the current one (see `Agentive.instance.occupy()`). Passing `null` removes it. Returns `true`, if successful, and `false`, if the action, or any cost type, isn't registered.
+	 * @param {string} id
+	 * @param {{[type: string]: any} | ((args: any[]) => {[type: string]: any}) | null} cost
+	 */
+	static setCost(id, cost) {
+		HookModule.run('before:Action.setCost', arguments, this)
+
+		RasPG.dev.validate.types('Action.setCost', {
+			id: [id, 'string'],
+			cost: [cost, ['object | function', '{[type: string]: any} | ((args: any[]) => {[type: string]: any}) | null']]
+		})
+		if (!this._all.has(id))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(id, 'Action.#all')
+		if (cost === null) {
+			this.#costs.delete(id)
+			return true
+		}
+		if (typeof cost === 'object')
+			for (const type in cost)
+				if (!this.#costTypes.has(type))
+					return RasPG.dev.logs.elementNotRegisteredInCollection(type, 'Action.#costTypes')
+
+		this.#costs.set(id, cost)
+
+		HookModule.run('after:Action.setCost', arguments, this)
+		return true
+	}
+	/** Returns the cost of performing the action with the given arguments, or `null`, if none. */
+	static #costOf(id, args) {
+		const cost = this.#costs.get(id)
+		if (typeof cost === 'function')
+			return cost(args)?? null
+		return cost?? null
+	}
+	/** Follows a stage of the action's rulebook. Returns what stopped it (for 'instead', what replaced the action), with the rule's name kept in failures, or `undefined`, if nothing did. */
+	static #follow(stage, args, info) {
+		HookModule.run('Action.stage:'+ stage, [info.action, args], this)
+
+		info.stage = stage
+		const objects = args.filter(arg => arg instanceof GameObject)
+		const specificity = rule => rule.object? 2 : rule.tag? 1 : 0
+		const rulebook = Array.from(this.#rules)
+			.filter(([_, rule]) => rule.stage === stage && (rule.action.includes('*') || rule.action.includes(info.action))
+				&& (!rule.object || args.some(arg => (arg instanceof GameObject? arg.id : arg) === rule.object))
+				&& (!rule.tag || objects.some(object => object.tags.has(rule.tag))))
+			.sort(([_, a], [__, b]) => b.priority - a.priority || specificity(b) - specificity(a))
+
+		for (const [name, rule] of rulebook) {
+			const ret = rule.callback(args, info)
+			const stopped = stage === 'instead'? ret !== undefined
+				: ret === false || (this.#results.has(ret) && !ret.success)
+			if (!stopped)
+				continue
+			if (ret && !this.#results.has(ret))
+				return true
+			const failure = this.#results.has(ret)? Object.assign({}, ret) : this.fail('stopped', { context: { agent: info.agent } })
+			failure.rule??= name
+			this.#results.add(failure)
+			return failure
+		}
+		return undefined
+	}
+	/** Makes a result, registered as such. */
+	static #result(action, success, reason, context) {
+		const result = { success, action, reason, key: null, context }
+		if (action && reason)
+			result.key = `action.${action}.${reason}`
+		this.#results.add(result)
+		return result
 	}
 } RasPG.registerClass(Action)
 class Command extends RegistryBase {
@@ -1822,7 +4262,7 @@ class Command extends RegistryBase {
 
 	/** @type {{ [localeCode: string]: { pattern: RegExp, filters: { [slot: string]: (object: GameObject) => boolean } } }} */
 	matchers = {}
-	/** @type {(match: RegExpMatchArray, objects: GameObject[], options?: Object, this: Command) => void} */
+	/** @type {(match: RegExpMatchArray, objects: GameObject[], options?: Object, this: Command) => void | string | boolean} */
 	fn
 
 	/** Note: matcher RegEx patterns must use named capture groups to indicate slots for, e.g., direct and indirect objects in ditransitive verbs.
@@ -1831,6 +4271,7 @@ class Command extends RegistryBase {
 	 * @param {typeof this.fn} fn
 	 */
 	constructor(id, matchers, fn) {
+		super()
 		HookModule.run('before:Command.constructor', arguments, this)
 
 		RasPG.dev.validate.types('Command.constructor', {
@@ -1897,7 +4338,7 @@ class Command extends RegistryBase {
 
 		return ret
 	}
-	/** Runs the command.
+	/** Runs the command, and returns the command function's return.
 	 * @param {RegExpMatchArray} match The result from matching player input to the command's matcher.
 	 * @param {GameObject[]} objects All objects that matched player input. Order dictated by the parser.
 	 * @param {Object} [options]
@@ -1906,15 +4347,16 @@ class Command extends RegistryBase {
 		HookModule.run('before:Command.instance.run', arguments, this)
 
 		RasPG.dev.validate.types('Command.instance.run', {
-			match: [match, 'RegExpMatchArray'],
+			match: [match, ['object', 'RegExpMatchArray']],
 			objects: [objects, 'GameObject[]'],
 		})
 
-		this.fn(match, objects, options)
+		const ret = this.fn(match, objects, options)
 
 		HookModule.run('after:Command.instance.run', arguments, this)
+		return ret
 	}
-}
+} RasPG.registerClass(Command)
 class LocalizationAdapter {
 	author
 	version
@@ -1928,6 +4370,16 @@ class LocalizationAdapter {
 	/** @type {(parts: {[baseToken: string]: string[]}, object: GameObject) => string} */
 	morpher
 	config
+	/** @type {{pronouns: {[word: string]: ReferenceSpec | ReferenceSpec[]}, all: string[], except: string[], conjunctions: string[]} | undefined} */
+	references
+	/** @type {((object: GameObject) => {number: string, gender?: string}) | undefined} */
+	classifier
+	/** @type {{separators: string[], again?: string[], undo?: string[]} | undefined} */
+	chaining
+	/** @type {{[direction: string]: string[]} | undefined} */
+	directions
+	/** @type {{list?: (items: string[], conjunction?: string) => string, disambiguationPrompt?: (phrase: string, names: string[]) => string, contentsSentence?: (listing: string, also: boolean) => string} | undefined} */
+	phrasing
 
 	/**
 	 * @param {{author: string, version: string, code: string, tokens: {[base: string]: string[] | {[inflectionType: string]: string}}, metadataRequired: {[objectType: string]: {[feature: string]: any | any[]}}, metadataOptional?: {[objectType: string]: {[feature: string]: any | any[]}}, morpher: (parts: {[baseToken: string]: string[]}, object: GameObject) => string, notes?: string, config?: {[setting: string]: any}}} options
@@ -1940,6 +4392,11 @@ class LocalizationAdapter {
 	 * @param options.morpher Function that takes the GameObject and gloss, and returns a grammatically correct clause.
 	 * @param [options.notes] Optional. Notes and other information regarding the localization pack.
 	 * @param [options.config] Optional. Any settings made available to the developer using the adapter.
+	 * @param [options.references] Optional. Words the parser resolves to objects rather than nouns: pronouns (each described by the grammatical number and genders it refers to), words for "all", words for "except", and conjunctions separating excluded objects.
+	 * @param [options.chaining] Optional. Words and punctuation separating chained commands (i.e. ',', 'then'), and whole commands that repeat the last one, or undo it.
+	 * @param [options.directions] Optional. Words for the MapModule's directions (i.e. `{north: ['n']}`), besides their names.
+	 * @param [options.phrasing] Optional. Functions phrasing the framework's own sentences: `list()` joins items into a list (i.e. 'a, b and c'), `disambiguationPrompt()` asks which of the candidates' names the player means by an ambiguous noun phrase (see `ParserModule.execute()`), and `contentsSentence()` tells the objects in a location that weren't described on their own, and whether others were (see `DescriptionModule.compose()`). Called as methods of the object, so they may use each other.
+	 * @param [options.classifier] Optional. Function that returns an object's grammatical number and gender, for pronoun tracking. Defaults to the `number` and `gender` linguistic metadata, with number falling back to the Countable count, and gender to `config.defaults.pronounGender`.
 	 */
 	constructor(options) {
 		RasPG.dev.validate.props('LocalizationPack.constructor.options', options, {
@@ -1949,7 +4406,12 @@ class LocalizationAdapter {
 			morpher: 'function'
 		}, {
 			notes: 'string',
-			config: ['object', '{[setting: string]: any}']
+			config: ['object', '{[setting: string]: any}'],
+			references: ['object', '{pronouns: {[word: string]: ReferenceSpec | ReferenceSpec[]}, all: string[], except: string[], conjunctions: string[]}'],
+			classifier: ['function', '(object: GameObject) => {number: string, gender?: string}'],
+			chaining: ['object', '{separators: string[], again?: string[], undo?: string[]}'],
+			directions: ['object', '{[direction: string]: string[]}'],
+			phrasing: ['object', '{list?: (items: string[], conjunction?: string) => string, disambiguationPrompt?: (phrase: string, names: string[]) => string, contentsSentence?: (listing: string, also: boolean) => string}']
 		})
 
 		this.author = options.author
@@ -1963,6 +4425,33 @@ class LocalizationAdapter {
 			this.notes = options.notes
 		if (options?.config)
 			this.config = options.config
+		if (options?.references)
+			this.references = options.references
+		if (options?.classifier)
+			this.classifier = options.classifier
+		if (options?.chaining)
+			this.chaining = options.chaining
+		if (options?.directions)
+			this.directions = options.directions
+		if (options?.phrasing)
+			this.phrasing = options.phrasing
+	}
+
+	/** Returns the grammatical number and gender of an object, used to track what pronouns may refer to it.
+	 * @param {GameObject} object
+	 * @return {{number: string, gender?: string}}
+	 */
+	classify(object) {
+		RasPG.dev.validate.type('LocalizationAdapter.instance.classify.object', object, 'GameObject')
+
+		if (this.classifier)
+			return this.classifier(object)
+		const metadata = object.component(Describable)?.metadata[this.code]?? {}
+		const count = object.component(Countable)?.count?? 1
+		return {
+			number: metadata.number?? (count === 1? 'SG' : 'PL'),
+			gender: metadata.gender?? this.config?.defaults?.pronounGender
+		}
 	}
 
 	/**
@@ -1977,7 +4466,7 @@ class LocalizationAdapter {
 			objectID: [objectID, 'string'],
 			gloss: [gloss, 'string']
 		})
-		RasPG.dev.validate.linguisticMetadata(actualObject.id, actualObject._description.metadata, this.metadataRequired, this.metadataOptional)
+		RasPG.dev.validate.linguisticMetadata(actualObject.id, actualObject._description.metadata[this.code]?? {}, this.metadataRequired, this.metadataOptional?? {})
 
 		const parts = gloss
 			.split('-')
@@ -2096,10 +4585,150 @@ class Extension {
 		RasPG.runtime.extensions.set(this.name, this)
 	}
 } RasPG.registerClass(Extension)
+class StorageBackend {
+	/** Returns the save stored under the given slot, or `null`, if not found.
+	 * @param {string} slot
+	 * @returns {{metadata: Object, world: Object} | null}
+	 */
+	read(slot) {
+		throw new Error(`[RasPG - Core] StorageBackend subclass "${this.constructor.name}" must implement "read"`)
+	}
+	/** Stores the given save under the given slot, overwriting it if present.
+	 * @param {string} slot
+	 * @param {{metadata: Object, world: Object}} save
+	 */
+	write(slot, save) {
+		throw new Error(`[RasPG - Core] StorageBackend subclass "${this.constructor.name}" must implement "write"`)
+	}
+	/** Deletes the save under the given slot. Returns `true`, if successful, and `false`, if not found.
+	 * @param {string} slot
+	 */
+	remove(slot) {
+		throw new Error(`[RasPG - Core] StorageBackend subclass "${this.constructor.name}" must implement "remove"`)
+	}
+	/** Returns an array containing the names of all stored slots.
+	 * @returns {string[]}
+	 */
+	list() {
+		throw new Error(`[RasPG - Core] StorageBackend subclass "${this.constructor.name}" must implement "list"`)
+	}
+} RasPG.registerClass(StorageBackend)
+class MemoryStorage extends StorageBackend {
+	/** @type {Map<string, {metadata: Object, world: Object}>} */
+	#saves = new Map()
+
+	read(slot) {
+		const save = this.#saves.get(slot)
+		return save? structuredClone(save) : null
+	}
+	write(slot, save) {
+		this.#saves.set(slot, structuredClone(save))
+	}
+	remove(slot) {
+		return this.#saves.delete(slot)
+	}
+	list() {
+		return Array.from(this.#saves.keys())
+	}
+} RasPG.registerClass(MemoryStorage)
+class JSONFileStorage extends StorageBackend {
+	directory
+
+	/** Stores each save slot as a '<slot>.json' file in the given directory. Requires a Node.js-compatible environment.
+	 * @param {string} directory Created, if not present.
+	 */
+	constructor(directory) {
+		super()
+		RasPG.dev.validate.type('JSONFileStorage.constructor.directory', directory, 'string')
+
+		this.directory = directory
+	}
+
+	read(slot) {
+		const fs = require('fs')
+		const file = this.#pathTo(slot)
+		if (!fs.existsSync(file))
+			return null
+		return JSON.parse(fs.readFileSync(file, 'utf8'))
+	}
+	write(slot, save) {
+		const fs = require('fs')
+		fs.mkdirSync(this.directory, { recursive: true })
+		fs.writeFileSync(this.#pathTo(slot), JSON.stringify(save, null, '\t'))
+	}
+	remove(slot) {
+		const fs = require('fs')
+		const file = this.#pathTo(slot)
+		if (!fs.existsSync(file))
+			return false
+		fs.unlinkSync(file)
+		return true
+	}
+	list() {
+		const fs = require('fs')
+		if (!fs.existsSync(this.directory))
+			return []
+		return fs.readdirSync(this.directory)
+			.filter(e => e.endsWith('.json'))
+			.map(e => e.slice(0, -5))
+	}
+
+	#pathTo(slot) {
+		return require('path').join(this.directory, slot + '.json')
+	}
+} RasPG.registerClass(JSONFileStorage)
+class KeyValueStorage extends StorageBackend {
+	/** @type {{getItem: (key: string) => string | null, setItem: (key: string, value: string) => void, removeItem: (key: string) => void, key: (index: number) => string | null, length: number}} */
+	storage
+	prefix
+
+	/** Stores each save slot as a JSON string in a localStorage-like key/value store, under the key '<prefix><slot>'.
+	 * @param {{getItem: Function, setItem: Function, removeItem: Function, key: Function, length: number}} [storage] Optional, defaults to `globalThis.localStorage`.
+	 * @param {string} [prefix] Optional, defaults to 'raspg.save.'.
+	 */
+	constructor(storage, prefix) {
+		super()
+		storage = storage?? globalThis.localStorage
+		RasPG.dev.validate.props('KeyValueStorage.constructor.storage', storage, {
+			getItem: 'function',
+			setItem: 'function',
+			removeItem: 'function',
+			key: 'function',
+			length: 'number'
+		})
+		RasPG.dev.validate.type('KeyValueStorage.constructor.prefix', prefix, 'string | undefined')
+
+		this.storage = storage
+		this.prefix = prefix?? 'raspg.save.'
+	}
+
+	read(slot) {
+		const save = this.storage.getItem(this.prefix + slot)
+		return save === null? null : JSON.parse(save)
+	}
+	write(slot, save) {
+		this.storage.setItem(this.prefix + slot, JSON.stringify(save))
+	}
+	remove(slot) {
+		if (this.storage.getItem(this.prefix + slot) === null)
+			return false
+		this.storage.removeItem(this.prefix + slot)
+		return true
+	}
+	list() {
+		const slots = []
+		for (let i = 0; i < this.storage.length; i++) {
+			const key = this.storage.key(i)
+			if (key?.startsWith(this.prefix))
+				slots.push(key.slice(this.prefix.length))
+		}
+		return slots
+	}
+} RasPG.registerClass(KeyValueStorage)
 
 //# Subclasses
 class Area extends GameObject {
-	static defaultComponents = ['Stringful', 'Containing']
+	static defaultComponents = ['Stringful', 'Containing', 'Connected']
 	static _prefix = 'A__'
 	static serializer = function(object) {
 		return Object.assign(GameObject.serializer(object), {description: object.description})
@@ -2119,22 +4748,17 @@ class Area extends GameObject {
 
 		if (options === undefined)
 			options = {}
-		if ('components' in options)
-			options.components.push(...Area.defaultComponents)
-		else
-			options.components = Area.defaultComponents
+		//? Deserialized areas get their components from the save instead
+		if (RasPG.runtime.state.inner.get() !== 'serializing')
+			options.components = [...(options.components?? []), ...Area.defaultComponents]
 
-		super(Area._prefix+id, options?? {components: Area.defaultComponents})
-		Area.register(this.id, this)
+		super(Area._prefix+id, options)
 
 		this._strings?.define({
 			name: options.name?? id,
 			description: options.description
 		})
 
-		this.contents = this._container?.contents
-		this.filter = this._container?.filter
-
 		HookModule.run('after:Area.constructor', arguments, Area)
 	}
 
@@ -2144,12 +4768,15 @@ class Area extends GameObject {
 	get description() {
 		return this._strings.get('description')
 	}
+	/** The area's contents, as kept by its Containing component (see `Containing.instance.contents`). */
 	get contents() {
 		return this._container?.contents
 	}
+	/** See `Containing.instance.contentsNested`. */
 	get contentsNested() {
 		return this._container?.contentsNested
 	}
+	/** See `Containing.instance.filter`. */
 	get filter() {
 		return this._container?.filter
 	}
@@ -2162,13 +4789,200 @@ class Area extends GameObject {
 	 * @param {string | GameObject} id
 	 * @param {{proto: Function, component: Component, components: Iterable<Component>, operation: string}} options If both `components` and `component` are passed in `options`, only the array is checked. `operation` is the name of the method calling this method, and wwill be passed to warning messages for information.
 	 */
-	static resolve(id, options) {
-		HookModule.run('Area.resolve', arguments, this)
-		if (!('proto' in options))
-			options.proto = this
-		return super.resolve(id, options)
+	static resolve(id, options) {
+		HookModule.run('Area.resolve', arguments, this)
+		if (!('proto' in options))
+			options.proto = this
+		return super.resolve(id, options)
+	}
+} RasPG.registerClass(Area)
+class Region extends GameObject {
+	static defaultComponents = ['Stringful', 'Stateful', 'Perceptible']
+	static _prefix = 'R__'
+	/** Full (prefixed) IDs of the region each Area or Region is directly in, by their full IDs.
+	 * @type {Map<string, string>}
+	 */
+	static _parents = new Map()
+	static serializer = function(object, options) {
+		return Object.assign(GameObject.serializer(object, options), {members: Array.from(object.#members)})
+	}
+	static restorer = function(object, data) {
+		GameObject.restorer(object, data)
+		object.#members.clear()
+		for (const member of data.members)
+			object.add(member)
+	}
+	/** @type {Set<string>} */
+	#members = new Set()
+
+	/**
+	 * @param {string} id Convention: all lowercase, no spaces.
+	 * @param {{name?: string | () => string, members?: Array<Area | Region | string>, tags?: string[], components?: Array<typeof Component | Component | string>, register?: boolean}} [options]
+	 * @param [options.name] Optional, defaults to ID. Convention: no article, singular, all lowercase (unless proper name).
+	 * @param [options.members] Optional. Areas and Regions to be added.
+	 * @param [options.tags] Optional. Tags to be added
+	 * @param [options.components] Optional. Components to be added
+	 * @param [options.register] Optional. If strictly `false`, instance will not be registered to GameObject.#all.
+	 */
+	constructor(id, options) {
+		HookModule.run('before:Region.constructor', arguments, Region)
+
+		RasPG.dev.validate.props('Region.constructor.options', options, false, {
+			name: ['string | function', 'string | () => string'],
+			members: ['Array<object | string>', 'Array<Area | Region | string>']
+		})
+		if (options === undefined)
+			options = {}
+		//? Deserialized regions get their components from the save instead
+		const deserializing = RasPG.runtime.state.inner.get() === 'serializing'
+		if (!deserializing)
+			options.components = [...(options.components?? []), ...Region.defaultComponents]
+
+		super(Region._prefix+id, options)
+
+		if (!deserializing)
+			this._strings?.set('name', options.name?? id)
+		for (const member of options.members?? [])
+			this.add(member)
+
+		HookModule.run('after:Region.constructor', arguments, Region)
+	}
+
+	get name() {
+		return this._strings?.get('name')
+	}
+	/** @return {Set<string> | Set<GameObject>} */
+	get members() {
+		if (RasPG.runtime.state.inner.get() === 'serializing')
+			return this.#members
+		return new Set(
+			Array.from(this.#members)
+				.map(e => GameObject.resolve(e, { operation: 'Region.instance.get.members' }))
+				.filter(e => e instanceof GameObject)
+		)
+	}
+
+	/** Adds an Area or Region to the region, removing it from the region it was directly in, if any. Returns `true`, if successful, and `false`, if it already was in it, or if it would end up inside itself.
+	 * @param {Area | Region | string} member
+	 */
+	add(member) {
+		HookModule.run('before:Region.instance.add', arguments, this)
+
+		RasPG.dev.validate.type('Region.instance.add.member', member, 'Area | Region | string')
+
+		//? Full IDs are taken as they are while loading, since members may not exist yet
+		let id = member
+		let previous
+		if (RasPG.runtime.state.inner.get() !== 'serializing') {
+			const actualMember = GameObject.resolve(member, { operation: 'Region.instance.add' })
+			if (!(actualMember instanceof Area) && !(actualMember instanceof Region))
+				return RasPG.dev.logs.incorrectPrototype(typeof member === 'string'? member : member.id, 'Area | Region', 'Region.instance.add')
+			if (actualMember === this || Region.around(this).includes(actualMember))
+				return false
+			id = actualMember._id
+			previous = Region.of(actualMember)
+		}
+		if (this.#members.has(id))
+			return false
+
+		previous?.remove(id)
+		this.#members.add(id)
+		Region._parents.set(id, this._id)
+
+		EventModule.emit('region.added', {
+			object: this,
+			member: id,
+			previous: previous?._id,
+			current: this._id
+		})
+		HookModule.run('after:Region.instance.add', arguments, this)
+		return true
+	}
+	/** Removes an Area or Region from the region. Returns `true`, if successful, and `false`, if it wasn't directly in it.
+	 * @param {Area | Region | string} member
+	 */
+	remove(member) {
+		HookModule.run('before:Region.instance.remove', arguments, this)
+
+		RasPG.dev.validate.type('Region.instance.remove.member', member, 'Area | Region | string')
+
+		const id = typeof member === 'string'? (GameObject.getByID(member)?._id?? member) : member._id
+		if (!this.#members.has(id))
+			return false
+		this.#members.delete(id)
+		Region._parents.delete(id)
+
+		EventModule.emit('region.removed', {
+			object: this,
+			member: id,
+			previous: this._id,
+			current: undefined
+		})
+		HookModule.run('after:Region.instance.remove', arguments, this)
+		return true
+	}
+	/** Returns whether the given Area or Region is in the region, directly or (if `nested` isn't strictly `false`) through nested regions.
+	 * @param {Area | Region | string} member
+	 * @param {boolean} [nested]
+	 */
+	has(member, nested) {
+		HookModule.run('Region.instance.has', arguments, this)
+
+		const actualMember = GameObject.resolve(member, { operation: 'Region.instance.has' })
+		if (!actualMember)
+			return false
+		if (nested === false)
+			return this.#members.has(actualMember._id)
+		return Region.around(actualMember).includes(this)
+	}
+
+	/** Returns the region the given Area or Region is directly in, or `null`, if none.
+	 * @param {GameObject} member
+	 */
+	static of(member) {
+		HookModule.run('Region.of', arguments, this)
+
+		const id = this._parents.get(member?._id)
+		if (!id)
+			return null
+		//? Entries may be left over from before a save was loaded
+		const region = GameObject.getByID(id)
+		return region instanceof Region && region.#members.has(member._id)? region : null
+	}
+	/** Returns every region the given object is in, from the innermost to the outermost. Tangible objects are in the regions of the first location up their location chain that's in one.
+	 * @param {GameObject} object
+	 */
+	static around(object) {
+		HookModule.run('Region.around', arguments, this)
+
+		let current = object
+		const visited = new Set()
+		while (current instanceof GameObject && !this._parents.has(current._id) && !visited.has(current)) {
+			visited.add(current)
+			current = current.component(Tangible)?.location
+		}
+
+		const regions = []
+		for (let region = this.of(current); region && !regions.includes(region); region = this.of(region))
+			regions.push(region)
+		return regions
+	}
+	/** Emits 'region.left' (innermost first) and 'region.entered' (outermost first) events for an object moving between locations. INTERNAL USE: called by Tangible.
+	 * @param {GameObject} object
+	 * @param {string | GameObject | null | undefined} previous Previous location.
+	 * @param {string | GameObject | null | undefined} current Current location.
+	 */
+	static emitCrossings(object, previous, current) {
+		const around = location => location? this.around(GameObject.resolve(location, { operation: 'Region.emitCrossings' })) : []
+		const before = around(previous)
+		const after = around(current)
+
+		for (const region of before.filter(e => !after.includes(e)))
+			EventModule.emit('region.left', { object, region, previous, current })
+		for (const region of after.filter(e => !before.includes(e)).reverse())
+			EventModule.emit('region.entered', { object, region, previous, current })
 	}
-} RasPG.registerClass(Area)
+} RasPG.registerClass(Region)
 
 //# Components
 class Stateful extends Component {
@@ -2189,17 +5003,21 @@ class Stateful extends Component {
 		return structuredClone(this.#data)
 	}
 
-	/** Gets the value correlated with the given variable name.
+	/** Gets the value correlated with the given variable name. If the object doesn't define it, Areas and Regions get it from the regions they're in, innermost first.
 	 * @param {string} variable Convention: no spaces, camelCase.
 	 */
 	get(variable) {
 		HookModule.run('Stateful.instance.get', arguments, this)
 
 		RasPG.dev.validate.type('Stateful.instance.get.variable', variable, 'string')
-		if (!(variable in this.#data))
-			return RasPG.dev.logs.elementNotRegisteredInCollection(variable, 'Stateful.instance.data')
+		if (variable in this.#data)
+			return this.#data[variable]
+		//* Areas and Regions inherit state from the regions they're in
+		for (let region = Region.of(this.parent); region; region = Region.of(region))
+			if (region.hasComponent(Stateful) && variable in region._states.#data)
+				return region._states.#data[variable]
 
-		return this.#data[variable]
+		return RasPG.dev.logs.elementNotRegisteredInCollection(variable, 'Stateful.instance.data')
 	}
 	/** Sets the value correlated with the given variable name. Returns `true`, if successful, and `false`, if the variable does not exist.
 	 * @param {string} variable Convention: no spaces, camelCase.
@@ -2273,31 +5091,31 @@ class Stateful extends Component {
 class Stringful extends Component {
 	static reference = '_strings'
 	static serializer = function(instance) {
+		//? Function strings are skipped, unless functions are serialized
 		return Array.from(instance.strings)
-			.map(e => {
-				if (typeof e === 'function')
-					if (RasPG.config.serializeFunctions)
-						return 'SERIALIZED_FUNCTION:' + e.toString()
-					else
-						return 'SKIP'
-				else return e
-			})
+			.map(([key, string]) => [key, SaveModule.serializeFunction(string)])
+			.filter(([, string]) => string !== undefined)
+	}
+	static delta = function(base, current) {
+		return RasPG.utils.delta.diff(Object.fromEntries(base), Object.fromEntries(current))
+	}
+	static patch = function(base, delta) {
+		return Object.entries(RasPG.utils.delta.patch(Object.fromEntries(base), delta))
 	}
 	static deserializer = function(data) {
 		const instance = new Stringful()
 		for (const [key, string] of data)
-			if (typeof string === 'function')
-				instance.set(key, string)
-			else if (typeof string === 'string')
-				if (string.startsWith('SERIALIZED_FUNCTION:'))
-					instance.set(key, eval(string.slice(20)))
-				else if (string !== 'SKIP')
-					instance.set(key, string)
+			instance.set(key, SaveModule.deserializeFunction(string))
 		return instance
 	}
 	static #global = new Map()
 	#strings = new Map()
 
+	static get globals() {
+		if (RasPG.runtime.state.inner.get() === 'serializing')
+			return this.#global
+		return new Map(this.#global)
+	}
 	get strings() {
 		if (RasPG.runtime.state.inner.get() === 'serializing')
 			return this.#strings
@@ -2318,9 +5136,9 @@ class Stringful extends Component {
 		const parentID = split?.parentID
 			|| this.parent?.id?.replace?.(/__i\d+$/, '') || 'unknown'
 		const givenLocale = split?.givenLocale
-			|| RasPG.config.availableLocales.includes(key.slice(0, key.indexOf('.')))? key.slice(0, key.indexOf('.')) : false
+			|| (RasPG.config.availableLocales.includes(key.slice(0, key.indexOf('.')))? key.slice(0, key.indexOf('.')) : false)
 		const rawKey = split?.rawKey
-			|| givenLocale ? key.slice(key.indexOf('.') + 1) : key
+			|| (givenLocale ? key.slice(key.indexOf('.') + 1) : key)
 
 		let string = this.#global.get([(givenLocale || RasPG.config.locale), parentID, rawKey].join('.'))
 			|| this.#global.get([(givenLocale || RasPG.config.locale), 'default', rawKey].join('.'))
@@ -2375,7 +5193,7 @@ class Stringful extends Component {
 	 *
 	 * If not prefixed with a locale ID, will search in current locale first, but fall back on the default locale if not found.
 	 *
-	 * If not found on the object, will search global string registry for pattern 'locale.objectid.*', following the same logic as above.
+	 * If not found on the object, Areas and Regions search the regions they're in, innermost first, and then the global string registry for pattern 'locale.objectid.*', following the same logic as above.
 	 * @param {string} key Convention: dot-separated domains, no spaces, camelCase ('en.action.jumpOn.successful')
 	 */
 	get(key) {
@@ -2389,7 +5207,12 @@ class Stringful extends Component {
 
 		let string = this.#strings.get((givenLocale || RasPG.config.locale) + '.' + rawKey)
 			|| this.#strings.get(RasPG.config.defaultLocale + '.' + rawKey)
-			|| Stringful.get(key, {parentID, givenLocale, rawKey})
+		//* Areas and Regions inherit strings from the regions they're in
+		for (let region = Region.of(this.parent); !string && region; region = Region.of(region))
+			if (region.hasComponent(Stringful))
+				string = region._strings.#strings.get((givenLocale || RasPG.config.locale) + '.' + rawKey)
+					|| region._strings.#strings.get(RasPG.config.defaultLocale + '.' + rawKey)
+		string ||= Stringful.get(key, {parentID, givenLocale, rawKey})
 
 		if (typeof string === 'function')
 			string = string()
@@ -2447,6 +5270,15 @@ class Stringful extends Component {
 class Describable extends Component {
 	static reference = '_description'
 	static requires = [Stringful]
+	//* Names, descriptions, nouns and adjectives are kept (and serialized) by Stringful
+	static serializer = function(instance) {
+		return {metadata: structuredClone(instance.metadata)}
+	}
+	static deserializer = function(data) {
+		const instance = new Describable()
+		instance.metadata = data.metadata?? {}
+		return instance
+	}
 	metadata = {}
 
 	get canonicalName() {
@@ -2456,10 +5288,10 @@ class Describable extends Component {
 		return this.parent._strings.get('desc.description')
 	}
 	get nouns() {
-		return this.parent._strings.get('desc.nouns').split('|')
+		return (this.parent._strings.get('desc.nouns') || '').split('|').filter(e => e)
 	}
 	get adjectives() {
-		return this.parent._strings.get('desc.adjectives').split('|')
+		return (this.parent._strings.get('desc.adjectives') || '').split('|').filter(e => e)
 	}
 
 	/** Sets the name and description for an object. Both can be string or string-returning functions. Returns the component instance back for further operations.
@@ -2515,14 +5347,12 @@ class Perceptible extends Component {
 		const data = {}
 		for (const [sense, map] of instance.perceptions.entries()) {
 			data[sense] = {}
-			for (const [context, perception] of map.entries())
-				if (typeof perception === 'function')
-					if (RasPG.config.serializeFunctions)
-						data[sense][context] = 'SERIALIZED_FUNCTION:' + perception.toString()
-					else
-						data[sense][context] = 'SKIP'
-				else
-					data[sense][context] = perception
+			//? Function perceptions are skipped, unless functions are serialized
+			for (const [context, perception] of map.entries()) {
+				const serialized = SaveModule.serializeFunction(perception)
+				if (serialized !== undefined)
+					data[sense][context] = serialized
+			}
 		}
 		return data
 	}
@@ -2530,22 +5360,137 @@ class Perceptible extends Component {
 		const instance = new Perceptible()
 		for (const sense in data)
 			for (const context in data[sense])
-				if (typeof data[sense][context] === 'string')
-					if (data[sense][context].startsWith('SERIALIZED_FUNCTION:'))
-						data[sense][context] = eval(data[sense][context].slice(20))
-					else if (data[sense][context] === 'SKIP')
-						delete data[sense][context]
+				//? Older saves marked skipped functions as 'SKIP'
+				if (data[sense][context] === 'SKIP')
+					delete data[sense][context]
+				else
+					data[sense][context] = SaveModule.deserializeFunction(data[sense][context])
 		RasPG.utils.scheduling.stateNot(
 			() => instance.definePerceptions(data),
 			{inner: 'serializing|instantiatingTemplate'}
 		)
 		return instance
 	}
+	/** Attenuation overrides, by sense. See `Perceptible.setAttenuation()`.
+	 * @type {Map<string, {hop?: number, closed?: number, locked?: number, guarded?: number}>}
+	 */
+	static #attenuation = new Map()
 	#perceptions = new Map()
 
 	get perceptions() {
 		return new Map(this.#perceptions)
 	}
+
+	/** Sets how much intensity stimuli of the given sense lose as they spread (see `Perceptible.propagate()`), over `RasPG.config.components.perceptible.attenuation`. Returns the class back for further operations.
+	 * @param {string} sense
+	 * @param {{hop?: number, closed?: number, locked?: number, guarded?: number}} attenuation
+	 * @param [attenuation.hop] Lost through any exit.
+	 * @param [attenuation.closed] Lost, as well, through exits with closed doors.
+	 * @param [attenuation.locked] Lost, as well, through exits with locked doors (instead of `closed`).
+	 * @param [attenuation.guarded] Lost, as well, through exits with guards (i.e. grates, or walls made into exits no one can pass).
+	 */
+	static setAttenuation(sense, attenuation) {
+		HookModule.run('before:Perceptible.setAttenuation', arguments, this)
+
+		RasPG.dev.validate.type('Perceptible.setAttenuation.sense', sense, 'string')
+		RasPG.dev.validate.props('Perceptible.setAttenuation.attenuation', attenuation, false, {
+			hop: 'number',
+			closed: 'number',
+			locked: 'number',
+			guarded: 'number'
+		})
+
+		this.#attenuation.set(sense, Object.assign({}, attenuation))
+
+		HookModule.run('after:Perceptible.setAttenuation', arguments, this)
+		return this
+	}
+	/** Spreads a stimulus (i.e. a loud noise, or smoke) of the given sense and intensity from where the source is, across Connected exits, losing intensity with every exit and barrier (see `Perceptible.setAttenuation()`), until it fades out. Sensors in every location reached (outside closed containers) perceive it in the context 'inRoom', 'adjacentRoom', or 'distant', depending on how many exits away they are, and a 'perceptions.sensed' event is emitted for each, with the sensor as its object. Returns what each sensor perceived.
+	 *
+	 * The source's perceptions, if any, describe the stimulus (i.e. `{hearing: {adjacentRoom: 'A bell rings nearby.'}}`), and may be missing, in which case `perception` is `null`.
+	 * @param {GameObject} source Object making the stimulus, or location it happens in.
+	 * @param {string} sense
+	 * @param {number} intensity
+	 * @param {{sensors?: (object: GameObject) => boolean}} [options]
+	 * @param [options.sensors] Optional. Which objects perceive stimuli. Defaults to Agentive ones.
+	 * @return {{object: GameObject, sensor: GameObject, target: GameObject, sense: string, context: PerceptionContext, intensity: number, distance: number, direction: string | null, perception: string | null}[]}
+	 */
+	static propagate(source, sense, intensity, options) {
+		HookModule.run('before:Perceptible.propagate', arguments, this)
+
+		RasPG.dev.validate.types('Perceptible.propagate', {
+			source: [source, 'GameObject'],
+			sense: [sense, 'string'],
+			intensity: [intensity, 'number']
+		})
+		RasPG.dev.validate.props('Perceptible.propagate.options', options, false, {
+			sensors: ['function', '(object: GameObject) => boolean']
+		})
+
+		const attenuation = Object.assign({}, RasPG.config.components.perceptible.attenuation, this.#attenuation.get(sense))
+		const origin = source.component(Tangible)?.locationArray.filter(e => e).at(-1)?? source
+		//* Strongest way the stimulus reaches each location, relaxed from the strongest first
+		const reached = new Map([[origin, { intensity, distance: 0, direction: null }]])
+		const queue = [origin]
+		while (queue.length > 0) {
+			queue.sort((a, b) => reached.get(b).intensity - reached.get(a).intensity)
+			const current = queue.shift()
+			const { intensity: left, distance } = reached.get(current)
+			for (const [direction, exit] of current.component(Connected)?.exits?? []) {
+				const barrier = current._exits.barrier(direction)
+				if (barrier === 'noExit')
+					continue
+				const next = current._exits.destination(direction)
+				const remaining = left - attenuation.hop - (barrier? attenuation[barrier] : 0) - (exit.guard? attenuation.guarded : 0)
+				if (remaining <= 0 || (reached.get(next)?.intensity?? 0) >= remaining)
+					continue
+
+				reached.set(next, {
+					intensity: remaining,
+					distance: distance + 1,
+					direction: MapModule.directions.get(direction)?.opposite?? null
+				})
+				if (!queue.includes(next))
+					queue.push(next)
+			}
+		}
+
+		const isSensor = options?.sensors?? (object => object.hasComponent(Agentive))
+		const perceived = []
+		for (const [location, { intensity: left, distance, direction }] of reached) {
+			const context = distance === 0? 'inRoom' : distance === 1? 'adjacentRoom' : 'distant'
+			const sensors = []
+			const gather = container => {
+				for (const object of container.component(Containing)?.contents?? []) {
+					sensors.push(object)
+					if (object.component(Openable)?.isOpen !== false)
+						gather(object)
+				}
+			}
+			gather(location)
+
+			for (const sensor of sensors) {
+				if (sensor === source || !isSensor(sensor))
+					continue
+				const data = {
+					object: sensor,
+					sensor,
+					target: source,
+					sense,
+					context,
+					intensity: left,
+					distance,
+					direction,
+					perception: source.component(Perceptible)?.perceive(sense, context, sensor)?? null
+				}
+				perceived.push(data)
+				EventModule.emit('perceptions.sensed', data)
+			}
+		}
+
+		HookModule.run('after:Perceptible.propagate', arguments, this)
+		return perceived
+	}
 	/** Add a description for a given sense, in a particular context (i.e. sight direct, smell inRoom). Returns `true`, if there was a perception set for the given sense and context and it was overwritten, and `false`, if there wasn't.
 	 * @param {string} sense Convention: no spaces, camelCase.
 	 * @param {PerceptionContext} context
@@ -2623,7 +5568,11 @@ class Perceptible extends Component {
 		HookModule.run('after:Perceptible.instance.removePerception', arguments, this)
 		return true
 	}
-	/** Returns a particular perception, for a given sense, in a particular context. If `context` is, instead, an array of contexts, it'll look for perceptions in its order, and return the first found. Returns the appropriate string, if found, or 'null', if not found.
+	/** Returns a particular perception, for a given sense, in a particular context. If `context` is, instead, an array of contexts, it'll look for perceptions in its order, and return the first found. Returns the appropriate string, if found, or 'null', if not found. Areas and Regions without the perception get it from the regions they're in, innermost first.
+	 *
+	 * For Openable objects, the context suffixed with 'Open' or 'Closed' (and, for locked Lockable ones, 'Locked', before that) is looked for first, so descriptions can follow their state.
+	 *
+	 * For 'sight', if the sensor can't see where it is (see `LightSource.canSee()`), only contexts suffixed with 'Dark' are looked for (i.e. 'directDark', for something glowing).
 	 * @param {string} sense Convention: no spaces, camelCase.
 	 * @param {PerceptionContext | Array<PerceptionContext>} context Either a perception context string, or an array of them.
 	 * @param {GameObject} sensor The object attempting to perceive. Used if the perception found is a PerceptionDescriptionFunction.
@@ -2635,25 +5584,32 @@ class Perceptible extends Component {
 			sense: [sense, 'string'],
 			context: [context, 'string'],
 		})
-		if (!this.#perceptions.has(sense))
-			return null
-		if (!GameObject.isPrototypeOf(sensor.prototype))
+		if (!(sensor instanceof GameObject))
 			throw RasPG.dev.exceptions.NotGameObject()
+		//* Areas and Regions inherit ambient perceptions from the regions they're in
+		const inherited = () => Region.of(this.parent)?.component(Perceptible)?.perceive(sense, context, sensor)?? null
+		if (!this.#perceptions.has(sense))
+			return inherited()
 
 		const perceptions = this.#perceptions.get(sense)
+		//* Openable and Lockable objects' perceptions for their current state (i.e. 'directOpen', 'directLocked') are tried first
+		const suffixes = []
+		if (this.parent.component(Lockable)?.locked)
+			suffixes.push('Locked')
+		if (this.parent.hasComponent(Openable))
+			suffixes.push(this.parent._openable.isOpen? 'Open' : 'Closed')
 		let found
 		let realContext = context
-		if (typeof context === 'string')
-			found = perceptions.get(context)
-		else if (context instanceof Array)
-			for (const context of context)
-				if (perceptions.has(context)) {
-					found = perceptions.get(context)
-					realContext = context
-					break
-				}
+		//* In the dark, only perceptions meant for it (i.e. 'directDark', 'directOpenDark') are seen
+		const dark = sense === 'sight' && !LightSource.canSee(sensor)
+		for (const candidate of [context].flat().flatMap(e => [...suffixes.map(suffix => e + suffix), e]).map(e => dark? e +'Dark' : e))
+			if (perceptions.has(candidate)) {
+				found = perceptions.get(candidate)
+				realContext = candidate
+				break
+			}
 		if (!found)
-			return null
+			return inherited()
 		if (typeof found === 'function')
 			found = found(sensor, this.parent)
 
@@ -2674,10 +5630,11 @@ class Tangible extends Component {
 	}
 	static deserializer = function(data) {
 		const instance = new Tangible()
-		RasPG.utils.scheduling.stateNot(
-			() =>instance.moveTo(data.location, false)
-			, {inner: 'serializing'}
-		)
+		if (data.location)
+			RasPG.utils.scheduling.stateNot(
+				() =>instance.moveTo(data.location, false)
+				, {inner: 'serializing'}
+			)
 		return instance
 	}
 	/** @type {string} */
@@ -2687,7 +5644,7 @@ class Tangible extends Component {
 	get location() {
 		if (RasPG.runtime.state.inner.get() === 'serializing')
 			return this.#location
-		if (this.#location === null)
+		if (this.#location == null)
 			return null
 		return GameObject.resolve(this.#location)
 	}
@@ -2697,7 +5654,7 @@ class Tangible extends Component {
 		const path = [current]
 		const visited = new Set()
 
-		while (GameObject.isPrototypeOf(current.prototype) && current.hasComponent(Tangible)) {
+		while (current instanceof GameObject && current.hasComponent(Tangible)) {
 			const location = current.component(Tangible).location
 			path.push(location)
 			if (visited.has(location))
@@ -2744,6 +5701,7 @@ class Tangible extends Component {
 			previous,
 			current: this.#location
 		})
+		Region.emitCrossings(this.parent, previous, this.#location)
 		HookModule.run('after:Tangible.instance.moveTo', arguments, this)
 		return true
 	}
@@ -2773,6 +5731,7 @@ class Tangible extends Component {
 			object: this.parent,
 			previous
 		})
+		Region.emitCrossings(this.parent, previous, null)
 		HookModule.run('after:Tangible.instance.clearLocation', arguments, this)
 	}
 	/** Returns whether this and the given object are in the same location. Returns `null` if an error occurs.
@@ -2850,14 +5809,36 @@ class Containing extends Component {
 	static reference = '_container'
 	static serializer = function(instance) {
 		const data = {contents: Array.from(instance.contents)}
-		if (RasPG.config.serializeFunctions)
-			data.filter = instance.filter.toString()
+		//? Filters are skipped, unless functions are serialized
+		const filter = SaveModule.serializeFunction(instance.filter)
+		if (filter !== undefined)
+			data.filter = filter
+		return data
+	}
+	static delta = function(base, current) {
+		const contents = RasPG.utils.delta.diffSet(base.contents, current.contents)
+		if (!contents && base.filter === current.filter)
+			return undefined
+		const delta = {}
+		if (contents)
+			delta.contents = contents
+		if (base.filter !== current.filter)
+			delta.filter = current.filter
+		return delta
+	}
+	static patch = function(base, delta) {
+		const data = structuredClone(base)
+		data.contents = RasPG.utils.delta.patchSet(base.contents, delta.contents)
+		if ('filter' in delta)
+			data.filter = delta.filter
 		return data
 	}
 	static deserializer = function(data) {
 		const instance = new Containing()
-		if (data.filter)
-			instance.setFilter(eval(data.filter))
+		//? Older saves kept filters unprefixed
+		const filter = SaveModule.deserializeFunction(data.filter)
+		if (filter)
+			instance.setFilter(typeof filter === 'string'? eval(filter) : filter)
 		for (const id of data.contents)
 			RasPG.utils.scheduling.stateNot(
 				() => instance.add(id),
@@ -2876,7 +5857,7 @@ class Containing extends Component {
 		return new Set(
 			Array.from(this.#contents)
 				.map(e => GameObject.resolve(e, { operation: 'Containing.instance.get.contents' }))
-				.filter(e => GameObject.isPrototypeOf(e.prototype))
+				.filter(e => e instanceof GameObject)
 		)
 	}
 	get contentsNested() {
@@ -2937,8 +5918,10 @@ class Containing extends Component {
 		if (options?.ignoreFilter !== true && this.#filter && !this.#filter(actualObject))
 			return this
 
-		if (options?.passOn !== false)
+		if (options?.passOn !== false) {
+			actualObject._location.location?._container?.remove(actualObject, {strict: true, passOn: false})
 			actualObject._location.moveTo(this.parent, false)
+		}
 		this.#contents.add(actualObject.id)
 
 		EventModule.emit('container.added', {
@@ -3046,10 +6029,10 @@ class Containing extends Component {
 			if (!actualObject)
 				return actualObject
 		}
-		else if (GameObject.isPrototypeOf(container.prototype))
+		else if (container instanceof GameObject)
 			actualObject = container
 
-		if (GameObject.isPrototypeOf(container.prototype))
+		if (container instanceof GameObject)
 			if (container.hasComponent(Containing))
 				actualContainer = container.component(Containing)
 			else {
@@ -3058,38 +6041,618 @@ class Containing extends Component {
 		else if (container instanceof Containing)
 			actualContainer = container
 
-		let allSuccessful = true
-		for (const item of this.contents)
-			if (!actualContainer.add(item))
-				allSuccessful = false
+		let allSuccessful = true
+		for (const item of this.contents)
+			if (!actualContainer.add(item))
+				allSuccessful = false
+
+		HookModule.run('after:Containing.instance.emptyInto', arguments, this)
+		return allSuccessful
+	}
+	/** Returns whether the container already includes the object.
+	 * @param {GameObject | string} object
+	 * @param {{strict?: boolean}} options
+	 * @param options.strict If `true`, compares the full ID, and if `false`, compares baseID. Default behavior can be configured in `RasPG.config.components.containing.strictHas`.
+	 */
+	has(object, options) {
+		HookModule.run('Container.instance.has', arguments, this)
+
+		RasPG.dev.validate.type('Container.instance.has.object', object, 'GameObject | string')
+		RasPG.dev.validate.props('Container.instance.has.options', options, false, {
+			strict: 'boolean'
+		})
+
+		const strict = options?.strict?? RasPG.config.components.containing.strictHas
+		const id = typeof object === 'string'? object : object.id
+		if (strict)
+			return this.#contents.has(id)
+
+		const baseID = id.replace(/__i\d+$/, '')
+		return Array.from(this.#contents).some(e => e.replace(/__i\d+$/, '') === baseID)
+	}
+}  RasPG.registerComponent(Containing)
+class Connected extends Component {
+	static reference = '_exits'
+	static requires = [Containing]
+	static serializer = function(instance) {
+		const data = {}
+		for (const [direction, exit] of instance.exits) {
+			const { guard, ...rest } = exit
+			data[direction] = rest
+			//? Guards are skipped, unless functions are serialized
+			const serialized = SaveModule.serializeFunction(guard)
+			if (serialized !== undefined)
+				data[direction].guard = serialized
+		}
+		return data
+	}
+	static deserializer = function(data) {
+		const instance = new Connected()
+		for (const [direction, { to, guard, ...rest }] of Object.entries(data)) {
+			if (guard)
+				rest.guard = SaveModule.deserializeFunction(guard)
+			instance.connect(direction, to, rest)
+		}
+		return instance
+	}
+	/** @type {Map<string, Exit>} */
+	#exits = new Map()
+
+	/** Exits by direction. Destinations are kept as IDs. */
+	get exits() {
+		if (RasPG.runtime.state.inner.get() === 'serializing')
+			return this.#exits
+		return new Map(Array.from(this.#exits).map(([direction, exit]) => [direction, Object.assign({}, exit)]))
+	}
+
+	/** Sets an exit in the given direction, replacing any already there. Returns the component instance back for further operations. Used by `MapModule.connect()`, which also sets the way back.
+	 * @param {string} direction Convention: no spaces, camelCase.
+	 * @param {GameObject | string} destination
+	 * @param {{door?: {object: GameObject | string, state?: string, equals?: boolean | number}, guard?: (agent: GameObject, from: GameObject, to: GameObject) => boolean, cost?: number}} [options]
+	 * @param [options.door] Optional. Object the exit depends on: passable while it's open and unlocked (Openable and Lockable), or, if `state` is given, while its Stateful state is truthy (or strictly equal to `equals`, if given).
+	 * @param [options.guard] Optional. Predicate the exit depends on.
+	 * @param [options.cost] Defaults to 1. Cost of the exit, for pathfinding.
+	 */
+	connect(direction, destination, options) {
+		HookModule.run('before:Connected.instance.connect', arguments, this)
+
+		RasPG.dev.validate.types('Connected.instance.connect', {
+			direction: [direction, 'string'],
+			destination: [destination, 'GameObject | string']
+		})
+		RasPG.dev.validate.props('Connected.instance.connect.options', options, false, {
+			door: ['object', '{object: GameObject | string, state?: string, equals?: boolean | number}'],
+			guard: ['function', '(agent: GameObject, from: GameObject, to: GameObject) => boolean'],
+			cost: 'number'
+		})
+
+		const exit = { to: typeof destination === 'string'? destination : destination.id }
+		if (options?.door)
+			exit.door = Object.assign({}, options.door, {
+				object: typeof options.door.object === 'string'? options.door.object : options.door.object.id
+			})
+		if (options?.guard)
+			exit.guard = options.guard
+		if (options?.cost !== undefined)
+			exit.cost = options.cost
+		const previous = this.#exits.get(direction)
+		this.#exits.set(direction, exit)
+
+		EventModule.emit('exits.connected', {
+			object: this.parent,
+			direction,
+			previous: previous?.to,
+			current: exit.to
+		})
+		HookModule.run('after:Connected.instance.connect', arguments, this)
+		return this
+	}
+	/** Removes the exit in the given direction. Returns `true`, if successful, and `false`, if there was none.
+	 * @param {string} direction
+	 */
+	disconnect(direction) {
+		HookModule.run('before:Connected.instance.disconnect', arguments, this)
+
+		RasPG.dev.validate.type('Connected.instance.disconnect.direction', direction, 'string')
+		const previous = this.#exits.get(direction)
+		if (!previous)
+			return false
+
+		this.#exits.delete(direction)
+
+		EventModule.emit('exits.disconnected', {
+			object: this.parent,
+			direction,
+			previous: previous.to,
+			current: undefined
+		})
+		HookModule.run('after:Connected.instance.disconnect', arguments, this)
+		return true
+	}
+	/** Returns the destination of the exit in the given direction, or `null`, if there's none (or it can't be resolved).
+	 * @param {string} direction
+	 */
+	destination(direction) {
+		HookModule.run('Connected.instance.destination', arguments, this)
+
+		RasPG.dev.validate.type('Connected.instance.destination.direction', direction, 'string')
+		const exit = this.#exits.get(direction)
+		if (!exit)
+			return null
+		return GameObject.resolve(exit.to, { component: Containing, operation: 'Connected.instance.destination' }) || null
+	}
+	/** Returns what stands in the way through the exit in the given direction, regardless of who's going (its guard isn't checked): 'noExit', 'locked' (its Lockable door is locked) or 'closed' (its door isn't open, or its flag isn't set), or `null`, if nothing does.
+	 * @param {string} direction
+	 */
+	barrier(direction) {
+		HookModule.run('Connected.instance.barrier', arguments, this)
+
+		RasPG.dev.validate.type('Connected.instance.barrier.direction', direction, 'string')
+
+		const exit = this.#exits.get(direction)
+		if (!this.destination(direction))
+			return 'noExit'
+		if (exit.door) {
+			const door = GameObject.resolve(exit.door.object, { operation: 'Connected.instance.barrier' })
+			if (exit.door.state === undefined) {
+				if (door?.component(Lockable)?.locked)
+					return 'locked'
+				if (!door?.component(Openable)?.isOpen)
+					return 'closed'
+			}
+			else {
+				const value = door?.component(Stateful)?.data[exit.door.state]
+				if ('equals' in exit.door? value !== exit.door.equals : !value)
+					return 'closed'
+			}
+		}
+		return null
+	}
+	/** Returns `true`, if the given agent can go through the exit in the given direction, or why not: 'noExit', 'locked' or 'closed' (see `barrier()`), or 'blocked' (its guard returned `false`).
+	 * @param {string} direction
+	 * @param {GameObject} [agent]
+	 */
+	passable(direction, agent) {
+		HookModule.run('Connected.instance.passable', arguments, this)
+
+		RasPG.dev.validate.types('Connected.instance.passable', {
+			direction: [direction, 'string'],
+			agent: [agent, 'GameObject | undefined']
+		})
+
+		const barrier = this.barrier(direction)
+		if (barrier)
+			return barrier
+		const exit = this.#exits.get(direction)
+		if (exit.guard && !exit.guard(agent, this.parent, this.destination(direction)))
+			return 'blocked'
+		return true
+	}
+}  RasPG.registerComponent(Connected)
+/** Lets an object be opened and closed. Doesn't require Containing, as not everything that opens holds things: doors (see `MapModule.connect()`) only block exits while closed. Containing objects that are Openable can't be put in or taken from while closed. */
+class Openable extends Component {
+	static reference = '_openable'
+	static serializer = function(instance) {
+		return {open: instance.isOpen}
+	}
+	static deserializer = function(data) {
+		const instance = new Openable()
+		instance.#open = data.open
+		return instance
+	}
+	#open = false
+
+	get isOpen() {
+		return this.#open
+	}
+
+	/** Opens the object. Returns `true`, if successful, and `false`, if it's already open or locked. */
+	open() {
+		HookModule.run('before:Openable.instance.open', arguments, this)
+
+		if (this.#open || this.parent.component(Lockable)?.locked)
+			return false
+		this.#open = true
+
+		EventModule.emit('openable.opened', {
+			object: this.parent,
+			property: 'open',
+			previous: false,
+			current: true
+		})
+		HookModule.run('after:Openable.instance.open', arguments, this)
+		return true
+	}
+	/** Closes the object. Returns `true`, if successful, and `false`, if it's already closed. */
+	close() {
+		HookModule.run('before:Openable.instance.close', arguments, this)
+
+		if (!this.#open)
+			return false
+		this.#open = false
+
+		EventModule.emit('openable.closed', {
+			object: this.parent,
+			property: 'open',
+			previous: true,
+			current: false
+		})
+		HookModule.run('after:Openable.instance.close', arguments, this)
+		return true
+	}
+}  RasPG.registerComponent(Openable)
+class Lockable extends Component {
+	static reference = '_lock'
+	static requires = [Openable]
+	static serializer = function(instance) {
+		return {
+			locked: instance.locked,
+			//* Key functions are left out, unless functions are serialized
+			keys: instance.keys
+				.map(key => SaveModule.serializeFunction(key))
+				.filter(key => key !== undefined)
+		}
+	}
+	static deserializer = function(data) {
+		const instance = new Lockable()
+		instance.#locked = data.locked
+		for (const key of data.keys)
+			instance.addKey(SaveModule.deserializeFunction(key))
+		return instance
+	}
+	#locked = false
+	/** @type {Array<string | {tag: string} | ((key: GameObject, lock: GameObject) => boolean)>} */
+	#keys = []
+
+	get locked() {
+		return this.#locked
+	}
+	get keys() {
+		return Array.from(this.#keys)
+	}
+
+	/** Adds a way of matching keys that fit the lock: a key ID (also matching instances of a template by that name), a tag (`{tag: 'SKELETON_KEY'}`), or a predicate. Returns the component instance back for further operations.
+	 * @param {string | {tag: string} | ((key: GameObject, lock: GameObject) => boolean)} key
+	 */
+	addKey(key) {
+		HookModule.run('before:Lockable.instance.addKey', arguments, this)
+
+		RasPG.dev.validate.type('Lockable.instance.addKey.key', key, ['string | object | function', 'string | {tag: string} | (key: GameObject, lock: GameObject) => boolean'])
+		if (typeof key === 'object')
+			RasPG.dev.validate.props('Lockable.instance.addKey.key', key, { tag: 'string' })
+
+		this.#keys.push(key)
+
+		HookModule.run('after:Lockable.instance.addKey', arguments, this)
+		return this
+	}
+	/** Removes a way of matching keys. Returns `true`, if successful, and `false`, if it wasn't added.
+	 * @param {string | {tag: string} | ((key: GameObject, lock: GameObject) => boolean)} key
+	 */
+	removeKey(key) {
+		HookModule.run('before:Lockable.instance.removeKey', arguments, this)
+
+		const index = this.#keys.findIndex(e => e === key || (typeof e === 'object' && e.tag === key?.tag))
+		if (index === -1)
+			return false
+		this.#keys.splice(index, 1)
+
+		HookModule.run('after:Lockable.instance.removeKey', arguments, this)
+		return true
+	}
+	/** Returns whether the given object fits the lock.
+	 * @param {GameObject} key
+	 */
+	fits(key) {
+		HookModule.run('Lockable.instance.fits', arguments, this)
+
+		RasPG.dev.validate.type('Lockable.instance.fits.key', key, 'GameObject')
+
+		return this.#keys.some(e => {
+			if (typeof e === 'string')
+				return key.id === e || key.baseID === e
+			if (typeof e === 'function')
+				return e(key, this.parent)
+			return key.tags.has(e.tag)
+		})
+	}
+	/** Locks the object, with the given key, if any. Returns `true`, if successful, and `false`, if it's already locked, open, or the key doesn't fit. Without a key, it always succeeds if it could be locked (i.e. for scripted events).
+	 * @param {GameObject} [key]
+	 */
+	lock(key) {
+		HookModule.run('before:Lockable.instance.lock', arguments, this)
+
+		RasPG.dev.validate.type('Lockable.instance.lock.key', key, 'GameObject | undefined')
+		if (this.#locked || this.parent.component(Openable)?.isOpen || (key && !this.fits(key)))
+			return false
+		this.#locked = true
+
+		EventModule.emit('lockable.locked', {
+			object: this.parent,
+			property: 'locked',
+			previous: false,
+			current: true,
+			key
+		})
+		HookModule.run('after:Lockable.instance.lock', arguments, this)
+		return true
+	}
+	/** Unlocks the object, with the given key, if any. Returns `true`, if successful, and `false`, if it isn't locked, or the key doesn't fit. Without a key, it always succeeds if it could be unlocked (i.e. for scripted events).
+	 * @param {GameObject} [key]
+	 */
+	unlock(key) {
+		HookModule.run('before:Lockable.instance.unlock', arguments, this)
+
+		RasPG.dev.validate.type('Lockable.instance.unlock.key', key, 'GameObject | undefined')
+		if (!this.#locked || (key && !this.fits(key)))
+			return false
+		this.#locked = false
+
+		EventModule.emit('lockable.unlocked', {
+			object: this.parent,
+			property: 'locked',
+			previous: true,
+			current: false,
+			key
+		})
+		HookModule.run('after:Lockable.instance.unlock', arguments, this)
+		return true
+	}
+}  RasPG.registerComponent(Lockable)
+class LightSource extends Component {
+	static reference = '_light'
+	static requires = [Tangible]
+	static serializer = function(instance) {
+		return {
+			lit: instance.lit,
+			strength: instance.strength,
+			radius: instance.radius,
+			fuel: instance.fuel
+		}
+	}
+	static deserializer = function(data) {
+		const instance = new LightSource()
+		instance.#lit = data.lit
+		instance.#strength = data.strength
+		instance.#radius = data.radius
+		instance.#fuel = data.fuel
+		return instance
+	}
+	/** @type {(sensor: GameObject, location: GameObject) => boolean} */
+	static #resolver = (sensor, location) => LightSource.level(location) >= RasPG.config.components.lightSource.threshold
+	#lit = false
+	#strength = 1
+	#radius = 0
+	/** @type {'count' | `state:${string}` | undefined} */
+	#fuel
+
+	get lit() {
+		return this.#lit
+	}
+	get strength() {
+		return this.#strength
+	}
+	get radius() {
+		return this.#radius
+	}
+	get fuel() {
+		return this.#fuel
+	}
+	/** Fuel left, read from the object's count or state, or `Infinity`, if it doesn't need fuel. */
+	get fuelLeft() {
+		if (this.#fuel === 'count')
+			return this.parent._count.count
+		if (this.#fuel)
+			return this.parent._states.get(this.#fuel.slice(6))
+		return Infinity
+	}
+
+	/** Returns the ambient light level of a location: its own 'light' state (Stateful), if it has one, or else that of the location it's in (if Tangible), or of the regions it's in, innermost first, or else `RasPG.config.components.lightSource.ambient`. Closed Openable containers without their own 'light' state are dark inside.
+	 * @param {GameObject} location
+	 */
+	static ambient(location) {
+		HookModule.run('LightSource.ambient', arguments, this)
+
+		RasPG.dev.validate.type('LightSource.ambient.location', location, 'GameObject')
+
+		const own = location.component(Stateful)?.data
+		if (own && 'light' in own)
+			return own.light
+		if (location.component(Openable)?.isOpen === false)
+			return 0
+		const outer = location.component(Tangible)?.location
+		if (outer)
+			return this.ambient(outer)
+		for (let region = Region.of(location); region; region = Region.of(region)) {
+			const inherited = region.component(Stateful)?.data
+			if (inherited && 'light' in inherited)
+				return inherited.light
+		}
+
+		return RasPG.config.components.lightSource.ambient
+	}
+	/** Returns the locations lit by the given light source (if lit): every container it's in, up to the first closed one (Openable), and, from the outermost, locations up to its radius in exits away, through exits that aren't closed or locked.
+	 * @param {GameObject} source
+	 */
+	static reach(source) {
+		HookModule.run('LightSource.reach', arguments, this)
+
+		RasPG.dev.validate.type('LightSource.reach.source', source, 'GameObject')
+		if (!source.component(LightSource)?.lit)
+			return new Set()
+
+		const reached = new Set()
+		let location = source._location.location
+		while (location) {
+			reached.add(location)
+			if (location.component(Openable)?.isOpen === false)
+				return reached
+			location = location.component(Tangible)?.location
+		}
+
+		let frontier = Array.from(reached).slice(-1)
+		for (let step = 0; step < source._light.radius; step++)
+			frontier = frontier.flatMap(room => Array.from(room.component(Connected)?.exits.keys()?? [])
+				.filter(direction => room._exits.barrier(direction) === null)
+				.map(direction => room._exits.destination(direction))
+				.filter(destination => !reached.has(destination) && reached.add(destination)))
+		return reached
+	}
+	/** Returns the light level of a location: its ambient light (see `LightSource.ambient()`), plus the strength of every lit light source reaching it (see `LightSource.reach()`).
+	 * @param {GameObject} location
+	 */
+	static level(location) {
+		HookModule.run('LightSource.level', arguments, this)
+
+		RasPG.dev.validate.type('LightSource.level.location', location, 'GameObject')
+
+		let level = this.ambient(location)
+		for (const object of new Set(GameObject._all.values()))
+			if (object.component(LightSource)?.lit && this.reach(object).has(location))
+				level += object._light.strength
+		return level
+	}
+	/** Returns whether the 'sight' sense works for the given sensor, in the given location (defaults to the sensor's). Sensors that aren't anywhere always see. By default, the location's light level must reach `RasPG.config.components.lightSource.threshold`; see `LightSource.setResolver()`.
+	 * @param {GameObject} sensor
+	 * @param {GameObject} [location]
+	 */
+	static canSee(sensor, location) {
+		HookModule.run('LightSource.canSee', arguments, this)
+
+		RasPG.dev.validate.types('LightSource.canSee', {
+			sensor: [sensor, 'GameObject'],
+			location: [location, 'GameObject | undefined']
+		})
+		location ??= sensor.component(Tangible)?.location
+		if (!location)
+			return true
+
+		return this.#resolver(sensor, location)
+	}
+	/** Sets the function that decides whether the 'sight' sense works for a sensor in a location (i.e. for creatures that see in the dark).
+	 * @param {(sensor: GameObject, location: GameObject) => boolean} fn
+	 */
+	static setResolver(fn) {
+		HookModule.run('before:LightSource.setResolver', arguments, this)
+
+		RasPG.dev.validate.type('LightSource.setResolver.fn', fn, ['function', '(sensor: GameObject, location: GameObject) => boolean'])
+
+		this.#resolver = fn
+
+		HookModule.run('after:LightSource.setResolver', arguments, this)
+		return this
+	}
+	/** Resolves the 'cleanup' turn phase for light sources: every lit one that needs fuel burns a unit of it, and goes out when it runs out. Returns the number of light sources that went out.
+	 */
+	static burn() {
+		HookModule.run('before:LightSource.burn', arguments, this)
+
+		let exhausted = 0
+		for (const object of new Set(GameObject._all.values())) {
+			const component = object.component(LightSource)
+			if (!component?.lit || !component.#fuel)
+				continue
 
-		HookModule.run('after:Containing.instance.emptyInto', arguments, this)
-		return allSuccessful
+			const left = Math.max(component.fuelLeft - 1, 0)
+			if (component.#fuel === 'count')
+				object._count.set(left)
+			else
+				object._states.set(component.#fuel.slice(6), left)
+			if (left > 0)
+				continue
+
+			component.#lit = false
+			exhausted++
+			EventModule.emit('light.exhausted', {
+				object,
+				property: 'lit',
+				previous: true,
+				current: false
+			})
+		}
+
+		HookModule.run('after:LightSource.burn', arguments, this)
+		return exhausted
 	}
-	/** Returns whether the container already includes the object.
-	 * @param {GameObject | string} object
-	 * @param {{strict?: boolean}} options
-	 * @param options.strict If `true`, compares the full ID, and if `false`, compares baseID. Default behavior can be configured in `RasPG.config.components.containing.strictHas`.
+	/** Sets how the light source shines. Returns the component instance back for further operations.
+	 * @param {{strength?: number, radius?: number, fuel?: 'count' | `state:${string}`}} options
+	 * @param [options.strength] Defaults to 1. Light added to the locations it reaches.
+	 * @param [options.radius] Defaults to 0. How many exits away from its outermost location it reaches.
+	 * @param [options.fuel] Optional. Where the fuel it burns, a unit per turn while lit, is kept: its count ('count', Countable), or a state ('state:<variable>', Stateful). Without it, it never runs out.
 	 */
-	has(object, options) {
-		HookModule.run('Container.instance.has', arguments, this)
+	define(options) {
+		HookModule.run('before:LightSource.instance.define', arguments, this)
 
-		RasPG.dev.validate.type('Container.instance.has.object', object, 'GameObject | string')
-		RasPG.dev.validate.props('Container.instance.has.options', options, false, {
-			strict: 'boolean'
+		RasPG.dev.validate.props('LightSource.instance.define.options', options, false, {
+			strength: 'number',
+			radius: 'number',
+			fuel: ['string', "'count' | 'state:<variable>'"]
 		})
+		if (options.fuel !== undefined && options.fuel !== 'count' && !options.fuel.startsWith('state:'))
+			throw RasPG.dev.exceptions.BrokenStringFormat(options.fuel, "'count' | 'state:<variable>'")
+		if (options.fuel === 'count' && !this.parent.hasComponent(Countable))
+			return RasPG.dev.logs.missingRequiredComponentForOperation(this.parent.id, 'Countable', 'LightSource.instance.define')
+		if (options.fuel?.startsWith('state:') && !this.parent.hasComponent(Stateful))
+			return RasPG.dev.logs.missingRequiredComponentForOperation(this.parent.id, 'Stateful', 'LightSource.instance.define')
+
+		if (options.strength !== undefined)
+			this.#strength = options.strength
+		if (options.radius !== undefined)
+			this.#radius = options.radius
+		if (options.fuel !== undefined)
+			this.#fuel = options.fuel
+
+		HookModule.run('after:LightSource.instance.define', arguments, this)
+		return this
+	}
+	/** Lights the light source. Returns `true`, if successful, and `false`, if it's already lit, or out of fuel. */
+	light() {
+		HookModule.run('before:LightSource.instance.light', arguments, this)
 
-		let id = typeof object === 'string'? object : options?.strict === true? object.id : object.baseID
+		if (this.#lit || this.fuelLeft <= 0)
+			return false
+		this.#lit = true
 
-		return !!this.#contents.find(e => options?.strict === true? e.id === id : e.baseID === id)
+		EventModule.emit('light.lit', {
+			object: this.parent,
+			property: 'lit',
+			previous: false,
+			current: true
+		})
+		HookModule.run('after:LightSource.instance.light', arguments, this)
+		return true
 	}
-}  RasPG.registerComponent(Containing)
+	/** Puts out the light source. Returns `true`, if successful, and `false`, if it isn't lit. */
+	extinguish() {
+		HookModule.run('before:LightSource.instance.extinguish', arguments, this)
+
+		if (!this.#lit)
+			return false
+		this.#lit = false
+
+		EventModule.emit('light.extinguished', {
+			object: this.parent,
+			property: 'lit',
+			previous: true,
+			current: false
+		})
+		HookModule.run('after:LightSource.instance.extinguish', arguments, this)
+		return true
+	}
+}  RasPG.registerComponent(LightSource)
 class Actionable extends Component {
 	static reference = '_actions'
 	static requires = [Tangible]
 	static serializer = function(instance) {
 		return {actions: Array.from(instance.actions)}
 	}
+	static delta = function(base, current) {
+		const actions = RasPG.utils.delta.diffSet(base.actions, current.actions)
+		return actions? {actions} : undefined
+	}
+	static patch = function(base, delta) {
+		return {actions: RasPG.utils.delta.patchSet(base.actions, delta.actions)}
+	}
 	static deserializer = function(data) {
 		const instance = new Actionable()
 		instance.agentsCan(data.actions)
@@ -3231,7 +6794,7 @@ class Actionable extends Component {
 			}
 		else if (action instanceof Array)
 			for (const name of action)
-				if (!Actionable.isAction(action))
+				if (!Actionable.isAction(name))
 					ret = RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Actionable.#actions')
 				else {
 					this.#actions.add(name)
@@ -3259,7 +6822,7 @@ class Actionable extends Component {
 			}
 		else if (action instanceof Array)
 			for (const name of action)
-				if (!Actionable.isAction(action))
+				if (!Actionable.isAction(name))
 					ret = RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Actionable.#actions')
 				else {
 					this.#actions.delete(name)
@@ -3273,16 +6836,48 @@ class Actionable extends Component {
 class Agentive extends Component {
 	static reference = '_acts'
 	static serializer = function(instance) {
-		return {acts: Array.from(instance.acts)}
+		return {acts: Array.from(instance.acts), intent: instance.intent, busy: instance.busy}
+	}
+	static delta = function(base, current) {
+		const acts = RasPG.utils.delta.diffSet(base.acts, current.acts)
+		const intentChanged = !RasPG.utils.delta.equal(base.intent?? null, current.intent?? null)
+		const busyChanged = (base.busy?? 0) !== (current.busy?? 0)
+		if (!acts && !intentChanged && !busyChanged)
+			return undefined
+		const delta = {}
+		if (acts)
+			delta.acts = acts
+		if (intentChanged)
+			delta.intent = current.intent
+		if (busyChanged)
+			delta.busy = current.busy
+		return delta
+	}
+	static patch = function(base, delta) {
+		return {
+			acts: RasPG.utils.delta.patchSet(base.acts, delta.acts),
+			intent: 'intent' in delta? delta.intent : base.intent?? null,
+			busy: 'busy' in delta? delta.busy : base.busy?? 0
+		}
 	}
 	static deserializer = function(data) {
 		const instance = new Agentive()
 		instance.can(data.acts)
+		if (data.intent)
+			instance.#intent = data.intent
+		instance.#busy = data.busy?? 0
 		return instance
 	}
 	static #allActs = new Map()
 	static #disabledActs = new Set()
+	/** @type {(agent: GameObject, intent: Intent) => number} */
+	static #initiative = (agent, intent) => intent.priority?? 0
 	#acts = new Set()
+	/** @type {{act: string, patient?: string, instrument?: string, priority?: number} | {input: string, priority?: number} | null} */
+	#intent = null
+	#busy = 0
+	/** @type {(agent: GameObject) => Intent | null | undefined} */
+	#decider
 
 	static get acts() {
 		if (RasPG.runtime.state.inner.get() === 'serializing')
@@ -3292,23 +6887,40 @@ class Agentive extends Component {
 				.filter(([key, _]) => !this.#disabledActs.has(key))
 		)
 	}
+	/** The function currently deciding the order in which declared intents are performed. See `setInitiative()`. */
+	static get initiative() {
+		return this.#initiative
+	}
 	get acts() {
 		if (RasPG.runtime.state.inner.get() === 'serializing')
 			return this.#acts
 		return new Set([...this.#acts].filter(act => !Agentive.#disabledActs.has(act)))
 	}
+	/** The intent currently declared by the object, with patient and instrument as IDs, or `null`, if none. */
+	get intent() {
+		return this.#intent? Object.assign({}, this.#intent) : null
+	}
+	get decider() {
+		return this.#decider
+	}
+	/** For how many more 'intent' turn phases the object is busy (see `occupy()`). */
+	get busy() {
+		return this.#busy
+	}
 
 	/** Registers an Act object into the component's registry. The object is comprised of a callback (representing the act itself), and, optionally, a predicate (representing requirements for the act to be performed).
+	 *
+	 * Both are called with the act's patient and instrument (if any); the agent, patient and instrument are also pushed to the ContextModule under their respective labels.
 	 * @param {string} name Convention: no spaces, camelCase. Can be organized into domains (i.e. 'item.drop').
-	 * @param {{callback: (target?: GameObject) => (void | string), predicate?: (target?: GameObject) => boolean}} actObject
+	 * @param {{callback: (patient?: GameObject, instrument?: GameObject) => (void | string), predicate?: (patient?: GameObject, instrument?: GameObject) => boolean}} actObject
 	 */
 	static registerAct(name, actObject) {
 		HookModule.run('before:Agentive.registerAct', arguments, this)
 
 		RasPG.dev.validate.type('Agentive.registerAct.name', name, 'string')
 		RasPG.dev.validate.props('Agentive.registerAct.actObject', actObject,
-			{ callback: ['function', '(target?: GameObject) => (void | string)'] },
-			{ predicate: ['function', '(target?: GameObject) => boolean'] }
+			{ callback: ['function', '(patient?: GameObject, instrument?: GameObject) => (void | string)'] },
+			{ predicate: ['function', '(patient?: GameObject, instrument?: GameObject) => boolean'] }
 		)
 		if (this.isAct(name))
 			throw RasPG.dev.exceptions.GeneralIDConflict('Agentive.#acts', name)
@@ -3398,6 +7010,63 @@ class Agentive extends Component {
 		HookModule.run('after:Agentive.enable', arguments, this)
 		return ret
 	}
+	/** Sets the function that decides the order in which declared intents are performed during the 'intent' turn phase. Intents with higher initiative are performed first; ties keep declaration order. By default, uses the intent's `priority`, or `0`.
+	 * @param {(agent: GameObject, intent: Intent) => number} fn
+	 */
+	static setInitiative(fn) {
+		HookModule.run('before:Agentive.setInitiative', arguments, this)
+
+		RasPG.dev.validate.type('Agentive.setInitiative.fn', fn, ['function', '(agent: GameObject, intent: Intent) => number'])
+
+		this.#initiative = fn
+
+		HookModule.run('after:Agentive.setInitiative', arguments, this)
+		return this
+	}
+	/** Resolves the 'intent' turn phase: objects without a declared intent are asked for one through their decider (if set), then all declared intents are sorted by initiative and performed in order, and cleared. Intents declared as input (see `declareInput()`) are run through `ParserModule.execute()`, with the object as agent. Busy objects (see `occupy()`) sit the phase out, neither deciding nor performing, and keep their declared intent for later. Returns the number of intents performed successfully.
+	 */
+	static resolveIntents() {
+		HookModule.run('before:Agentive.resolveIntents', arguments, this)
+
+		const agents = []
+		for (const object of new Set(GameObject._all.values())) {
+			if (!object.hasComponent(Agentive))
+				continue
+			if (object._acts.#busy > 0)
+				object._acts.#busy--
+			else
+				agents.push(object)
+		}
+
+		for (const agent of agents) {
+			const component = agent._acts
+			if (component.#intent || !component.#decider)
+				continue
+			const intent = component.#decider(agent)
+			if (intent?.input !== undefined)
+				component.declareInput(intent.input, intent)
+			else if (intent)
+				component.declare(intent.act, intent)
+		}
+
+		const intents = agents
+			.filter(agent => agent._acts.#intent)
+			.map(agent => [agent, agent._acts.#intent, this.#initiative(agent, agent._acts.intent)])
+			.sort((a, b) => b[2] - a[2])
+
+		let performed = 0
+		for (const [agent, intent] of intents) {
+			agent._acts.#intent = null
+			const success = 'input' in intent?
+				ParserModule.execute(intent.input, { agent }).success
+				: agent._acts.perform(intent.act, intent)
+			if (success)
+				performed++
+		}
+
+		HookModule.run('after:Agentive.resolveIntents', arguments, this)
+		return performed
+	}
 	/** Adds the act name (or all in the array) to the object's allowed acts. Returns `true`, if successful, or `false`, if (at least one) error occurs.
 	 * @param {string | Array<string>} act Convention: no spaces, camelCase. Can be organized into domains (i.e. 'item.drop').
 	 */
@@ -3416,7 +7085,7 @@ class Agentive extends Component {
 			}
 		else if (act instanceof Array)
 			for (const name of act)
-				if (!Agentive.isAct(act))
+				if (!Agentive.isAct(name))
 					ret = RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Agentive.#acts')
 				else {
 					this.#acts.add(name)
@@ -3444,7 +7113,7 @@ class Agentive extends Component {
 			}
 		else if (act instanceof Array)
 			for (const name of act)
-				if (!Agentive.isAct(act))
+				if (!Agentive.isAct(name))
 					ret = RasPG.dev.logs.elementNotRegisteredInCollection(name, 'Agentive.#acts')
 				else {
 					this.#acts.delete(name)
@@ -3454,15 +7123,616 @@ class Agentive extends Component {
 		HookModule.run('after:Agentive.instance.cannot', arguments, this)
 		return ret
 	}
-}  RasPG.registerComponent('Agentive', Agentive)
+	/** Declares the act the object intends to perform during the next 'intent' turn phase, replacing any previously declared intent. NPC deciders and player input (see `declareInput()`) should both declare intents, so all agents act in initiative order. Returns `true`, if successful, and `false`, if the object can't perform the act.
+	 * @param {string} act
+	 * @param {{patient?: GameObject | string, instrument?: GameObject | string, priority?: number}} [options]
+	 * @param [options.patient] Optional. The object targeted by the act.
+	 * @param [options.instrument] Optional. The object used in the act.
+	 * @param [options.priority] Optional. Used by the default initiative function to order intents; higher goes first.
+	 */
+	declare(act, options) {
+		HookModule.run('before:Agentive.instance.declare', arguments, this)
+
+		RasPG.dev.validate.type('Agentive.instance.declare.act', act, 'string')
+		RasPG.dev.validate.props('Agentive.instance.declare.options', options, false, {
+			patient: 'GameObject | string',
+			instrument: 'GameObject | string',
+			priority: 'number'
+		})
+		if (!this.acts.has(act))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(act, 'Agentive.instance.acts')
+
+		const intent = { act }
+		if (options?.patient)
+			intent.patient = typeof options.patient === 'string'? options.patient : options.patient.id
+		if (options?.instrument)
+			intent.instrument = typeof options.instrument === 'string'? options.instrument : options.instrument.id
+		if (options?.priority !== undefined)
+			intent.priority = options.priority
+		this.#intent = intent
+
+		EventModule.emit('acts.declared', {
+			object: this.parent,
+			act,
+			patient: intent.patient,
+			instrument: intent.instrument
+		})
+		HookModule.run('after:Agentive.instance.declare', arguments, this)
+		return true
+	}
+	/** Declares player input as what the object intends to do during the next 'intent' turn phase, replacing any previously declared intent. The input is run through `ParserModule.execute()`, with the object as agent, when the intent is performed. Returns `true`.
+	 * @param {string} input
+	 * @param {{priority?: number}} [options]
+	 * @param [options.priority] Optional. Used by the default initiative function to order intents; higher goes first.
+	 */
+	declareInput(input, options) {
+		HookModule.run('before:Agentive.instance.declareInput', arguments, this)
+
+		RasPG.dev.validate.type('Agentive.instance.declareInput.input', input, 'string')
+		RasPG.dev.validate.props('Agentive.instance.declareInput.options', options, false, {
+			priority: 'number'
+		})
+
+		const intent = { input }
+		if (options?.priority !== undefined)
+			intent.priority = options.priority
+		this.#intent = intent
+
+		EventModule.emit('acts.declared', {
+			object: this.parent,
+			input
+		})
+		HookModule.run('after:Agentive.instance.declareInput', arguments, this)
+		return true
+	}
+	/** Withdraws the currently declared intent. Returns `true`, if there was one, and `false`, if not (no-op). */
+	withdraw() {
+		HookModule.run('before:Agentive.instance.withdraw', arguments, this)
+
+		if (!this.#intent)
+			return false
+		const previous = this.#intent
+		this.#intent = null
+
+		EventModule.emit('acts.withdrawn', {
+			object: this.parent,
+			act: previous.act,
+			input: previous.input
+		})
+		HookModule.run('after:Agentive.instance.withdraw', arguments, this)
+		return true
+	}
+	/** Sets the function called during the 'intent' turn phase, if the object hasn't declared an intent, to decide one. Returning a falsy value means the object does nothing that turn. Returns the component instance back for further operations.
+	 * @param {(agent: GameObject) => Intent | null | undefined} fn
+	 */
+	setDecider(fn) {
+		HookModule.run('before:Agentive.instance.setDecider', arguments, this)
+
+		RasPG.dev.validate.type('Agentive.instance.setDecider.fn', fn, ['function | undefined', '(agent: GameObject) => Intent | null | undefined'])
+
+		this.#decider = fn
+
+		HookModule.run('after:Agentive.instance.setDecider', arguments, this)
+		return this
+	}
+	/** Keeps the object busy for the given number of turns (on top of those it's already busy for): it sits out that many 'intent' turn phases, keeping any declared intent for after. Paying an action's 'turns' cost occupies the agent for every turn past the current one. Returns the number of turns the object is now busy for.
+	 * @param {number} turns
+	 */
+	occupy(turns) {
+		HookModule.run('before:Agentive.instance.occupy', arguments, this)
+
+		RasPG.dev.validate.type('Agentive.instance.occupy.turns', turns, 'number')
+
+		this.#busy += Math.max(0, Math.floor(turns))
+
+		HookModule.run('after:Agentive.instance.occupy', arguments, this)
+		return this.#busy
+	}
+	/** Performs the given act immediately, with the object as agent. Pushes agent, patient and instrument to the ContextModule while the act's predicate and callback run. Returns `true`, if performed, `false`, if the object can't perform the act or its predicate isn't met, and `null`, if the patient or instrument can't be found.
+	 * @param {string} act
+	 * @param {{patient?: GameObject | string, instrument?: GameObject | string}} [options]
+	 * @param [options.patient] Optional. The object targeted by the act.
+	 * @param [options.instrument] Optional. The object used in the act.
+	 */
+	perform(act, options) {
+		HookModule.run('before:Agentive.instance.perform', arguments, this)
+
+		RasPG.dev.validate.type('Agentive.instance.perform.act', act, 'string')
+		RasPG.dev.validate.props('Agentive.instance.perform.options', options, false, {
+			patient: 'GameObject | string',
+			instrument: 'GameObject | string'
+		})
+		if (!this.acts.has(act))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(act, 'Agentive.instance.acts')
+
+		const context = { agent: this.parent }
+		for (const label of ['patient', 'instrument'])
+			if (options?.[label]) {
+				context[label] = GameObject.resolve(options[label], { operation: 'Agentive.instance.perform' })
+				if (!context[label])
+					return null
+			}
+		const { predicate, callback } = Agentive.#allActs.get(act)
+
+		//* The context is popped even if the predicate or callback throw
+		let met, result
+		ContextModule.push(context)
+		try {
+			met = !predicate || predicate(context.patient, context.instrument)
+			if (met)
+				result = callback(context.patient, context.instrument)
+		} finally {
+			ContextModule.pop(Object.keys(context))
+		}
+		if (!met) {
+			EventModule.emit('acts.failed', {
+				object: this.parent,
+				act,
+				patient: context.patient,
+				instrument: context.instrument
+			})
+			return false
+		}
+
+		EventModule.emit('acts.performed', {
+			object: this.parent,
+			act,
+			patient: context.patient,
+			instrument: context.instrument,
+			result
+		})
+		HookModule.run('after:Agentive.instance.perform', arguments, this)
+		return true
+	}
+}  RasPG.registerComponent(Agentive)
+class Willful extends Component {
+	static reference = '_will'
+	static requires = [Agentive]
+	static serializer = function(instance) {
+		return {
+			strategy: instance.strategy,
+			config: Willful.#encode(instance.config),
+			memory: instance.memory,
+			sensed: instance.sensed,
+			seed: instance.seed,
+			random: instance.#random
+		}
+	}
+	static deserializer = function(data) {
+		const instance = new Willful()
+		instance.#strategy = data.strategy?? null
+		instance.#config = Willful.#decode(data.config?? {})
+		instance.#memory = structuredClone(data.memory?? {})
+		instance.#sensed = structuredClone(data.sensed?? [])
+		instance.#seed = data.seed
+		instance.#random = data.random
+		if (instance.#strategy)
+			RasPG.utils.scheduling.stateNot(
+				() => instance.parent._acts.setDecider(Willful.#decider),
+				{inner: 'serializing|instantiating'}
+			)
+		return instance
+	}
+	static #strategies = new Map()
+	static #decider = (agent) => agent._will.decide()
+	/** @type {string | null} */
+	#strategy = null
+	#config = {}
+	#memory = {}
+	/** @type {{sense: string, target: string, context: PerceptionContext, intensity: number, distance: number, direction: string | null}[]} */
+	#sensed = []
+	#seed = 0
+	#random = 0
+	/** @type {WillDecision | null} */
+	#last = null
+
+	static get strategies() {
+		return new Map(this.#strategies)
+	}
+	get strategy() {
+		return this.#strategy
+	}
+	get config() {
+		if (RasPG.runtime.state.inner.get() === 'serializing')
+			return this.#config
+		return Object.assign({}, this.#config)
+	}
+	/** Strategy-owned data that persists between turns (and saves), such as a scripted sequence's current step. */
+	get memory() {
+		if (RasPG.runtime.state.inner.get() === 'serializing')
+			return this.#memory
+		return structuredClone(this.#memory)
+	}
+	/** Stimuli the object perceived since it last decided (see `Perceptible.propagate()`), from oldest to newest, with the stimulus' source as an ID. Noticed by default, and cleared once the object decides, so strategies may react to them. */
+	get sensed() {
+		return structuredClone(this.#sensed)
+	}
+	get seed() {
+		return this.#seed
+	}
+	/** The last decision made by the object, or `null`, if it idled (or hasn't decided yet). */
+	get lastDecision() {
+		return this.#last
+	}
+
+	/** Registers a decision strategy under the given name. The strategy is called with the deciding object, the configuration given to it through `use()`, its persistent memory (mutable, and must be kept JSON-compatible), and a seeded random function, and must return a decision, or a falsy value, if the object should do nothing that turn.
+	 * @param {string} name Convention: no spaces, camelCase.
+	 * @param {WillStrategy} strategy
+	 * @example
+	 * //* Guards go where they last heard something, and stand watch otherwise
+	 * Willful.registerStrategy('guard', (agent, config, memory) => {
+	 * 	const noise = agent._will.sensed.findLast(e => e.sense === 'hearing' && e.distance > 0)
+	 * 	if (noise)
+	 * 		memory.investigating = GameObject.resolve(noise.target)?._location?.location?.id?? null
+	 * 	if (memory.investigating === agent._location.location?.id)
+	 * 		memory.investigating = null
+	 * 	if (memory.investigating)
+	 * 		return { act: 'movement.goTo', patient: memory.investigating, reason: 'heard something' }
+	 * 	return { act: 'guard.watch' }
+	 * })
+	 */
+	static registerStrategy(name, strategy) {
+		HookModule.run('before:Willful.registerStrategy', arguments, this)
+
+		RasPG.dev.validate.types('Willful.registerStrategy', {
+			name: [name, 'string'],
+			strategy: [strategy, ['function', '(agent: GameObject, config: object, memory: object, random: () => number) => WillDecision | null']]
+		})
+		if (this.#strategies.has(name))
+			throw RasPG.dev.exceptions.GeneralIDConflict('Willful.#strategies', name)
+
+		this.#strategies.set(name, strategy)
+
+		HookModule.run('after:Willful.registerStrategy', arguments, this)
+	}
+	/** Evaluates a consideration for the given agent (and patient, if any), returning a number. Meant to be used by strategies.
+	 *
+	 * State and stat considerations read from the agent, by default; sense considerations read from the patient, by default, resulting in `1` if it has a perception for the given sense (and context, if given), and `0`, if not. Boolean states result in `1` or `0`. The result is multiplied by `weight`, if given.
+	 * @param {GameObject} agent
+	 * @param {Consideration} consideration
+	 * @param {GameObject} [patient]
+	 */
+	static evaluate(agent, consideration, patient) {
+		HookModule.run('Willful.evaluate', arguments, this)
+
+		if (typeof consideration === 'function')
+			return +consideration(agent, patient) || 0
+
+		RasPG.dev.validate.props('Willful.evaluate.consideration', consideration, false, {
+			state: 'string',
+			stat: 'string',
+			sense: 'string',
+			context: 'string',
+			of: "'agent' | 'patient'",
+			weight: 'number'
+		})
+		const source = (consideration.of?? ('sense' in consideration? 'patient' : 'agent')) === 'patient'? patient : agent
+		let value = 0
+		if (!source)
+			return 0
+		if ('state' in consideration) {
+			const data = source.hasComponent(Stateful)? source._states.data : {}
+			value = data[consideration.state]
+			if ('equals' in consideration)
+				value = value === consideration.equals? 1 : 0
+		}
+		else if ('stat' in consideration)
+			value = source._stats?.get(consideration.stat)?.net
+		else if ('sense' in consideration) {
+			const perceptions = source.hasComponent(Perceptible)? source._perceptions.perceptions.get(consideration.sense) : undefined
+			value = !!perceptions && (consideration.context? perceptions.has(consideration.context) : perceptions.size > 0)
+		}
+
+		return (+value || 0) * (consideration.weight?? 1)
+	}
+
+	/** Sets the strategy the object uses to decide its acts, and its configuration, and makes the object decide its intents through it during the 'intent' turn phase. Resets the strategy's memory. Returns the component instance back for further operations.
+	 * @param {string} strategy Name of a registered strategy (i.e. 'utility', 'behaviourTree', 'scripted', 'travel').
+	 * @param {object} [config] Strategy-specific configuration. Must be JSON-compatible, except for function considerations (see `RasPG.config.serializeFunctions`).
+	 * @param {{seed?: number | string}} [options]
+	 * @param [options.seed] Optional. Seed for the object's random number generator. Defaults to a hash of the object's ID, so decisions are reproducible.
+	 */
+	use(strategy, config, options) {
+		HookModule.run('before:Willful.instance.use', arguments, this)
+
+		RasPG.dev.validate.type('Willful.instance.use.strategy', strategy, 'string')
+		RasPG.dev.validate.props('Willful.instance.use.options', options, false, {
+			seed: 'number | string'
+		})
+		if (!Willful.#strategies.has(strategy))
+			return RasPG.dev.logs.elementNotRegisteredInCollection(strategy, 'Willful.#strategies')
+
+		this.#strategy = strategy
+		this.#config = config?? {}
+		this.#memory = {}
+		this.reseed(options?.seed?? this.parent.id)
+		this.parent._acts.setDecider(Willful.#decider)
+
+		HookModule.run('after:Willful.instance.use', arguments, this)
+		return this
+	}
+	/** Resets the object's random number generator with the given seed. Returns the component instance back for further operations.
+	 * @param {number | string} seed
+	 */
+	reseed(seed) {
+		HookModule.run('before:Willful.instance.reseed', arguments, this)
+
+		RasPG.dev.validate.type('Willful.instance.reseed.seed', seed, 'number | string')
+
+		this.#seed = RasPG.utils.random.seed(seed)
+		this.#random = this.#seed
+
+		HookModule.run('after:Willful.instance.reseed', arguments, this)
+		return this
+	}
+	/** Advances the object's seeded random number generator, and returns a number in [0, 1). */
+	random() {
+		const { value, state } = RasPG.utils.random.next(this.#random)
+		this.#random = state
+		return value
+	}
+	/** Records a stimulus perceived by the object, for its strategy to react to the next time it decides (see `sensed`). Called for every 'perceptions.sensed' event by default.
+	 * @param {{sense: string, target: GameObject | string, context: PerceptionContext, intensity: number, distance: number, direction: string | null}} stimulus
+	 */
+	notice(stimulus) {
+		HookModule.run('before:Willful.instance.notice', arguments, this)
+
+		RasPG.dev.validate.props('Willful.instance.notice.stimulus', stimulus, {
+			sense: 'string',
+			target: 'GameObject | string',
+			context: 'string',
+			intensity: 'number',
+			distance: 'number'
+		})
+
+		this.#sensed.push({
+			sense: stimulus.sense,
+			target: typeof stimulus.target === 'string'? stimulus.target : stimulus.target.id,
+			context: stimulus.context,
+			intensity: stimulus.intensity,
+			distance: stimulus.distance,
+			direction: stimulus.direction?? null
+		})
+
+		HookModule.run('after:Willful.instance.notice', arguments, this)
+	}
+	/** Runs the object's strategy and returns the resulting intent, or `null`, if the object idles. Emits 'will.decided' (or 'will.idle') with the strategy's reasoning, for debugging. Called automatically during the 'intent' turn phase, if the object hasn't declared an intent.
+	 */
+	decide() {
+		HookModule.run('before:Willful.instance.decide', arguments, this)
+
+		if (!this.#strategy)
+			return null
+		const strategy = Willful.#strategies.get(this.#strategy)
+		if (!strategy) {
+			RasPG.dev.logs.elementNotRegisteredInCollection(this.#strategy, 'Willful.#strategies')
+			return null
+		}
+
+		const decision = strategy(this.parent, this.#config, this.#memory, () => this.random()) || null
+		this.#last = decision
+		this.#sensed = []
+
+		if (!decision) {
+			EventModule.emit('will.idle', {
+				object: this.parent,
+				strategy: this.#strategy
+			})
+			HookModule.run('after:Willful.instance.decide', arguments, this)
+			return null
+		}
+
+		EventModule.emit('will.decided', {
+			object: this.parent,
+			strategy: this.#strategy,
+			act: decision.act,
+			patient: decision.patient,
+			instrument: decision.instrument,
+			reason: decision.reason,
+			scores: decision.scores
+		})
+		HookModule.run('after:Willful.instance.decide', arguments, this)
+		//* Left out if unset, as `Agentive.instance.declare()` validates the options given
+		return Object.fromEntries(['act', 'patient', 'instrument', 'priority']
+			.filter(key => decision[key] !== undefined)
+			.map(key => [key, decision[key]]))
+	}
+
+	/** Recursively serializes functions in the strategy's configuration (see `SaveModule.serializeFunction()`), leaving out those that can't be. */
+	static #encode(value) {
+		if (typeof value === 'function')
+			return SaveModule.serializeFunction(value)
+		if (Array.isArray(value))
+			return value.map(e => Willful.#encode(e)).filter(e => e !== undefined)
+		if (typeof value === 'object' && value !== null)
+			return Object.fromEntries(Object.entries(value)
+				.map(([key, e]) => [key, Willful.#encode(e)])
+				.filter(([_, e]) => e !== undefined))
+		return value
+	}
+	/** Reverses `#encode()`. */
+	static #decode(value) {
+		if (typeof value === 'string')
+			return SaveModule.deserializeFunction(value)
+		if (Array.isArray(value))
+			return value.map(e => Willful.#decode(e))
+		if (typeof value === 'object' && value !== null)
+			return Object.fromEntries(Object.entries(value).map(([key, e]) => [key, Willful.#decode(e)]))
+		return value
+	}
+}  RasPG.registerComponent(Willful)
 
 //# Defaults
+RasPG.runtime.turn.pipeline.register('preparation', () => {})
+RasPG.runtime.turn.pipeline.register('before', () => {})
+RasPG.runtime.turn.pipeline.register('intent', () => Agentive.resolveIntents())
+RasPG.runtime.turn.pipeline.register('after', () => {})
+RasPG.runtime.turn.pipeline.register('cleanup', () => LightSource.burn())
+RasPG.runtime.turn.pipeline.append('cleanup', () => OutputModule.flush())
+OutputModule.registerChannel('narration')
+OutputModule.registerChannel('error')
+OutputModule.registerChannel('system')
+OutputModule.registerChannel('debug', { enabled: false })
+RasPG.runtime.saveModule = SaveModule
+SaveModule.registerBackend('memory', new MemoryStorage())
+Willful.registerStrategy('utility', (agent, config, memory, random) => {
+	const acts = agent._acts.acts
+	const scores = {}
+	let best = null
+	for (const option of config.options?? []) {
+		if (!acts.has(option.act))
+			continue
+		const patient = option.patient? GameObject.resolve(option.patient) : undefined
+		if (patient === null)
+			continue
+
+		let score = option.base?? 0
+		for (const consideration of option.considerations?? [])
+			score += Willful.evaluate(agent, consideration, patient)
+		if (config.noise)
+			score += random() * config.noise
+
+		const key = patient? `${option.act}:${patient.id}` : option.act
+		scores[key] = score
+		if (!best || score > best.score)
+			best = { option, score, key }
+	}
+	if (!best || best.score < (config.threshold?? -Infinity))
+		return null
+
+	return {
+		act: best.option.act,
+		patient: best.option.patient,
+		instrument: best.option.instrument,
+		reason: `"${best.key}" scored highest (${best.score}) of ${Object.keys(scores).length} option(s)`,
+		scores
+	}
+})
+Willful.registerStrategy('behaviourTree', (agent, config, memory, random) => {
+	if (!config.root)
+		return null
+	const result = visit(config.root, 'root')
+	return typeof result === 'object'? result : null
+
+	/** Returns `false` on failure, `true` on success without an act, or the decision. */
+	function visit(node, path) {
+		if ('act' in node) {
+			if (!agent._acts.acts.has(node.act))
+				return false
+			return {
+				act: node.act,
+				patient: node.patient,
+				instrument: node.instrument,
+				reason: `${path} > act "${node.act}"`
+			}
+		}
+		if ('condition' in node) {
+			const patient = node.patient? GameObject.resolve(node.patient) : undefined
+			const value = Willful.evaluate(agent, node.condition, patient?? undefined)
+			if (node.min === undefined && node.max === undefined)
+				return value > 0
+			return value >= (node.min?? -Infinity) && value <= (node.max?? Infinity)
+		}
+		if ('sequence' in node) {
+			for (const [index, child] of node.sequence.entries()) {
+				const result = visit(child, `${path} > sequence[${index}]`)
+				if (result !== true)
+					return result
+			}
+			return true
+		}
+		if ('selector' in node || 'random' in node) {
+			const children = Array.from(node.selector?? node.random).map((child, index) => [index, child])
+			if ('random' in node)
+				for (let i = children.length - 1; i > 0; i--) {
+					const j = Math.floor(random() * (i + 1))
+					;[children[i], children[j]] = [children[j], children[i]]
+				}
+			for (const [index, child] of children) {
+				const result = visit(child, `${path} > ${'random' in node? 'random' : 'selector'}[${index}]`)
+				if (result !== false)
+					return result
+			}
+			return false
+		}
+		return false
+	}
+})
+Willful.registerStrategy('scripted', (agent, config, memory) => {
+	const steps = config.steps?? []
+	memory.step??= 0
+	if (memory.step >= steps.length) {
+		if (!config.loop || steps.length === 0)
+			return null
+		memory.step = 0
+	}
+
+	const index = memory.step++
+	const step = typeof steps[index] === 'string'? { act: steps[index] } : steps[index]
+	if (!agent._acts.acts.has(step.act))
+		return null
+
+	return {
+		act: step.act,
+		patient: step.patient,
+		instrument: step.instrument,
+		reason: `step ${index + 1} of ${steps.length}${config.loop? ' (looping)' : ''}`
+	}
+})
+//* Willful objects keep what they perceive, for their strategies to react to
+EventModule.on('perceptions.sensed', (_, data) => data.object.component(Willful)?.notice(data), {})
+//* Travels to `config.to` an exit per turn, through the 'movement.goTo' act, then does nothing
+Willful.registerStrategy('travel', (agent, config) => {
+	const location = agent.component(Tangible)?.location
+	const goal = config.to && GameObject.resolve(config.to, { component: Containing, operation: 'Willful.strategies.travel' })
+	if (!location || !goal || location === goal || !agent._acts.acts.has('movement.goTo'))
+		return null
+
+	return {
+		act: 'movement.goTo',
+		patient: goal.id,
+		reason: `travelling to ${goal.id}`
+	}
+})
+Agentive.registerAct('movement.goTo', {
+	predicate: (destination) => !!destination?.hasComponent(Containing)
+		&& ContextModule.get('agent').component(Tangible)?.location !== destination,
+	callback: (destination) => MapModule.step(ContextModule.get('agent'), destination)
+})
+for (const [name, opposite] of [
+	['north', 'south'], ['south', 'north'], ['east', 'west'], ['west', 'east'],
+	['northeast', 'southwest'], ['southwest', 'northeast'], ['northwest', 'southeast'], ['southeast', 'northwest'],
+	['up', 'down'], ['down', 'up'], ['in', 'out'], ['out', 'in']
+])
+	MapModule.registerDirection(name, { opposite })
+ParserModule.registerScopeRule('darkness', {
+	senses: (agent, senses) => {
+		if (!LightSource.canSee(agent))
+			senses.delete('sight')
+	},
+	//? In the dark, things without perceptions can only be found by touch, if held
+	visible: (agent, object) => (object.component(Perceptible)?.perceptions.size?? 0) > 0
+		|| !!object.component(Tangible)?.locationArray.includes(agent) || LightSource.canSee(agent)
+})
+ParserModule.registerScopeRule('closedContainers', {
+	//? Unless the agent is inside
+	enter: (agent, container) => container.component(Openable)?.isOpen !== false
+		|| !!agent.component(Tangible)?.locationArray.includes(container)
+})
 SubTextModule.registerComplexSubstitution('morph', [/[\s\S]+/, /[a-zA-Z0-9.-]+/], ([objectID, gloss]) => {
 	const locale = RasPG.runtime.localizationAdapters.get(RasPG.config.locale)
 	if (!locale)
 		return false
 	return locale.morph(objectID, gloss)
 })
+//* The current turn is spent anyway; Agentive agents sit out the intent phases of the rest
+Action.registerCostType('turns', {
+	afford: () => true,
+	pay: (agent, turns) => {
+		if (agent.hasComponent(Agentive) && turns > 1)
+			agent._acts.occupy(turns - 1)
+	}
+})
 Action.registerGroup('movement', [
 	['move', (mover, destination) => {
 		RasPG.dev.validate.types('Action.movement.move', {
@@ -3471,15 +7741,16 @@ Action.registerGroup('movement', [
 		})
 
 		if (!mover.hasComponent(Tangible))
-			return false
+			return Action.fail('notTangible', { context: { mover } })
 
 		return mover._location.moveTo(destination)
+			|| Action.fail('noDestination', { context: { mover } })
 	}],
 	['remove', (object) => {
 		RasPG.dev.validate.type('Action.movement.remove.object', object, 'GameObject')
 
 		if (!object.hasComponent(Tangible))
-			return false
+			return Action.fail('notTangible', { context: { object } })
 
 		object._location.removeFromWorld()
 		return true
@@ -3493,33 +7764,42 @@ Action.registerGroup('container', [
 		})
 
 		if (!container.hasComponent(Containing))
-			return false
+			return Action.fail('notContainer', { context: { container } })
+		if (container.component(Openable)?.isOpen === false)
+			return Action.fail('closed', { context: { container } })
 
 		let actualItem = item
 		if (typeof item === 'string')
 			actualItem = GameObject.resolve(item, { component: Tangible })
+		if (!actualItem)
+			return Action.fail('notFound', { context: { container } })
 
-		if (typeof item !== 'string' && !item.hasComponent(Tangible))
-			return false
-		if (container._container.filter && !container._container.filter(item))
-			return false
+		if (!actualItem.hasComponent(Tangible))
+			return Action.fail('notTangible', { context: { container, item: actualItem } })
+		if (container._container.filter && !container._container.filter(actualItem))
+			return Action.fail('filtered', { context: { container, item: actualItem } })
 
 		if (actualItem.hasComponent(Countable)) {
 			const existing = Array.from(container._container.contents).find(obj => obj.baseID === actualItem.baseID)
 
-			if (existing && existing.hasComponent(Countable)) {
-				Action.perform('count.add', [existing, count?? actualItem._count.count ])
-				Action.perform('count.subtract', [existing, count?? actualItem._count.count ])
+			if (existing && existing !== actualItem && existing.hasComponent(Countable)) {
+				const amount = count?? actualItem._count.count
+				const subtracted = Action.attempt('count.subtract', [actualItem, amount])
+				if (!subtracted.success)
+					return subtracted
+				Action.perform('count.add', [existing, amount])
+				if (actualItem._count.count === 0)
+					Action.perform('movement.remove', [actualItem])
 				return true
 			}
 
 			if (count !== undefined)
 				actualItem._count.set(count)
-
-			return !!container._container.add(actualItem)
 		}
 
-		return !!container._container.add(actualItem)
+		container._container.add(actualItem)
+		return container._container.has(actualItem, { strict: true })
+			|| Action.fail('refused', { context: { container, item: actualItem } })
 	}],
 	['remove', (container, item, count) => {
 		RasPG.dev.validate.types('Action.container.remove', {
@@ -3528,25 +7808,27 @@ Action.registerGroup('container', [
 		})
 
 		if (!container.hasComponent(Containing))
-			return false
+			return Action.fail('notContainer', { context: { container } })
+		if (container.component(Openable)?.isOpen === false)
+			return Action.fail('closed', { context: { container } })
 
 		let actualItem = item
 		if (typeof item === 'string')
 			actualItem = GameObject.resolve(item, { component: Tangible })
 		if (!actualItem)
-			return false
+			return Action.fail('notFound', { context: { container } })
 
 		const strict = RasPG.config.components.containing.strictRemove
 		if (!strict) {
 			if (!container._container.has(actualItem, { strict: true }))
 				actualItem = container._container.getAllByBaseID(item)?.at(0)
 			if (!actualItem)
-				return false
+				return Action.fail('notContained', { context: { container } })
 		} else if (!container._container.has(actualItem, { strict }))
-			return false
+			return Action.fail('notContained', { context: { container, item: actualItem } })
 
 		if (actualItem.hasComponent(Countable) && count !== undefined)
-			return Action.perform('count.subtract', [actualItem, count])
+			return Action.attempt('count.subtract', [actualItem, count])
 
 		container._container.remove(actualItem)
 		return true
@@ -3559,15 +7841,99 @@ Action.registerGroup('container', [
 		})
 
 		if (!source.hasComponent(Containing))
-			return false
+			return Action.fail('notContainer', { context: { container: source } })
+		if (source.component(Openable)?.isOpen === false)
+			return Action.fail('closed', { context: { container: source } })
 		if (!source._container.has(item))
-			return false
+			return Action.fail('notContained', { context: { container: source } })
 
 		let actualItem = item
 		if (typeof item === 'string')
 			actualItem = GameObject.resolve(item, { component: Tangible })
 
-		return Action.perform('container.add', [target, actualItem, count])
+		return Action.attempt('container.add', [target, actualItem, count])
+	}]
+])
+Action.registerGroup('openable', [
+	['open', (object) => {
+		RasPG.dev.validate.type('Action.openable.open.object', object, 'GameObject')
+
+		if (!object.hasComponent(Openable))
+			return Action.fail('notOpenable', { context: { object } })
+		if (object._openable.isOpen)
+			return Action.fail('alreadyOpen', { context: { object } })
+		if (object.component(Lockable)?.locked)
+			return Action.fail('locked', { context: { object } })
+
+		return object._openable.open()
+	}],
+	['close', (object) => {
+		RasPG.dev.validate.type('Action.openable.close.object', object, 'GameObject')
+
+		if (!object.hasComponent(Openable))
+			return Action.fail('notOpenable', { context: { object } })
+		if (!object._openable.isOpen)
+			return Action.fail('alreadyClosed', { context: { object } })
+
+		return object._openable.close()
+	}]
+])
+Action.registerGroup('lockable', [
+	['lock', (object, key) => {
+		RasPG.dev.validate.types('Action.lockable.lock', {
+			object: [object, 'GameObject'],
+			key: [key, 'GameObject | undefined']
+		})
+
+		if (!object.hasComponent(Lockable))
+			return Action.fail('notLockable', { context: { object } })
+		if (object._lock.locked)
+			return Action.fail('alreadyLocked', { context: { object } })
+		if (object.component(Openable)?.isOpen)
+			return Action.fail('open', { context: { object } })
+		if (key && !object._lock.fits(key))
+			return Action.fail('wrongKey', { context: { object, key } })
+
+		return object._lock.lock(key)
+	}],
+	['unlock', (object, key) => {
+		RasPG.dev.validate.types('Action.lockable.unlock', {
+			object: [object, 'GameObject'],
+			key: [key, 'GameObject | undefined']
+		})
+
+		if (!object.hasComponent(Lockable))
+			return Action.fail('notLockable', { context: { object } })
+		if (!object._lock.locked)
+			return Action.fail('notLocked', { context: { object } })
+		if (key && !object._lock.fits(key))
+			return Action.fail('wrongKey', { context: { object, key } })
+
+		return object._lock.unlock(key)
+	}]
+])
+Action.registerGroup('lightSource', [
+	['light', (object) => {
+		RasPG.dev.validate.type('Action.lightSource.light.object', object, 'GameObject')
+
+		if (!object.hasComponent(LightSource))
+			return Action.fail('notLightSource', { context: { object } })
+		if (object._light.lit)
+			return Action.fail('alreadyLit', { context: { object } })
+		if (object._light.fuelLeft <= 0)
+			return Action.fail('noFuel', { context: { object } })
+
+		return object._light.light()
+	}],
+	['extinguish', (object) => {
+		RasPG.dev.validate.type('Action.lightSource.extinguish.object', object, 'GameObject')
+
+		if (!object.hasComponent(LightSource))
+			return Action.fail('notLightSource', { context: { object } })
+		if (!object._light.lit)
+			return Action.fail('notLit', { context: { object } })
+
+		return object._light.extinguish()
 	}]
 ])
 Action.registerGroup('count', [
@@ -3578,7 +7944,7 @@ Action.registerGroup('count', [
 		})
 
 		if (!object.hasComponent(Countable))
-			return false
+			return Action.fail('notCountable', { context: { object } })
 
 		object._count.add(amount)
 		return true
@@ -3590,11 +7956,19 @@ Action.registerGroup('count', [
 		})
 
 		if (!object.hasComponent(Countable))
-			return false
+			return Action.fail('notCountable', { context: { object } })
 		if (object._count.count - amount < 0)
-			return false
+			return Action.fail('notEnough', { context: { object } })
 
 		object._count.subtract(amount)
 		return true
 	}]
-])
\ No newline at end of file
+])
+
+//# Exports
+//? Outside of browsers (i.e. Node, test runners), the framework is also a CommonJS module
+if (typeof module !== 'undefined' && module.exports)
+	module.exports = Object.assign({ RasPG },
+		Object.fromEntries(RasPG.runtime.modules),
+		Object.fromEntries(RasPG.runtime.classes),
+		Object.fromEntries(RasPG.runtime.components))
@@ -2,9 +2,10 @@ const { test } = require('uvu')
 const assert = require('uvu/assert')
 const {
 	RasPG,
-	GameObject,
-	ContextModule, SubTextModule,
-	Stateful, Stringful, Perceptible, Tangible, Countable, Containing, Actionable, Agentive
+	GameObject, Area, Region,
+	EventModule, ContextModule, SubTextModule, OutputModule, SaveModule, TemplateModule, ParserModule, MapModule, DescriptionModule,
+	Command, Action, LocalizationAdapter,
+	Stateful, Stringful, Describable, Perceptible, Tangible, Countable, Containing, Connected, Openable, Lockable, LightSource, Actionable, Agentive, Willful
 } = require('../raspg3.js')
 
 //? Helper for setup
@@ -63,6 +64,698 @@ test('SubTextModule fallback to context object strings', () => {
 
 	ContextModule.pop(['target'])
 })
+test('OutputModule composes fragments by key, channel and priority, and flushes every turn', () => {
+	OutputModule.flush()
+	OutputModule.write('The door creaks.')
+	OutputModule.write('Saved.', { channel: 'system', priority: -1 })
+	OutputModule.write('You hear a bell.', { priority: 1, key: 'bell' })
+	OutputModule.write('It rings twice.', { key: 'bell' })
+	OutputModule.write('It rings twice.', { key: 'bell' })
+	OutputModule.write('The door creaks.')
+	OutputModule.write('[debug] turn resolved', { channel: 'debug' })
+	assert.not.ok(OutputModule.write('Lost.', { channel: 'test_missing' }))
+	assert.equal(OutputModule.compose(OutputModule.buffer).map(e => e.text), ['You hear a bell. It rings twice.', 'The door creaks.', 'The door creaks.', 'Saved.'])
+
+	OutputModule.setChannel('debug', true)
+	const { ret, fragments } = OutputModule.capture(() => OutputModule.write('Captured.', { channel: 'error' }) && 42)
+	assert.is(ret, 42)
+	assert.equal(fragments.map(e => e.text), ['Captured.'])
+	assert.is(OutputModule.buffer.length, 7)
+	assert.is(OutputModule.flush().length, 5)
+	OutputModule.setChannel('debug', false)
+	assert.equal(OutputModule.buffer, [])
+
+	//? Commands collect output written while they run, which is flushed at the end of the turn
+	const room = new GameObject('test_Output_room', { components: [Containing] })
+	const bell = new GameObject('test_Output_bell', { components: [Stringful, Describable, Tangible] })
+	bell._description.describe({ canonicalName: 'bell', nouns: ['bell'], adjectives: [], description: 'A bell.' })
+	bell._strings.set('rang', 'Dong!')
+	bell._location.moveTo(room)
+	new Command('test_ring', { en: { pattern: /^ring (?<patient>.+)$/, filters: { patient: () => true } } }, (match, [patient], { output }) => {
+		output.push('You ring it.')
+		OutputModule.writeString('rang', { object: patient, priority: 1 })
+		OutputModule.write('The bell is cracked.', { channel: 'error' })
+		return false
+	})
+	const result = ParserModule.execute('ring bell', { objects: [bell] })
+	assert.equal(result.output, ['Dong!', 'You ring it.', 'The bell is cracked.'])
+	assert.equal(result.fragments.map(e => e.channel), ['narration', 'narration', 'error'])
+	const flushed = []
+	const onFlushed = (_, { fragments }) => flushed.push(...fragments.map(e => e.text))
+	EventModule.on('output.flushed', onFlushed, {})
+	RasPG.runtime.turn.tick()
+	assert.equal(flushed, ['Dong!', 'You ring it.', 'The bell is cracked.'])
+	EventModule.off('output.flushed', onFlushed, {})
+})
+test('SaveModule saves, lists, loads and deletes slots', () => {
+	const obj = new GameObject('test_SaveModule', { components: [Stateful] })
+	obj._states.define({ health: 100 })
+
+	assert.ok(SaveModule.save('testSlot', { label: 'Test' }))
+	assert.is(SaveModule.list().find(e => e.slot === 'testSlot').label, 'Test')
+	assert.is(SaveModule.list().find(e => e.slot === 'testSlot').core, RasPG.metadata.version)
+
+	obj._states.set('health', 10)
+	assert.ok(SaveModule.load('testSlot'))
+	assert.is(GameObject.getByID('test_SaveModule')._states.get('health'), 100)
+
+	assert.ok(SaveModule.delete('testSlot'))
+	assert.is(SaveModule.load('testSlot'), null)
+})
+test('SaveModule saves and loads function strings and perceptions', () => {
+	const obj = createTestObject('test_SaveModule_functions')
+	obj._strings.set('name', () => 'shifting orb')
+	obj._perceptions.setPerception('smell', 'direct', (sensor) => `${sensor.id} smells ozone.`)
+
+	//? Without function serialization, they're left out instead of breaking the save
+	assert.ok(SaveModule.save('testSlot_functions'))
+	assert.ok(SaveModule.load('testSlot_functions'))
+	const reloaded = GameObject.getByID('test_SaveModule_functions')
+	assert.is(reloaded._strings.strings.has('en.name'), false)
+	assert.is(reloaded._perceptions.perceive('smell', 'direct', reloaded), null)
+
+	reloaded._strings.set('name', () => 'shifting orb')
+	reloaded._perceptions.setPerception('smell', 'direct', (sensor) => `${sensor.id} smells ozone.`)
+	RasPG.config.serializeFunctions = true
+	assert.ok(SaveModule.save('testSlot_functions'))
+	RasPG.config.serializeFunctions = false
+	assert.ok(SaveModule.load('testSlot_functions'))
+	const loaded = GameObject.getByID('test_SaveModule_functions')
+	assert.is(loaded._strings.get('name'), 'shifting orb')
+	assert.is(loaded._perceptions.perceive('smell', 'direct', loaded), 'test_SaveModule_functions smells ozone.')
+	assert.ok(SaveModule.delete('testSlot_functions'))
+})
+test('SaveModule.deserialize keeps the current world if loading fails', () => {
+	const region = new Region('test_SaveModule_region')
+	const elsewhere = new Region('test_SaveModule_elsewhere')
+	const area = new Area('test_SaveModule_area', { description: 'Bare.' })
+	region.add(area)
+	const chest = new GameObject('test_SaveModule_chest', { components: [Containing] })
+	const crate = new GameObject('test_SaveModule_crate', { components: [Containing] })
+	const coin = new GameObject('test_SaveModule_coin', { components: [Tangible] })
+	coin._location.moveTo(chest)
+	const obj = new GameObject('test_SaveModule_kept', { components: [Stateful] })
+	const state = RasPG.runtime.state.inner.get()
+	const world = SaveModule.serialize()
+	//? Stage a world where the coin and area moved, which must not leak into the current one
+	world.objects.find(e => e.id === 'test_SaveModule_crate').components.Containing.contents.push(coin._id)
+	world.objects.find(e => e.id === 'test_SaveModule_elsewhere').members.push(area._id)
+	world.objects.find(e => e.id === 'test_SaveModule_kept').components.Stateful = null
+
+	assert.throws(() => SaveModule.deserialize(world))
+	assert.is(GameObject.getByID('test_SaveModule_kept'), obj)
+	assert.is(RasPG.runtime.state.inner.get(), state)
+	assert.is(coin._location.location.id, chest.id)
+	assert.ok(chest._container.has(coin))
+	assert.not.ok(crate._container.has(coin))
+	assert.is(Region.of(area).id, region.id)
+	assert.not.ok(elsewhere.has(area))
+})
+test('TemplateModule instances serialize as deltas and rebuild from them', () => {
+	const template = new GameObject('test_Delta', { components: [Stateful], register: false })
+	template._states.define({ worth: 5, shiny: true })
+	TemplateModule.register('test_Delta', template)
+
+	const instance = TemplateModule.instantiate('test_Delta')
+	instance._states.set('worth', 7)
+
+	const delta = instance.serialize()
+	assert.is(delta.template, 'test_Delta')
+	assert.equal(delta.components.Stateful.$patch, { worth: 7 })
+
+	const full = GameObject.patch(delta)
+	assert.equal(full.components.Stateful, { worth: 7, shiny: true })
+	assert.equal(instance.serialize({ delta: false }).components, full.components)
+})
+test('SaveModule applies migrations in order and reports failures', () => {
+	const obj = new GameObject('test_Migration', { components: [Stateful] })
+	obj._states.define({ hp: 3 })
+	const save = { metadata: { slot: 'old', core: '2.9.0', extensions: {} }, world: SaveModule.serialize() }
+
+	SaveModule.registerMigration('core', '3.0.0', world => {
+		const data = world.objects.find(e => e.id === 'test_Migration').components.Stateful
+		data.health = data.hp
+		delete data.hp
+	}, { description: 'Rename hp to health' })
+	let report = SaveModule.migrate(save)
+	assert.ok(report.success)
+	assert.is(report.applied.length, 1)
+	assert.is(report.save.world.objects.find(e => e.id === 'test_Migration').components.Stateful.health, 3)
+	assert.is(report.save.metadata.core, RasPG.metadata.version)
+
+	SaveModule.registerMigration('core', '2.9.5', () => { throw new Error('Broken') })
+	report = SaveModule.migrate(save)
+	assert.not.ok(report.success)
+	assert.is(report.failed.version, '2.9.5')
+	assert.is(report.failed.error, 'Broken')
+	assert.is(report.save, null)
+})
+test('ParserModule.execute resolves slots in scope and runs the matched command', () => {
+	const room = new GameObject('test_ParserRoom', { components: [Containing] })
+	const player = new GameObject('test_ParserPlayer', { components: [Tangible, Containing] })
+	const lamp = new GameObject('test_ParserLamp', { components: [Describable, Tangible] })
+	const box = new GameObject('test_ParserBox', { components: [Describable, Tangible] })
+	const crate = new GameObject('test_ParserCrate', { components: [Describable, Tangible] })
+	const far = new GameObject('test_ParserFar', { components: [Describable, Tangible] })
+	lamp._description.describe({ canonicalName: 'brass lamp', nouns: ['lamp'], adjectives: ['brass'], description: 'A lamp.' })
+	box._description.describe({ canonicalName: 'red box', nouns: ['box'], adjectives: ['red', 'small'], description: 'A box.' })
+	crate._description.describe({ canonicalName: 'blue box', nouns: ['box', 'crate'], adjectives: ['blue'], description: 'A crate.' })
+	far._description.describe({ canonicalName: 'far lamp', nouns: ['lamp'], adjectives: ['far'], description: 'Far away.' })
+	player._location.moveTo(room)
+	lamp._location.moveTo(room)
+	box._location.moveTo(room)
+	crate._location.moveTo(player)
+
+	let touched = null
+	new Command('test_touch', {
+		en: { pattern: /^(?:touch|poke) (?<patient>.+)$/, filters: { patient: object => object !== crate } }
+	}, (match, objects, { agent, output }) => {
+		touched = [ContextModule.get('agent'), ContextModule.get('patient')]
+		output.push('Touched.')
+		return objects[0] === lamp? 'It is warm.' : undefined
+	})
+
+	let result = ParserModule.execute('  Touch  the BRASS lamp! ', { agent: player })
+	assert.ok(result.success)
+	assert.is(result.input, 'touch the brass lamp')
+	assert.is(result.command, 'test_touch')
+	assert.is(result.slots.patient, lamp)
+	assert.equal(result.output, ['Touched.', 'It is warm.'])
+	assert.equal(touched, [player, lamp])
+	assert.is(ContextModule.get('patient'), undefined)
+
+	assert.is(ParserModule.execute('poke small red box', { agent: player }).slots.patient, box)
+	assert.is(ParserModule.execute('touch box', { agent: player }).slots.patient, box)
+	assert.is(ParserModule.execute('touch far lamp', { agent: player }).reason, 'unknownObject')
+	assert.is(ParserModule.execute('touch crate', { agent: player }).reason, 'filtered')
+	assert.is(ParserModule.execute('dance', { agent: player }).reason, 'unknownCommand')
+	assert.is(ParserModule.execute('   ').reason, 'empty')
+	assert.is(ParserModule.inputHistory.at(-1).result.reason, 'empty')
+})
+test('ParserModule disambiguates by score, or asks and accepts an answer', () => {
+	const room = new GameObject('test_DisambiguationRoom', { components: [Containing] })
+	const player = new GameObject('test_DisambiguationPlayer', { components: [Tangible, Containing] })
+	const brass = new GameObject('test_BrassKey', { components: [Describable, Tangible] })
+	const iron = new GameObject('test_IronKey', { components: [Describable, Tangible] })
+	const lock = new GameObject('test_KeyLock', { components: [Describable, Tangible] })
+	brass._description.describe({ canonicalName: 'brass key', nouns: ['key'], adjectives: ['brass'], description: 'A key.' })
+	iron._description.describe({ canonicalName: 'iron key', nouns: ['key'], adjectives: ['iron'], description: 'A key.' })
+	lock._description.describe({ canonicalName: 'lock', nouns: ['lock'], adjectives: [], description: 'A lock.' })
+	for (const object of [player, brass, iron, lock])
+		object._location.moveTo(room)
+
+	const held = []
+	new Command('test_grab', { en: { pattern: /^grab (?<patient>.+)$/, filters: { patient: () => true } } },
+		(match, [object]) => { held.push(object) })
+	new Command('test_unlock', { en: { pattern: /^unlock (?<patient>.+) with (?<instrument>.+)$/, filters: {
+		patient: () => true,
+		instrument: object => object._description.nouns.includes('key')
+	} } }, () => {})
+
+	let result = ParserModule.execute('grab key', { agent: player })
+	assert.is(result.reason, 'ambiguous')
+	assert.equal(result.output, ['key? (brass key, iron key)'])
+	//? The question is phrased by the locale's adapter, if it can
+	RasPG.registerLocalizationAdapter(new LocalizationAdapter({
+		author: 'test', version: '0.0.0', code: 'en', morpher: () => '',
+		phrasing: { disambiguationPrompt: (phrase, names) => `Which ${phrase}: ${names.join(' or ')}?` }
+	}))
+	result = ParserModule.execute('grab key', { agent: player })
+	RasPG.runtime.localizationAdapters.delete('en')
+	assert.equal(result.output, ['Which key: brass key or iron key?'])
+	assert.ok(ParserModule.pending)
+
+	result = ParserModule.execute('the brass', { agent: player })
+	assert.ok(result.success)
+	assert.is(result.input, 'grab key')
+	assert.equal(held, [brass])
+	assert.is(ParserModule.pending, null)
+
+	//? Recency now favours the brass key
+	assert.is(ParserModule.execute('grab key', { agent: player }).slots.patient, brass)
+
+	//? Proximity favours the held iron key, once recency fades
+	iron._location.moveTo(player)
+	const ranked = ParserModule.rankCandidates([brass, iron], { phrase: 'key', agent: player })
+	assert.ok(ranked.find(e => e.object === iron).scores.proximity > ranked.find(e => e.object === brass).scores.proximity)
+
+	//? Pending commands keep slots resolved before the ambiguous one; unrelated input starts over
+	ParserModule.inputHistory.length = 0
+	brass._location.moveTo(player)
+	result = ParserModule.execute('unlock lock with key', { agent: player })
+	assert.is(result.slot, 'instrument')
+	result = ParserModule.execute('iron', { agent: player })
+	assert.ok(result.success)
+	assert.equal(result.slots, { patient: lock, instrument: iron })
+	ParserModule.execute('grab key', { agent: player })
+	assert.is(ParserModule.execute('grab lock', { agent: player }).slots.patient, lock)
+	assert.is(ParserModule.pending, null)
+})
+test('ParserModule resolves pronouns, all and exclusions through the locale adapter', () => {
+	RasPG.registerLocalizationAdapter(new LocalizationAdapter({
+		author: 'test', version: '0.0.0', code: 'en', morpher: () => '',
+		references: {
+			pronouns: { it: { number: 'SG', gender: ['NH'] }, her: { number: 'SG', gender: ['F'] }, them: { number: 'PL' } },
+			all: ['all', 'everything'],
+			except: ['but', 'except'],
+			conjunctions: [',', 'and']
+		},
+		config: { defaults: { pronounGender: 'NH' } }
+	}))
+	const room = new GameObject('test_ReferenceRoom', { components: [Containing] })
+	const player = new GameObject('test_ReferencePlayer', { components: [Tangible, Containing] })
+	const sword = new GameObject('test_ReferenceSword', { components: [Describable, Tangible] })
+	const shield = new GameObject('test_ReferenceShield', { components: [Describable, Tangible] })
+	const coin = new GameObject('test_ReferenceCoin', { components: [Describable, Tangible] })
+	const statue = new GameObject('test_ReferenceStatue', { components: [Describable, Tangible] })
+	const alice = new GameObject('test_ReferenceAlice', { components: [Describable, Tangible] })
+	sword._description.describe({ canonicalName: 'sword', nouns: ['sword'], adjectives: [], description: 'A sword.' })
+	shield._description.describe({ canonicalName: 'shield', nouns: ['shield'], adjectives: [], description: 'A shield.' })
+	coin._description.describe({ canonicalName: 'coin', nouns: ['coin'], adjectives: [], description: 'A coin.' })
+	statue._description.describe({ canonicalName: 'statue', nouns: ['statue'], adjectives: [], description: 'A statue.' })
+	alice._description.describe({ canonicalName: 'Alice', nouns: ['alice'], adjectives: [], description: 'Alice.', metadata: { objectType: 'person', gender: 'F' } })
+	for (const object of [player, sword, shield, coin, statue, alice])
+		object._location.moveTo(room)
+
+	const taken = []
+	new Command('test_take', { en: { pattern: /^take (?<patient>.+)$/, filters: { patient: object => object !== statue && object !== alice } } },
+		(match, [object]) => { taken.push(object) })
+	new Command('test_greet', { en: { pattern: /^greet (?<patient>.+)$/, filters: { patient: () => true } } }, () => {})
+
+	ParserModule.execute('take sword', { agent: player })
+	assert.equal(ParserModule.execute('take it', { agent: player }).slots.patient, sword)
+	ParserModule.execute('greet alice', { agent: player })
+	assert.equal(ParserModule.resolveReference('her'), [alice])
+	assert.equal(ParserModule.resolveReference('it'), [sword])
+
+	taken.length = 0
+	let result = ParserModule.execute('take all but the sword, and coin', { agent: player })
+	assert.ok(result.success)
+	assert.equal(taken, [shield])
+	assert.is(result.slots.patient, shield)
+
+	taken.length = 0
+	result = ParserModule.execute('take everything except it', { agent: player })
+	assert.equal(taken, [sword, coin])
+	assert.equal(ParserModule.resolveReference('them'), [sword, coin])
+	taken.length = 0
+	ParserModule.execute('take them', { agent: player })
+	assert.equal(taken, [sword, coin])
+	//* Pronoun-resolved objects go through slot filters, and only the adapter's own pronouns count
+	ParserModule.remember([sword, statue])
+	taken.length = 0
+	ParserModule.execute('take them', { agent: player })
+	assert.equal(taken, [sword])
+	assert.is(ParserModule.resolveReference('constructor'), null)
+	assert.is(ParserModule.execute('take constructor', { agent: player }).reason, 'unknownObject')
+
+	assert.is(ParserModule.execute('take all but sword, shield and coin', { agent: player }).reason, 'unknownObject')
+	RasPG.runtime.localizationAdapters.delete('en')
+})
+test('ParserModule.scope gathers nested contents and applies scope rules', () => {
+	const room = new GameObject('test_ScopeRoom', { components: [Containing] })
+	const yard = new GameObject('test_ScopeYard', { components: [Containing] })
+	const player = new GameObject('test_ScopePlayer', { components: [Tangible, Containing] })
+	const chest = new GameObject('test_ScopeChest', { components: [Tangible, Containing] })
+	const gem = new GameObject('test_ScopeGem', { components: [Tangible, Perceptible] })
+	const bell = new GameObject('test_ScopeBell', { components: [Tangible, Perceptible] })
+	const torch = new GameObject('test_ScopeTorch', { components: [Tangible] })
+	const tree = new GameObject('test_ScopeTree', { components: [Tangible] })
+	gem._perceptions.setPerception('sight', 'direct', 'It glitters.')
+	bell._perceptions.setPerception('hearing', 'inRoom', 'It rings.')
+	player._location.moveTo(room)
+	chest._location.moveTo(room)
+	bell._location.moveTo(room)
+	gem._location.moveTo(chest)
+	torch._location.moveTo(player)
+	tree._location.moveTo(yard)
+
+	const ids = () => ParserModule.scope(player).map(e => e.id).sort()
+	assert.equal(ids(), ['test_ScopeBell', 'test_ScopeChest', 'test_ScopeGem', 'test_ScopeTorch'])
+
+	ParserModule.registerScopeRule('test_closed', { enter: (agent, container) => container !== chest })
+	ParserModule.registerScopeRule('test_dark', { senses: (agent, senses) => senses.delete('sight') })
+	ParserModule.registerScopeRule('test_window', { extend: () => [tree] })
+	assert.throws(() => ParserModule.registerScopeRule('test_dark', {}))
+	assert.equal(ids(), ['test_ScopeBell', 'test_ScopeChest', 'test_ScopeTorch', 'test_ScopeTree'])
+
+	ParserModule.unregisterScopeRule('test_closed')
+	assert.not.ok(ids().includes('test_ScopeGem'))
+	ParserModule.unregisterScopeRule('test_dark')
+	ParserModule.unregisterScopeRule('test_window')
+	assert.equal(ids(), ['test_ScopeBell', 'test_ScopeChest', 'test_ScopeGem', 'test_ScopeTorch'])
+})
+test('ParserModule.submit runs chained commands, repeats and undoes them', () => {
+	RasPG.registerLocalizationAdapter(new LocalizationAdapter({
+		author: 'test', version: '0.0.0', code: 'en', morpher: () => '',
+		references: { pronouns: {}, all: ['all'], except: ['but'], conjunctions: [','] },
+		chaining: { separators: [',', 'then', 'and then'], again: ['again', 'g'], undo: ['undo', 'undo last'] }
+	}))
+	const room = new GameObject('test_ChainRoom', { components: [Containing] })
+	const player = new GameObject('test_ChainPlayer', { components: [Tangible, Containing, Stateful] })
+	const lamp = new GameObject('test_ChainLamp', { components: [Describable, Tangible] })
+	const rope = new GameObject('test_ChainRope', { components: [Describable, Tangible] })
+	const sword = new GameObject('test_ChainSword', { components: [Describable, Tangible] })
+	lamp._description.describe({ canonicalName: 'lamp', nouns: ['lamp'], adjectives: [], description: 'A lamp.' })
+	rope._description.describe({ canonicalName: 'rope', nouns: ['rope'], adjectives: [], description: 'A rope.' })
+	sword._description.describe({ canonicalName: 'sword', nouns: ['sword'], adjectives: [], description: 'A sword.' })
+	player._states.define({ jumps: 0 })
+	for (const object of [player, lamp, rope, sword])
+		object._location.moveTo(room)
+
+	new Command('test_pick', { en: { pattern: /^pick (?<patient>.+)$/, filters: { patient: () => true } } },
+		(match, [object], { agent }) => { object._location.moveTo(agent) })
+	new Command('test_jump', { en: { pattern: /^jump$/, filters: {} } },
+		(match, objects, { agent }) => { agent._states.set('jumps', agent._states.get('jumps') + 1) })
+
+	assert.equal(ParserModule.split('pick lamp, jump then pick rope'), ['pick lamp', 'jump', 'pick rope'])
+	assert.equal(ParserModule.split('pick all but lamp, rope and then jump'), ['pick all but lamp, rope', 'jump'])
+
+	let results = ParserModule.submit('pick lamp, dance then jump', { agent: player })
+	assert.equal(results.map(e => e.reason), [null, 'unknownCommand'])
+	assert.is(lamp._location.location, player)
+	assert.is(player._states.get('jumps'), 0)
+
+	results = ParserModule.submit('jump then g, again', { agent: player })
+	assert.ok(results.every(e => e.success))
+	assert.is(player._states.get('jumps'), 3)
+
+	results = ParserModule.submit('undo last', { agent: player })
+	assert.ok(results[0].success)
+	assert.is(GameObject.getByID('test_ChainPlayer')._states.get('jumps'), 2)
+	assert.equal(results[0].fragments, [])
+	assert.is(ParserModule.submit('undo', { agent: player })[0].reason, 'nothingToUndo')
+	RasPG.runtime.localizationAdapters.delete('en')
+})
+test('ParserModule undoes in place, keeping object references, functions and queued callbacks', () => {
+	RasPG.registerLocalizationAdapter(new LocalizationAdapter({
+		author: 'test', version: '0.0.0', code: 'en', morpher: () => '',
+		references: { pronouns: {}, all: ['all'], except: ['but'], conjunctions: [','] },
+		chaining: { separators: [','], undo: ['undo'] }
+	}))
+	const room = new GameObject('test_UndoRoom', { components: [Containing] })
+	const player = createTestObject('test_UndoPlayer')
+	const gem = new GameObject('test_UndoGem', { components: [Describable, Tangible, Stringful, Perceptible] })
+	gem._description.describe({ canonicalName: 'gem', nouns: ['gem'], adjectives: [], description: 'A gem.' })
+	gem._perceptions.setPerception('smell', 'direct', (sensor) => `${sensor.id} smells nothing.`)
+	room._container.setFilter(object => object !== room)
+	player._location.moveTo(room)
+	gem._location.moveTo(room)
+	const calls = []
+	RasPG.runtime.turn.schedule(() => calls.push('queued'), { delay: 1 })
+
+	new Command('test_undo_pocket', { en: { pattern: /^pocket (?<patient>.+)$/, filters: { patient: () => true } } },
+		(match, [object], { agent }) => {
+			object._location.moveTo(agent)
+			new GameObject('test_UndoDust', { components: [Tangible] })
+			RasPG.runtime.turn.schedule(() => calls.push('undone'), { delay: 1 })
+		})
+
+	assert.ok(ParserModule.submit('pocket gem', { agent: player })[0].success)
+	assert.is(gem._location.location.id, player.id)
+	assert.ok(ParserModule.submit('undo', { agent: player })[0].success)
+
+	assert.is(GameObject.getByID('test_UndoPlayer'), player)
+	assert.is(GameObject.getByID('test_UndoGem'), gem)
+	assert.is(gem._location.location.id, room.id)
+	assert.ok(room._container.has(gem))
+	assert.not.ok(player._container.has(gem))
+	assert.not.ok(GameObject._all.has('test_UndoDust'))
+	assert.is(gem._perceptions.perceive('smell', 'direct', player), 'test_UndoPlayer smells nothing.')
+	assert.not.ok(room._container.filter(room))
+	RasPG.runtime.turn.tick()
+	assert.equal(calls, ['queued'])
+	RasPG.runtime.localizationAdapters.delete('en')
+})
+test('ParserModule.submit declares commands as intents, if turn-based', () => {
+	const order = []
+	Agentive.registerAct('test.hurry', { callback: () => order.push('npc') })
+	const player = createTestObject('test_TurnPlayer')
+	const npc = createTestObject('test_TurnNPC')
+	npc._acts.can('test.hurry')
+	npc._acts.setDecider(() => ({ act: 'test.hurry', priority: 1 }))
+	new Command('test_wave', { en: { pattern: /^wave$/, filters: {} } }, () => { order.push('player') })
+
+	const start = turn.counter
+	ParserModule.turnBased = true
+	const [result] = ParserModule.submit('wave', { agent: player })
+	ParserModule.turnBased = false
+	npc._acts.setDecider(undefined)
+
+	assert.ok(result.success)
+	assert.is(result.command, 'test_wave')
+	assert.is(turn.counter, start + 1)
+	assert.equal(order, ['npc', 'player'])
+})
+test('MapModule connects locations, traverses exits and finds paths', () => {
+	const [yard, hall, cellar, vault] = ['yard', 'hall', 'cellar', 'vault']
+		.map(id => new GameObject('test_Map_'+ id, { components: [Stringful, Containing] }))
+	const door = new GameObject('test_Map_door', { components: [Stateful] })
+	door._states.define({ open: false })
+	const walker = new GameObject('test_Map_walker', { components: [Tangible] })
+	walker._location.moveTo(yard)
+
+	assert.ok(MapModule.connect(yard, 'north', hall))
+	assert.ok(MapModule.connect(hall, 'down', cellar, { door: { object: door, state: 'open' } }))
+	assert.ok(MapModule.connect(cellar, 'east', vault, { oneWay: true, guard: agent => agent?.tags.has('KEYHOLDER') }))
+	assert.not.ok(MapModule.connect(yard, 'sideways', hall))
+	assert.is(hall._exits.destination('south'), yard)
+	assert.is(vault.hasComponent(Connected), false)
+	assert.is(MapModule.resolveDirection('n', 'en'), null)
+	RasPG.registerLocalizationAdapter(new LocalizationAdapter({
+		author: 'test', version: '0.0.0', code: 'en', morpher: () => '',
+		directions: { north: ['n'] }
+	}))
+	assert.is(MapModule.resolveDirection('n', 'en'), 'north')
+	assert.ok(MapModule.directionWords('en').includes('n'))
+	RasPG.runtime.localizationAdapters.delete('en')
+
+	assert.is(MapModule.traverse(walker, 'west'), 'noExit')
+	assert.ok(MapModule.traverse(walker, 'north'))
+	assert.is(walker._location.location, hall)
+	assert.is(MapModule.traverse(walker, 'down'), 'closed')
+	door._states.set('open', true)
+	assert.ok(MapModule.traverse(walker, 'down'))
+	assert.is(MapModule.traverse(walker, 'east'), 'blocked')
+
+	assert.equal(MapModule.path(yard, vault).map(step => step.direction), ['north', 'down', 'east'])
+	assert.is(MapModule.path(yard, vault, { agent: walker }), null)
+	assert.is(MapModule.path(vault, yard), null)
+	assert.equal(MapModule.path(yard, yard), [])
+
+	//? A cheaper detour wins over fewer steps
+	MapModule.connect(yard, 'west', vault, { cost: 5 })
+	assert.equal(MapModule.path(yard, vault).map(step => step.direction), ['north', 'down', 'east'])
+	assert.is(MapModule.path(yard, vault, { heuristic: () => 0 }).at(-1).location, vault)
+
+	assert.ok(MapModule.disconnect(hall, 'down'))
+	assert.is(cellar._exits.destination('up'), null)
+	const data = Connected.serializer(yard._exits)
+	assert.equal(Connected.deserializer(data).exits, yard._exits.exits)
+
+	//? Guards are only kept if functions are serialized
+	assert.not.ok('guard' in Connected.serializer(cellar._exits).east)
+	RasPG.config.serializeFunctions = true
+	const guarded = Connected.serializer(cellar._exits)
+	RasPG.config.serializeFunctions = false
+	assert.ok(guarded.east.guard.startsWith('SERIALIZED_FUNCTION:'))
+	walker.tag('KEYHOLDER')
+	assert.ok(Connected.deserializer(guarded).exits.get('east').guard(walker))
+})
+test('Area exposes its contents and filter, and can be connected', () => {
+	const porch = new Area('test_Area_porch', { description: 'A creaky porch.' })
+	const mat = new GameObject('test_Area_mat', { components: [Tangible] })
+	mat._location.moveTo(porch)
+
+	assert.ok(porch.contents.has(mat))
+	assert.equal(porch.contentsNested, porch._container.contentsNested)
+	assert.is(porch.filter, porch._container.filter)
+	assert.ok(porch.hasComponent(Connected))
+})
+test('DescriptionModule composes location descriptions from perceptions and listings', () => {
+	const study = new Area('test_Desc_study', { name: 'study', description: 'Books everywhere.' })
+	study._strings.set('briefDescription', 'The study.')
+	const thing = (id, name, components = []) => {
+		const object = new GameObject('test_Desc_'+ id, { components: [Describable, Tangible, ...components] })
+		object._description.describe({ canonicalName: name, nouns: [name.split(' ').at(-1)], adjectives: name.split(' ').slice(0, -1), description: '' })
+		object._location.moveTo(study)
+		return object
+	}
+	const reader = new GameObject('test_Desc_reader', { components: [Tangible, Containing] })
+	reader._location.moveTo(study)
+	const lamp = thing('lamp', 'lamp')
+	const coins = thing('coins', 'coin', [Countable])
+	const desk = thing('desk', 'oak desk', [Perceptible])
+	const rug = thing('rug', 'rug')
+	coins._count.set(2)
+	desk._perceptions.setPerception('sight', 'inRoom', 'A heavy oak desk dominates the room.')
+	rug.tag('SCENERY')
+
+	assert.equal(DescriptionModule.compose(study, { sensor: reader }), [
+		'Books everywhere.',
+		'A heavy oak desk dominates the room.',
+		'a lamp, 2 coins'
+	])
+	assert.ok(study.tags.has('VISITED'))
+	assert.is(DescriptionModule.compose(study, { sensor: reader })[0], 'The study.')
+	assert.is(DescriptionModule.compose(study, { sensor: reader, verbose: true })[0], 'Books everywhere.')
+
+	DescriptionModule.registerOrderingRule('test_countedFirst', (a, b) => +b.hasComponent(Countable) - +a.hasComponent(Countable))
+	assert.throws(() => DescriptionModule.registerOrderingRule('test_countedFirst', () => 0))
+	desk.tag('SCENERY')
+	assert.equal(DescriptionModule.compose(study, { sensor: reader, sentence: (listing, also) => `${also}: ${listing}` }).at(-1), 'false: 2 coins, a lamp')
+	assert.ok(DescriptionModule.unregisterOrderingRule('test_countedFirst'))
+
+	//? Names and sentences come from the active LocalizationAdapter, if any
+	RasPG.registerLocalizationAdapter(new LocalizationAdapter({
+		author: 'test', version: '0.0.0', code: 'en',
+		morpher: (parts, object) => ('COUNT' in parts? 'some ' : 'one ') + object._description.canonicalName,
+		phrasing: {
+			list: items => items.join(' and '),
+			contentsSentence: (listing, also) => `${also? 'Also' : 'Here'}: ${listing}.`
+		}
+	}))
+	assert.is(DescriptionModule.list([lamp, coins]), 'one lamp and some coin')
+	assert.is(DescriptionModule.compose(study, { sensor: reader }).at(-1), 'Here: one lamp and some coin.')
+	RasPG.runtime.localizationAdapters.delete('en')
+})
+
+//# MARK: Runtime tests
+const turn = RasPG.runtime.turn
+test('Turn pipeline registers default phases and inserts before/after', () => {
+	const phases = [...turn.pipeline.phases]
+	assert.equal(turn.pipeline.phases.map(e => e.name), ['preparation', 'before', 'intent', 'after', 'cleanup'])
+
+	turn.pipeline.register('test_early', () => {}, { before: 'preparation' })
+	turn.pipeline.register('test_late', () => {}, { after: 'cleanup' })
+	turn.pipeline.register('test_middle', () => {}, { after: 'intent' })
+	assert.equal(turn.pipeline.phases.map(e => e.name), ['test_early', 'preparation', 'before', 'intent', 'test_middle', 'after', 'cleanup', 'test_late'])
+	assert.throws(() => turn.pipeline.register('test_early', () => {}))
+
+	turn.pipeline.reorder(['preparation', 'before', 'intent', 'after', 'cleanup', 'test_early', 'test_middle', 'test_late'])
+	assert.equal(turn.pipeline.phases.map(e => e.name), ['preparation', 'before', 'intent', 'after', 'cleanup', 'test_early', 'test_middle', 'test_late'])
+	turn.pipeline.phases = phases
+})
+test('Turn.tick advances counter and emits turn events', () => {
+	const start = turn.counter
+	const events = []
+	EventModule.on('turn.started', (_, data) => events.push('started:' + data.turn), {})
+	EventModule.on('turn.ended', (_, data) => events.push('ended:' + data.turn), {})
+
+	assert.ok(turn.tick())
+	assert.is(turn.counter, start + 1)
+	assert.equal(events, ['started:' + (start + 1), 'ended:' + (start + 1)])
+})
+test('Turn.schedule fires at the scheduled turn and phase', () => {
+	const calls = []
+	turn.pipeline.append('intent', () => calls.push('intent'), { once: true })
+	turn.schedule(() => calls.push('after'), { delay: 1, phase: 'after' })
+	turn.schedule(() => calls.push('before'), { delay: 1 })
+	turn.schedule(() => calls.push('late'), { delay: 2 })
+
+	turn.tick()
+	assert.equal(calls, ['before', 'intent', 'after'])
+	turn.tick()
+	assert.equal(calls, ['before', 'intent', 'after', 'late'])
+})
+test('Turn.schedule repeats the given number of times', () => {
+	let calls = 0
+	turn.schedule(() => calls++, { delay: 1, repeat: 2 })
+
+	for (let i = 0; i < 5; i++)
+		turn.tick()
+	assert.is(calls, 3)
+})
+test('Turn.schedule delays calls with unmet predicates', () => {
+	let ready = false
+	let calls = 0
+	turn.schedule(() => calls++, { delay: 1, predicate: () => ready })
+
+	turn.tick()
+	turn.tick()
+	assert.is(calls, 0)
+	ready = true
+	turn.tick()
+	assert.is(calls, 1)
+	turn.tick()
+	assert.is(calls, 1)
+})
+test('Turn.schedule on tick calls every turn until the delay ends, if predicate is met', () => {
+	let skip = false
+	let calls = 0
+	turn.schedule(() => calls++, { delay: 3, on: 'tick', predicate: () => !skip })
+
+	turn.tick()
+	skip = true
+	turn.tick()
+	skip = false
+	turn.tick()
+	turn.tick()
+	assert.is(calls, 2)
+})
+test('Turn pause, resume and step', () => {
+	const start = turn.counter
+	assert.ok(turn.pause())
+	assert.is(turn.tick(), false)
+	assert.is(turn.step(), false)
+	assert.is(turn.counter, start)
+	assert.ok(turn.resume())
+
+	assert.is(turn.step(), 'preparation')
+	assert.is(turn.counter, start + 1)
+	assert.is(turn.step(), 'before')
+	turn.tick()
+	assert.is(turn.currentPhase, null)
+	assert.is(turn.counter, start + 1)
+})
+
+//# MARK: Subclass tests
+test('Region groups areas, passes down strings, states and perceptions, and reports crossings', () => {
+	const world = new Region('test_world', { name: 'the world' })
+	const coast = new Region('test_coast')
+	const beach = new Area('test_beach', { description: 'Sand.' })
+	const cliff = new Area('test_cliff', { description: 'Rock.' })
+	const inland = new Area('test_inland', { description: 'Fields.' })
+	assert.ok(world.add(coast))
+	assert.ok(coast.add(beach))
+	coast.add(cliff)
+	world.add(inland)
+	assert.not.ok(coast.add(world))
+	assert.is(Region.of(beach), coast)
+	assert.equal(Region.around(beach), [coast, world])
+	assert.ok(world.has(beach))
+	assert.not.ok(world.has(beach, false))
+
+	world._states.define({ raining: false, danger: 0 })
+	coast._states.define({ raining: true })
+	for (const area of [beach, cliff, inland])
+		area.addComponent(Stateful)
+	cliff._states.define({ danger: 2 })
+	world._strings.set('ambience', 'Birds sing.')
+	coast._perceptions.setPerception('smell', 'inRoom', 'Salt hangs in the air.')
+	assert.equal([beach._states.get('raining'), inland._states.get('raining'), cliff._states.get('danger')], [true, false, 2])
+	assert.is(beach._strings.get('ambience'), 'Birds sing.')
+	assert.is(beach._strings.get('name'), 'test_beach')
+	beach.addComponent(Perceptible)
+	assert.is(beach._perceptions.perceive('smell', 'inRoom', beach), 'Salt hangs in the air.')
+
+	const crossings = []
+	const record = (owner, data) => crossings.push(`${data.region.id}:${data.object.id}`)
+	EventModule.on('region.entered', record, {})
+	EventModule.on('region.left', record, {})
+	const crab = new GameObject('test_crab', { components: [Tangible] })
+	crab._location.moveTo(beach)
+	crab._location.moveTo(cliff)
+	crab._location.moveTo(inland)
+	EventModule.off('region.entered', record, {})
+	EventModule.off('region.left', record, {})
+	assert.equal(crossings, ['test_world:test_crab', 'test_coast:test_crab', 'test_coast:test_crab'])
+
+	assert.ok(world.add(beach))
+	assert.is(Region.of(beach), world)
+	assert.not.ok(coast.has(beach))
+	assert.equal(coast.serialize().members, ['A__test_cliff'])
+})
 
 //# MARK: Component tests
 test('Stateful defines and mutates state', () => {
@@ -111,6 +804,55 @@ test('Perceptible defines and sets perceptions', () => {
 
 	assert.is(obj._perceptions.perceive('sight', 'inRoom', obj), 'A glowing orb rests.')
 })
+test('Perceptible.propagate spreads stimuli across exits, fading with distance and barriers', () => {
+	const [belfry, stairs, hall, cellar] = ['belfry', 'stairs', 'hall', 'cellar']
+		.map(id => new GameObject('test_Sound_'+ id, { components: [Containing] }))
+	const door = new GameObject('test_Sound_door', { components: [Openable] })
+	MapModule.connect(belfry, 'down', stairs)
+	MapModule.connect(stairs, 'south', hall, { door: { object: door } })
+	MapModule.connect(hall, 'down', cellar)
+	const bell = new GameObject('test_Sound_bell', { components: [Tangible, Perceptible] })
+	bell._perceptions.definePerceptions({ hearing: {
+		inRoom: 'The bell tolls deafeningly.',
+		adjacentRoom: 'A bell tolls nearby.',
+		distant: 'A bell tolls somewhere far off.'
+	} })
+	bell._location.moveTo(belfry)
+	const listeners = [belfry, stairs, hall, cellar].map(room => {
+		const listener = new GameObject('test_Sound_listener_'+ room.id.slice(11), { components: [Tangible, Agentive] })
+		listener._location.moveTo(room)
+		return listener
+	})
+
+	let perceived = Perceptible.propagate(bell, 'hearing', 4)
+	assert.equal(perceived.map(e => [e.sensor, e.context, e.intensity]), [
+		[listeners[0], 'inRoom', 4],
+		[listeners[1], 'adjacentRoom', 3]
+	])
+	assert.is(perceived[1].perception, 'A bell tolls nearby.')
+	assert.is(perceived[1].direction, 'up')
+
+	//? Sensors react through events, and Willful ones keep what they perceive for their strategies
+	const heard = []
+	const onSensed = (_, { object, direction }) => heard.push(object.id +':'+ direction)
+	EventModule.on('perceptions.sensed', onSensed, {})
+	listeners[3].addComponent(Willful)
+	door._openable.open()
+	perceived = Perceptible.propagate(bell, 'hearing', 4)
+	assert.equal(perceived.map(e => e.context), ['inRoom', 'adjacentRoom', 'distant', 'distant'])
+	assert.equal(perceived.map(e => e.intensity), [4, 3, 2, 1])
+	assert.is(perceived[3].perception, 'A bell tolls somewhere far off.')
+	assert.equal(heard.at(-1), 'test_Sound_listener_cellar:up')
+	EventModule.off('perceptions.sensed', onSensed, {})
+	assert.equal(listeners[3]._will.sensed, [{ sense: 'hearing', target: 'test_Sound_bell', context: 'distant', intensity: 1, distance: 3, direction: 'up' }])
+	Willful.registerStrategy('test_startled', agent => agent._will.sensed.length > 0? { act: 'test.startle', reason: 'heard '+ agent._will.sensed[0].target } : null)
+	listeners[3]._will.use('test_startled')
+	assert.is(listeners[3]._will.decide().act, 'test.startle')
+	assert.equal([listeners[3]._will.sensed, listeners[3]._will.decide()], [[], null])
+
+	Perceptible.setAttenuation('smell', { hop: 3 })
+	assert.equal(Perceptible.propagate(stairs, 'smell', 4, { sensors: object => object === listeners[0] }).map(e => e.intensity), [1])
+})
 test('Tangible sets and removes location', () => {
 	const room = new GameObject('room', { components: [Containing] })
 	const obj = createTestObject('test_Tangible')
@@ -130,6 +872,62 @@ test('Countable sets, adds, and subtracts to count', () => {
 	obj._count.subtract(2)
 	assert.is(obj._count.count, 8)
 })
+test('Describable and unplaced Tangible objects survive saving and loading', () => {
+	const statue = new GameObject('test_SaveDescribable', { components: [Describable, Tangible] })
+	statue._description.describe({ canonicalName: 'marble statue', nouns: ['statue'], adjectives: ['marble'], description: 'A statue.' })
+	statue._description.metadata = { type: 'thing' }
+
+	assert.ok(SaveModule.save('testDescribable'))
+	statue._description.metadata = {}
+	assert.ok(SaveModule.load('testDescribable'))
+	const loaded = GameObject.getByID('test_SaveDescribable')
+	assert.equal(loaded._description.nouns, ['statue'])
+	assert.equal(loaded._description.metadata, { type: 'thing' })
+	assert.is(loaded._location.location, null)
+	SaveModule.delete('testDescribable')
+})
+test('Containing.add takes objects out of their previous container', () => {
+	const shelf = new GameObject('test_Move_shelf', { components: [Containing] })
+	const drawer = new GameObject('test_Move_drawer', { components: [Containing] })
+	const ball = new GameObject('test_Move_ball', { components: [Tangible] })
+
+	shelf._container.add(ball)
+	drawer._container.add(ball)
+	assert.not.ok(shelf._container.has(ball))
+	assert.ok(drawer._container.has(ball))
+	assert.is(ball._location.location, drawer)
+})
+test('container.add merges Countable stacks of the same base object', () => {
+	const coin = new GameObject('test_Merge_coin', { components: [Tangible, Countable] })
+	TemplateModule.register('test_Merge_coin', coin)
+	coin.unregister()
+	const purse = new GameObject('test_Merge_purse', { components: [Containing] })
+	const [stack, loose] = [TemplateModule.instantiate('test_Merge_coin'), TemplateModule.instantiate('test_Merge_coin')]
+	stack._count.set(3)
+	loose._count.set(2)
+
+	assert.ok(Action.perform('container.add', [purse, stack]))
+	assert.ok(Action.perform('container.add', [purse, loose, 1]))
+	assert.equal([stack._count.count, loose._count.count], [4, 1])
+	assert.not.ok(Action.perform('container.add', [purse, loose, 5]))
+	assert.equal([stack._count.count, loose._count.count], [4, 1])
+	assert.ok(Action.perform('container.add', [purse, loose]))
+	assert.is(stack._count.count, 5)
+	assert.is(purse._container.contents.size, 1)
+})
+test('addComponent keeps required components already present', () => {
+	const sign = new GameObject('test_Requires_sign', { components: [Stringful, Describable], register: false })
+	sign._strings.set('desc.description', 'Keep out.')
+	TemplateModule.register('test_Requires_sign', sign)
+	const instance = TemplateModule.instantiate('test_Requires_sign')
+	assert.is(instance._strings.get('desc.description'), 'Keep out.')
+})
+test('Stringful falls back on global strings for dotted keys', () => {
+	const sign = new GameObject('test_Fallback_sign', { components: [Stringful] })
+	Stringful.set('en.test.fallback.greeting', 'Welcome.')
+	assert.is(sign._strings.get('test.fallback.greeting'), 'Welcome.')
+	assert.is(Stringful.get('test.fallback.greeting'), 'Welcome.')
+})
 test('Containing adds, removes, and filters', () => {
 	const container = createTestObject('test_Containing')
 	const item = new GameObject('rock', { components: [Tangible] })
@@ -143,6 +941,232 @@ test('Containing adds, removes, and filters', () => {
 	container._container.setFilter(obj => obj.id !== 'forbidden')
 	assert.ok(typeof container._container.filter === 'function')
 })
+test('Action results tell why built-in actions fail, and render through the SubTextModule', () => {
+	const room = new GameObject('test_Result_room', { components: [Containing] })
+	const player = new GameObject('test_Result_player', { components: [Tangible, Containing] })
+	const jar = new GameObject('test_Result_jar', { components: [Describable, Tangible, Containing, Openable] })
+	const pebble = new GameObject('test_Result_pebble', { components: [Describable, Tangible] })
+	jar._description.describe({ canonicalName: 'glass jar', nouns: ['jar'], adjectives: ['glass'], description: '' })
+	pebble._description.describe({ canonicalName: 'grey pebble', nouns: ['pebble'], adjectives: ['grey'], description: '' })
+	for (const object of [player, jar, pebble])
+		object._location.moveTo(room)
+
+	//? Normally defined by localization packs
+	Stringful.define({
+		'en.action.container.add.closed': 'The %container.desc.name% is closed.',
+		'en.action.container.add.filtered': "The %item.desc.name% doesn't fit in the %container.desc.name%."
+	})
+	let result = Action.attempt('container.add', [jar, pebble])
+	assert.equal([result.success, result.action, result.reason, result.key], [false, 'container.add', 'closed', 'action.container.add.closed'])
+	assert.is(result.context.container, jar)
+	assert.is(Action.message(result), 'The glass jar is closed.')
+	assert.is(Action.perform('container.add', [jar, pebble]), false)
+	assert.is(Action.lastResult.reason, 'closed')
+
+	jar._openable.open()
+	jar._container.setFilter(item => item !== pebble)
+	result = Action.attempt('container.transfer', [room, jar, pebble])
+	assert.is(result.reason, 'filtered')
+	assert.is(Action.message(result), "The grey pebble doesn't fit in the glass jar.")
+	assert.is(Action.attempt('count.subtract', [pebble]).reason, 'notCountable')
+	assert.is(Action.attempt('openable.open', [jar]).reason, 'alreadyOpen')
+	assert.is(Action.attempt('test_Result_missing', []).reason, 'unknownAction')
+	assert.is(Action.attempt('container.remove', [jar, pebble]).reason, 'notContained')
+	assert.ok(Action.attempt('container.add', [player, pebble]).success)
+	assert.is(Action.message(Action.lastResult), '')
+
+	//? Custom failures, and commands returning them
+	Action.register('test_Result_polish', object => Action.fail('dull', { key: 'test.polish.dull', context: { object } }))
+	Stringful.set('en.test.polish.dull', 'The %object.desc.name% refuses to shine.')
+	new Command('test_Result_polish', { en: { pattern: /^polish (?<patient>.+)$/, filters: {} } },
+		(match, [patient]) => Action.attempt('test_Result_polish', [patient]))
+	const parsed = ParserModule.execute('polish jar', { agent: player })
+	assert.not.ok(parsed.success)
+	assert.is(parsed.reason, 'failed')
+	assert.is(parsed.failure.reason, 'dull')
+	assert.equal(parsed.fragments.map(fragment => [fragment.text, fragment.channel]), [['The glass jar refuses to shine.', 'error']])
+	OutputModule.flush()
+})
+test('Action rulebooks stop, replace, extend and report actions, by object, tag and priority', () => {
+	const room = new GameObject('test_Rule_room', { components: [Containing] })
+	const player = new GameObject('test_Rule_player', { components: [Tangible, Containing] })
+	const vase = new GameObject('test_Rule_vase', { components: [Describable, Tangible] })
+	const cup = new GameObject('test_Rule_cup', { components: [Describable, Tangible] })
+	vase._description.describe({ canonicalName: 'blue vase', nouns: ['vase'], adjectives: ['blue'], description: '' })
+	vase.tag('FRAGILE')
+	for (const object of [player, vase, cup])
+		object._location.moveTo(room)
+
+	//? Check rules stop actions, telling why
+	Action.registerRule('test_Rule_glued', { action: 'container.add', stage: 'check', object: vase,
+		callback: () => Action.fail('glued', { key: 'test.rule.glued', context: { item: vase } }) })
+	Stringful.set('en.test.rule.glued', 'The %item.desc.name% is glued down.')
+	let result = Action.attempt('container.add', [player, vase])
+	assert.equal([result.success, result.reason, result.rule], [false, 'glued', 'test_Rule_glued'])
+	assert.is(Action.message(result), 'The blue vase is glued down.')
+	assert.is(vase._location.location, room)
+	assert.ok(Action.unregisterRule('test_Rule_glued'))
+
+	//? Instead rules replace them
+	Action.registerRule('test_Rule_fragile', { action: 'container.add', stage: 'instead', tag: 'FRAGILE', callback: () => false })
+	result = Action.attempt('container.add', [player, vase])
+	assert.equal([result.reason, result.key, result.rule], ['stopped', 'action.container.add.stopped', 'test_Rule_fragile'])
+	assert.ok(Action.attempt('container.add', [player, cup]).success)
+	Action.unregisterRule('test_Rule_fragile')
+	Action.perform('container.add', [room, cup])
+
+	//? The rest follow successful actions, by priority, then specificity, then registration order
+	const followed = []
+	Action.registerRule('test_Rule_any', { action: '*', stage: 'before', callback: (args, { action }) => { followed.push('before:'+ action) } })
+	Action.registerRule('test_Rule_global', { action: 'container.add', stage: 'carryOut', callback: () => { followed.push('global') } })
+	Action.registerRule('test_Rule_tag', { action: 'container.add', stage: 'carryOut', tag: 'FRAGILE', callback: () => { followed.push('tag') } })
+	Action.registerRule('test_Rule_urgent', { action: 'container.add', stage: 'carryOut', priority: 5,
+		callback: (args, { result }) => { followed.push('urgent:'+ result.success) } })
+	Action.registerRule('test_Rule_after', { action: 'container.add', stage: 'after', object: 'test_Rule_vase', callback: () => false })
+	Action.registerRule('test_Rule_report', { action: 'container.add', stage: 'report', callback: () => { followed.push('report') } })
+	assert.throws(() => Action.registerRule('test_Rule_report', { action: 'container.add', stage: 'report', callback: () => {} }))
+
+	Action.perform('container.add', [player, cup])
+	assert.equal(followed.splice(0), ['before:container.add', 'urgent:true', 'global', 'report'])
+	Action.perform('container.add', [player, vase])
+	assert.equal(followed.splice(0), ['before:container.add', 'urgent:true', 'tag', 'global'])
+	Action.perform('container.remove', [room, 'test_Rule_missing'])
+	assert.equal(followed.splice(0), ['before:container.remove'])
+
+	//? Costs are declared per action, and paid by the agent in context
+	Action.setCost('container.add', { turns: 1 })
+	ContextModule.push({ agent: player })
+	assert.equal(Action.attempt('container.add', [room, cup]).cost, { turns: 1 })
+	ContextModule.pop(['agent'])
+	assert.is(Action.attempt('container.add', [player, cup]).cost, undefined)
+	assert.not.ok(Action.setCost('container.add', { gold: 3 }))
+	Action.setCost('container.add', null)
+	for (const rule of ['test_Rule_any', 'test_Rule_global', 'test_Rule_tag', 'test_Rule_urgent', 'test_Rule_after', 'test_Rule_report'])
+		Action.unregisterRule(rule)
+})
+test('Openable and Lockable gate containers, doors and perceptions', () => {
+	const room = new GameObject('test_Lock_room', { components: [Containing] })
+	const agent = new GameObject('test_Lock_agent', { components: [Tangible, Containing] })
+	const chest = new GameObject('test_Lock_chest', { components: [Tangible, Containing, Perceptible, Lockable] })
+	const coin = new GameObject('test_Lock_coin', { components: [Tangible] })
+	const key = new GameObject('test_Lock_key', { components: [Tangible] })
+	const skeleton = new GameObject('test_Lock_skeleton', { components: [Tangible] })
+	const pick = new GameObject('test_Lock_pick', { components: [Tangible] })
+	skeleton.tag('SKELETON_KEY')
+	for (const object of [agent, chest])
+		object._location.moveTo(room)
+	chest._lock.addKey('test_Lock_key').addKey({ tag: 'SKELETON_KEY' }).addKey(item => item === pick)
+
+	//? Closed containers refuse contents and hide them from scope
+	assert.not.ok(Action.perform('container.add', [chest, coin]))
+	assert.ok(chest._openable.open())
+	assert.ok(Action.perform('container.add', [chest, coin]))
+	assert.ok(ParserModule.scope(agent).includes(coin))
+	assert.ok(chest._openable.close())
+	assert.not.ok(chest._openable.close())
+	assert.not.ok(ParserModule.scope(agent).includes(coin))
+	assert.not.ok(Action.perform('container.remove', [chest, coin]))
+
+	for (const fitting of [key, skeleton, pick]) {
+		assert.ok(chest._lock.lock(fitting))
+		assert.ok(chest._lock.unlock(fitting))
+	}
+	assert.not.ok(chest._lock.lock(room))
+	assert.ok(chest._lock.lock(key))
+	assert.not.ok(chest._openable.open())
+
+	chest._perceptions.setPerception('sight', 'direct', 'An oak chest.')
+	chest._perceptions.setPerception('sight', 'directOpen', 'An open oak chest.')
+	chest._perceptions.setPerception('sight', 'directLocked', 'A locked oak chest.')
+	assert.is(chest._perceptions.perceive('sight', 'direct', agent), 'A locked oak chest.')
+	chest._lock.unlock()
+	assert.is(chest._perceptions.perceive('sight', 'direct', agent), 'An oak chest.')
+	chest._openable.open()
+	assert.is(chest._perceptions.perceive('sight', 'direct', agent), 'An open oak chest.')
+
+	//? Doors without a state follow their Openable and Lockable components
+	const door = new GameObject('test_Lock_door', { components: [Lockable] })
+	const yard = new GameObject('test_Lock_yard', { components: [Containing] })
+	MapModule.connect(room, 'east', yard, { door: { object: door } })
+	door._lock.lock()
+	assert.is(room._exits.passable('east', agent), 'locked')
+	door._lock.unlock()
+	assert.is(room._exits.passable('east', agent), 'closed')
+	door._openable.open()
+	assert.ok(room._exits.passable('east', agent))
+
+	door._openable.close()
+	door._lock.addKey('test_Lock_key').lock()
+	const restored = Lockable.deserializer(Lockable.serializer(door._lock))
+	assert.ok(restored.locked)
+	assert.equal(restored.keys, ['test_Lock_key'])
+	door._lock.addKey(key => key.tags.has('MASTER'))
+	assert.equal(Lockable.serializer(door._lock).keys, ['test_Lock_key'])
+	RasPG.config.serializeFunctions = true
+	const withFunctions = Lockable.serializer(door._lock)
+	RasPG.config.serializeFunctions = false
+	assert.is(typeof Lockable.deserializer(withFunctions).keys[1], 'function')
+	assert.is(Openable.deserializer(Openable.serializer(chest._openable)).isOpen, true)
+})
+test('LightSource lights locations, burns fuel, and darkness hides things from sight', () => {
+	const cave = new GameObject('test_Light_cave', { components: [Containing, Connected, Stateful] })
+	const tunnel = new GameObject('test_Light_tunnel', { components: [Containing, Connected] })
+	const miner = new GameObject('test_Light_miner', { components: [Tangible, Containing] })
+	const lamp = new GameObject('test_Light_lamp', { components: [Stateful, LightSource] })
+	const crate = new GameObject('test_Light_crate', { components: [Tangible, Containing, Openable] })
+	const gem = new GameObject('test_Light_gem', { components: [Tangible, Perceptible] })
+	const rock = new GameObject('test_Light_rock', { components: [Tangible] })
+	cave._states.define({ light: 0 })
+	MapModule.connect(cave, 'north', tunnel)
+	for (const object of [miner, gem, rock])
+		object._location.moveTo(cave)
+	gem._perceptions.setPerception('sight', 'direct', 'A cut gem.')
+	gem._perceptions.setPerception('sight', 'directDark', 'Something glints faintly.')
+
+	assert.is(LightSource.level(cave), 0)
+	assert.is(LightSource.level(tunnel), 1)
+	assert.not.ok(LightSource.canSee(miner))
+	assert.is(gem._perceptions.perceive('sight', 'direct', miner), 'Something glints faintly.')
+	assert.equal(ParserModule.scope(miner), [])
+
+	//? A carried lamp lights the room, but not from inside a closed crate
+	lamp._states.define({ oil: 2 })
+	lamp._light.define({ strength: 2, radius: 1, fuel: 'state:oil' })
+	miner._container.add(lamp)
+	assert.ok(lamp._light.light())
+	assert.not.ok(lamp._light.light())
+	assert.is(LightSource.level(cave), 2)
+	assert.is(LightSource.level(tunnel), 3)
+	assert.ok(LightSource.canSee(miner))
+	assert.is(gem._perceptions.perceive('sight', 'direct', miner), 'A cut gem.')
+	assert.ok(ParserModule.scope(miner).includes(rock))
+	crate._location.moveTo(cave)
+	crate._container.add(lamp)
+	assert.not.ok(LightSource.canSee(miner))
+	assert.ok(LightSource.level(crate) >= 2)
+
+	//? Fuel burns during the cleanup phase
+	const events = []
+	const onExhausted = (_, { object }) => events.push(object.id)
+	EventModule.on('light.exhausted', onExhausted, {})
+	crate._openable.open()
+	RasPG.runtime.turn.tick()
+	assert.ok(lamp._light.lit)
+	assert.is(lamp._light.fuelLeft, 1)
+	RasPG.runtime.turn.tick()
+	assert.not.ok(lamp._light.lit)
+	assert.not.ok(lamp._light.light())
+	assert.equal(events, ['test_Light_lamp'])
+	EventModule.off('light.exhausted', onExhausted, {})
+
+	LightSource.setResolver((sensor, location) => sensor.tags.has('DARKVISION') || LightSource.level(location) >= 1)
+	miner.tag('DARKVISION')
+	assert.ok(LightSource.canSee(miner))
+	LightSource.setResolver((sensor, location) => LightSource.level(location) >= RasPG.config.components.lightSource.threshold)
+
+	const restored = LightSource.deserializer(LightSource.serializer(lamp._light))
+	assert.equal([restored.strength, restored.radius, restored.fuel, restored.lit], [2, 1, 'state:oil', false])
+})
 test('Actionable enables and disables actions', () => {
 	const obj = createTestObject('test_Actionable')
 	Actionable.registerAction('item.pickup', { callback: () => true })
@@ -163,5 +1187,117 @@ test('Agentive enables and disables acts', () => {
 	obj._acts.cannot('move.north')
 	assert.not.ok(obj._acts.acts.has('move.north'))
 })
+test('Agentive intents are resolved by initiative during the intent phase', () => {
+	const order = []
+	Agentive.registerAct('test.shout', { callback: () => order.push(ContextModule.get('agent').id) })
+	Agentive.registerAct('test.poke', {
+		callback: (patient) => order.push('poke:'+ patient.id),
+		predicate: (patient) => patient.id !== 'test_Intent_c'
+	})
+	const a = createTestObject('test_Intent_a')
+	const b = createTestObject('test_Intent_b')
+	const c = createTestObject('test_Intent_c')
+	for (const obj of [a, b, c])
+		obj._acts.can(['test.shout', 'test.poke'])
+
+	assert.not.ok(a._acts.declare('move.north'))
+	a._acts.declare('test.shout')
+	b._acts.declare('test.shout', { priority: 5 })
+	c._acts.setDecider(self => ({ act: 'test.poke', patient: 'test_Intent_c' }))
+	assert.equal(b._acts.intent, { act: 'test.shout', priority: 5 })
+
+	turn.tick()
+	assert.equal(order, ['test_Intent_b', 'test_Intent_a'])
+	assert.is(a._acts.intent, null)
+	c._acts.setDecider(undefined)
+
+	Agentive.registerAct('test.fumble', { callback: () => { throw new Error('Fumbled') } })
+	a._acts.can('test.fumble')
+	assert.throws(() => a._acts.perform('test.fumble'))
+	assert.is(ContextModule.get('agent'), undefined)
+
+	//? Actions costing several turns keep the agent busy for the rest
+	Action.setCost('container.add', { turns: 3 })
+	ContextModule.push({ agent: a })
+	Action.perform('container.add', [a, createTestObject('test_Intent_load')])
+	ContextModule.pop(['agent'])
+	Action.setCost('container.add', null)
+	assert.is(a._acts.busy, 2)
+	order.length = 0
+	a._acts.declare('test.shout')
+	turn.tick()
+	turn.tick()
+	assert.equal(order, [])
+	turn.tick()
+	assert.equal(order, ['test_Intent_a'])
+})
+test('Willful picks acts through utility, behaviour tree and scripted strategies', () => {
+	Agentive.registerAct('test.rest', { callback: () => true })
+	Agentive.registerAct('test.wander', { callback: () => true })
+	const npc = createTestObject('test_Willful')
+	npc.addComponent(Willful)
+	npc._acts.can(['test.rest', 'test.wander'])
+	npc._states.define({ tired: true })
+	const reasons = []
+	EventModule.on('will.decided', (_, data) => reasons.push(data.reason), { owner: npc })
+
+	npc._will.use('utility', { options: [
+		{ act: 'test.wander', base: 1 },
+		{ act: 'test.rest', considerations: [{ state: 'tired', weight: 2 }] }
+	]})
+	assert.is(npc._will.decide().act, 'test.rest')
+	assert.equal(npc._will.lastDecision.scores, { 'test.wander': 1, 'test.rest': 2 })
+
+	npc._will.use('behaviourTree', { root: { selector: [
+		{ sequence: [{ condition: { state: 'tired', equals: false } }, { act: 'test.wander' }] },
+		{ act: 'test.rest' }
+	]}})
+	assert.is(npc._will.decide().act, 'test.rest')
+	assert.is(reasons.at(-1), 'root > selector[1] > act "test.rest"')
+
+	npc._will.use('scripted', { steps: ['test.wander', 'test.rest'] })
+	assert.equal([npc._will.decide()?.act, npc._will.decide()?.act, npc._will.decide()], ['test.wander', 'test.rest', null])
+})
+test('Willful decisions are deterministic under a seed and survive serialization', () => {
+	const npc = createTestObject('test_Willful_seeded')
+	npc.addComponent(Willful)
+	npc._acts.can(['test.rest', 'test.wander'])
+	npc._will.use('utility', { noise: 10, options: [{ act: 'test.wander' }, { act: 'test.rest' }] }, { seed: 42 })
+	const first = Array.from({ length: 8 }, () => npc._will.decide().act)
+	npc._will.reseed(42)
+	assert.equal(Array.from({ length: 8 }, () => npc._will.decide().act), first)
+
+	npc._will.reseed(7)
+	npc._will.decide()
+	RasPG.runtime.state.inner.push('serializing')
+	const data = structuredClone(Willful.serializer(npc._will))
+	const copy = Willful.deserializer(structuredClone(data))
+	assert.equal(Willful.serializer(copy), data)
+	copy.parent = npc
+	RasPG.runtime.state.inner.pop()
+	assert.is(copy.random(), npc._will.random())
+})
+test('Willful travellers step along MapModule paths, a turn at a time', () => {
+	const [gate, road, inn] = ['gate', 'road', 'inn']
+		.map(id => new GameObject('test_Travel_'+ id, { components: [Stringful, Containing] }))
+	MapModule.connect(gate, 'east', road)
+	MapModule.connect(road, 'east', inn)
+	const traveller = createTestObject('test_Travel_npc')
+	traveller.addComponent(Willful)
+	traveller._acts.can('movement.goTo')
+	traveller._location.moveTo(gate)
+
+	assert.is(MapModule.step(traveller, gate), 'arrived')
+	assert.is(MapModule.step(traveller, 'test_Travel_npc'), 'noPath')
+	traveller._will.use('travel', { to: 'test_Travel_inn' })
+	turn.tick()
+	assert.is(traveller._location.location, road)
+	assert.is(traveller._will.lastDecision.reason, 'travelling to test_Travel_inn')
+	turn.tick()
+	assert.is(traveller._location.location, inn)
+	turn.tick()
+	assert.is(traveller._will.lastDecision, null)
+	assert.is(traveller._location.location, inn)
+})
 
 test.run()
\ No newline at end of file
@@ -0,0 +1,217 @@
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+	RasPG,
+	GameObject,
+	EventModule, ContextModule, Action,
+	Agentive
+} = require('../raspg3.js')
+const {
+	StatType, StatusEffect, CombatModule,
+	Statful, Combatant, Equipment, Equippable
+} = require('../raspg3-stats&combat.js')
+
+for (const stat of ['health', 'attack', 'defence', 'speed'])
+	new StatType(stat)
+
+//? Helper for setup
+function createCombatant(id, stats, side) {
+	const object = new GameObject(id, { components: [Combatant] })
+	object._stats.define(stats)
+	object._combat.side = side?? null
+	return object
+}
+
+//# MARK: Module tests
+test('CombatModule orders initiative and resolves attacks through formulas', () => {
+	const hero = createCombatant('test_hero', { health: 20, attack: 6, defence: 1, speed: 5 }, 'party')
+	const rat = createCombatant('test_rat', { health: 5, attack: 3, defence: 2, speed: 8 })
+	const events = []
+	EventModule.on('combat.*', (_, data) => events.push(data.damage?? data.round?? data.winner), {})
+
+	assert.ok(CombatModule.start([hero, rat]))
+	assert.not.ok(CombatModule.start([hero, rat]))
+	assert.equal(CombatModule.encounter.order, ['test_rat', 'test_hero'])
+
+	assert.is(CombatModule.attack(hero, rat), 4)
+	assert.is(rat._stats.get('health').base, 1)
+	assert.is(CombatModule.attack(hero, rat), 4)
+	assert.equal(CombatModule.encounter.outcomes, { test_rat: 'defeated' })
+	assert.is(CombatModule.attack(hero, rat), false)
+
+	assert.is(CombatModule.resolveRound(), 'party')
+	assert.is(CombatModule.encounter, null)
+	assert.ok(events.includes('party'))
+})
+test('Combat rounds are turns, with intents performed in initiative order', () => {
+	const order = []
+	EventModule.on('combat.hit', (_, data) => order.push(data.object.id), {})
+	const knight = createCombatant('test_knight', { health: 30, attack: 5, defence: 0, speed: 1 })
+	const thief = createCombatant('test_thief', { health: 30, attack: 5, defence: 0, speed: 9 })
+	for (const object of [knight, thief])
+		object._acts.can(['combat.attack', 'combat.flee', 'combat.surrender'])
+
+	CombatModule.start([knight, thief])
+	knight._acts.declare('combat.attack', { patient: thief })
+	thief._acts.declare('combat.attack', { patient: knight })
+	RasPG.runtime.turn.tick()
+	assert.equal(order, ['test_thief', 'test_knight'])
+	assert.is(CombatModule.encounter.round, 2)
+
+	thief._acts.declare('combat.flee')
+	RasPG.runtime.turn.tick()
+	assert.is(CombatModule.encounter, null)
+})
+test('CombatModule handles surrender and custom formulas', () => {
+	const defaultHit = CombatModule.formulas.get('hit')
+	CombatModule.registerFormula('hit', () => false)
+	const a = createCombatant('test_duelist_a', { health: 10, attack: 5, speed: 1 })
+	const b = createCombatant('test_duelist_b', { health: 10, attack: 5, speed: 2 })
+
+	CombatModule.start([a, b], { seed: 1 })
+	assert.is(CombatModule.attack(a, b), false)
+	assert.ok(CombatModule.surrender(b))
+	assert.not.ok(b._combat.inCombat)
+	assert.is(CombatModule.resolveRound(), 'test_duelist_a')
+	CombatModule.registerFormula('hit', defaultHit)
+})
+
+//# MARK: Component tests
+test('Statful applies, stacks and expires status effects', () => {
+	new StatusEffect('test_rage', { modifiers: { attack: { delta: 2 } }, duration: 2, stacking: 'stack', maxStacks: 2 })
+	new StatusEffect('test_poison', { duration: 3, onTurn: (object, stacks) => object._stats.modify('health', -stacks) })
+	const object = createCombatant('test_effects', { health: 10, attack: 5 })
+	const events = []
+	EventModule.on('effects.*', (_, data) => events.push(data.effect), { owner: object })
+
+	assert.ok(object._stats.applyEffect('test_rage'))
+	assert.ok(object._stats.applyEffect('test_rage'))
+	assert.ok(object._stats.applyEffect('test_rage'))
+	assert.is(object._stats.effects.get('test_rage').stacks, 2)
+	assert.is(object._stats.get('attack').net, 9)
+
+	object._stats.applyEffect('test_poison')
+	RasPG.runtime.turn.tick()
+	assert.is(object._stats.get('health').base, 9)
+	RasPG.runtime.turn.tick()
+	assert.not.ok(object._stats.hasEffect('test_rage'))
+	assert.is(object._stats.get('attack').net, 5)
+	RasPG.runtime.turn.tick()
+	RasPG.runtime.turn.tick()
+	assert.is(object._stats.get('health').base, 7)
+	assert.equal(object._stats.effects.size, 0)
+	assert.is(events.filter(e => e === 'test_poison').length, 2)
+})
+test('Statful serializes stats and status effects', () => {
+	const object = createCombatant('test_effects_saved', { health: 10, attack: 5 })
+	object._stats.applyEffect('test_rage')
+	object._stats.get('health').modifiers.push({ multiplier: 2 })
+
+	RasPG.runtime.state.inner.push('serializing')
+	const data = structuredClone(Statful.serializer(object._stats))
+	const copy = Statful.deserializer(structuredClone(data))
+	RasPG.runtime.state.inner.pop()
+	copy.removeEffect('test_rage')
+
+	assert.equal(data.effects, { test_rage: { stacks: 1, expires: RasPG.runtime.turn.counter + 2 } })
+	assert.equal(data.stats.attack.modifiers, [])
+	assert.is(Statful.deserializer(data).get('attack').net, 7)
+	assert.is(Statful.deserializer(data).get('health').net, 20)
+})
+test('StatType derives stats from dependencies and rejects cycles', () => {
+	new StatType('test_strength')
+	new StatType('test_power', { dependencies: ['test_strength'], calculation: (stat, { test_strength }) => stat.base + test_strength * 2 })
+	const object = createCombatant('test_derived', { test_strength: 3, test_power: 1 })
+	const recalculated = []
+	EventModule.on('stats.test_power.recalculated', (_, data) => recalculated.push(data.current), { owner: object })
+
+	assert.is(object._stats.get('test_power').net, 7)
+	object._stats.modify('test_strength', 2)
+	assert.is(object._stats.get('test_power').net, 11)
+	assert.equal(recalculated, [11])
+	assert.equal(StatType.dependentsOf('test_strength'), ['test_power'])
+
+	//? Net values are truncated to the nearest step
+	new StatType('test_speed', { dependencies: ['test_strength'], calculation: (stat, { test_strength }) => stat.base + test_strength / 3 })
+	const fast = createCombatant('test_fast', { test_strength: 2, test_speed: 1 })
+	assert.is(fast._stats.get('test_speed').net, 1.66)
+
+	new StatType('test_cycleA', { dependencies: ['test_cycleB'] })
+	assert.throws(() => new StatType('test_cycleB', { max: 'test_cycleA' }), /test_cycleB" -> "test_cycleA" -> "test_cycleB/)
+	assert.throws(() => new StatType('test_self', { min: 'test_self' }), /StatDependencyCycle/)
+})
+test('Statful clamps resource stats to their bounds and emits depleted/filled', () => {
+	new StatType('test_maxMana', { min: 0 })
+	new StatType('test_mana', { min: 0, max: 'test_maxMana' })
+	const object = createCombatant('test_bounded', { test_maxMana: 10, test_mana: 15 })
+	const events = []
+	EventModule.on('stats.test_mana.depleted', () => events.push('depleted'), { owner: object })
+	EventModule.on('stats.test_mana.filled', () => events.push('filled'), { owner: object })
+
+	assert.is(object._stats.get('test_mana').base, 10)
+	object._stats.modify('test_mana', -25)
+	assert.is(object._stats.get('test_mana').base, 0)
+	object._stats.set('test_mana', 99)
+	assert.is(object._stats.get('test_mana').net, 10)
+	assert.equal(events, ['depleted', 'filled'])
+
+	object._stats.set('test_maxMana', 4)
+	assert.is(object._stats.get('test_mana').base, 4)
+})
+test('Equipment equips items through actions, applying modifiers and requirements', () => {
+	const knight = createCombatant('test_equipper', { attack: 2, health: 10 })
+	knight.addComponent(Equipment)
+	knight._equipment.defineSlots({ 'hand.right': 1, 'ring': 2 })
+	const sword = new GameObject('test_sword', { components: [Equippable] })
+	sword._equippable.define({ slots: ['hand.right'], modifiers: { attack: { delta: 3 } } })
+	const axe = new GameObject('test_axe', { components: [Equippable] })
+	axe._equippable.define({ slots: ['hand.right'], requirements: { stats: { attack: 9 }, tags: ['TRAINED'] } })
+	const reasons = []
+	EventModule.on('equipment.failed', (_, data) => reasons.push(data.reason), { owner: knight })
+
+	assert.ok(Action.perform('equipment.equip', [knight, sword]))
+	assert.is(knight._equipment.slotOf(sword), 'hand.right')
+	assert.is(sword._equippable.equippedBy, knight)
+	assert.is(knight._stats.get('attack').net, 5)
+	assert.not.ok(Action.perform('equipment.equip', [knight, axe, 'ring']))
+	assert.not.ok(Action.perform('equipment.equip', [knight, axe]))
+	assert.ok(Action.perform('equipment.unequip', [knight, sword]))
+	assert.not.ok(Action.perform('equipment.equip', [knight, axe]))
+	assert.equal(reasons, ['slot', 'full', 'requirements'])
+	assert.is(knight._stats.get('attack').net, 2)
+})
+test('Equipped items are unequipped when they leave their wearer', () => {
+	const knight = createCombatant('test_dropper', { attack: 2 })
+	knight.addComponent(Equipment)
+	knight._equipment.defineSlots({ 'hand.right': 1 })
+	const sword = new GameObject('test_dropped_sword', { components: [Equippable] })
+	sword._equippable.define({ slots: ['hand.right'], modifiers: { attack: { multiplier: 2 } } })
+
+	knight._equipment.equip(sword)
+	assert.is(knight._stats.get('attack').net, 4)
+	sword._location.removeFromWorld()
+	assert.not.ok(knight._equipment.isEquipped(sword))
+	assert.is(knight._stats.get('attack').net, 2)
+})
+test('Actions may cost stats, paid by the agent in context', () => {
+	new StatType('stamina')
+	const climber = createCombatant('test_climber', { stamina: 3 })
+	Action.register('test_climb', () => true)
+	Action.setCost('test_climb', { stats: { stamina: 2 }, turns: 1 })
+
+	ContextModule.push({ agent: climber })
+	const climbed = Action.attempt('test_climb', [])
+	assert.ok(climbed.success)
+	assert.equal(climbed.cost, { stats: { stamina: 2 }, turns: 1 })
+	assert.is(climber._stats.get('stamina').base, 1)
+	const tired = Action.attempt('test_climb', [])
+	assert.is(tired.reason, 'cannotAfford')
+	assert.is(Action.message(tired), "You don't have the strength for that.")
+	assert.is(climber._stats.get('stamina').base, 1)
+	ContextModule.pop(['agent'])
+
+	//? Without an agent (i.e. scripted events), nothing is paid
+	assert.ok(Action.perform('test_climb', []))
+})
+
+test.run()
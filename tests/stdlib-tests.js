@@ -0,0 +1,145 @@
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+	RasPG,
+	GameObject, Stringful,
+	ParserModule, TemplateModule, MapModule,
+	Stateful, Describable, Perceptible, Tangible, Countable, Containing, Openable, Lockable, LightSource
+} = require('../raspg3.js')
+require('../raspg-lpack-en.js')
+require('../raspg3-stdlib.js')
+
+//? Helper for setup
+function createThing(id, name, components = []) {
+	const object = new GameObject(id, { components: [Describable, Tangible, ...components] })
+	object._description.describe({ canonicalName: name, nouns: [name.split(' ').at(-1)], adjectives: name.split(' ').slice(0, -1), description: '' })
+	return object
+}
+function createRoom(id, name, description) {
+	const room = new GameObject(id, { components: [Stringful, Containing] })
+	room._strings.define({ name, description })
+	return room
+}
+
+const hall = createRoom('test_hall', 'Hall', 'A draughty hall.')
+const garden = createRoom('test_garden', 'Garden', 'Roses everywhere.')
+MapModule.connect(hall, 'north', garden)
+const player = new GameObject('test_player', { components: [Tangible, Containing] })
+player._location.moveTo(hall)
+const run = input => ParserModule.execute(input, { agent: player })
+
+//# MARK: Command tests
+test('look, examine and inventory describe the world', () => {
+	const lamp = createThing('test_lamp', 'brass lamp')
+	lamp._strings.set('desc.description', 'A battered brass lamp.')
+	lamp._location.moveTo(hall)
+
+	assert.equal(run('look').output, ['Hall', 'A draughty hall.', 'You can see a brass lamp here.'])
+	const clock = createThing('test_clock', 'grandfather clock', [Perceptible])
+	clock._perceptions.setPerception('sight', 'inRoom', 'A grandfather clock ticks in the corner.')
+	clock._location.moveTo(hall)
+	assert.equal(run('look').output.slice(2), ['A grandfather clock ticks in the corner.', 'You also see a brass lamp.'])
+	clock.tag('SCENERY')
+	assert.equal(run('x lamp').output, ['A battered brass lamp.'])
+	assert.equal(run('i').output, ['You are empty-handed.'])
+	assert.equal(run('wait').output, ['Time passes.'])
+})
+test('take, drop and put in move objects through container actions', () => {
+	const key = createThing('test_key', 'iron key')
+	const box = createThing('test_box', 'wooden box', [Containing, Openable])
+	const statue = createThing('test_statue', 'stone statue')
+	statue.tag('FIXED')
+	for (const object of [key, box, statue])
+		object._location.moveTo(hall)
+
+	assert.equal(run('take key').output, ['Taken.'])
+	assert.is(key._location.location, player)
+	assert.not.ok(hall._container.has(key))
+	assert.equal(run('take key').output, ['You already have the iron key.'])
+	assert.equal(run('take statue').output, ["The stone statue won't budge."])
+	assert.equal(run('inventory').output, ['You are carrying an iron key.'])
+
+	assert.equal(run('put key in box').output, ['The wooden box is closed.'])
+	assert.ok(run('open box').success)
+	assert.equal(run('open box').output, ['The wooden box is already open.'])
+	assert.equal(run('put key in box').output, ['You put the iron key in the wooden box.'])
+	assert.is(key._location.location, box)
+	assert.is(run('drop key').reason, 'filtered')
+
+	//? Messages can be overridden per object
+	statue._strings.set('stdlib.take.fixed', 'It is far too heavy.')
+	assert.equal(run('take statue').output, ['It is far too heavy.'])
+})
+test('lock and unlock need a fitting key in hand', () => {
+	const chest = createThing('test_chest', 'oak chest', [Containing, Lockable])
+	const key = createThing('test_brass_key', 'brass key')
+	const pin = createThing('test_pin', 'bent pin')
+	chest._lock.addKey('test_brass_key')
+	for (const object of [chest, key, pin])
+		object._location.moveTo(hall)
+
+	assert.equal(run('lock chest with brass key').output, ["You don't have the brass key."])
+	run('take brass key')
+	run('take pin')
+	assert.equal(run('lock chest with pin').output, ["The bent pin doesn't fit the oak chest."])
+	assert.equal(run('lock chest with brass key').output, ['You lock the oak chest.'])
+	assert.equal(run('lock chest with brass key').output, ['The oak chest is already locked.'])
+	assert.equal(run('open chest').output, ['The oak chest is locked.'])
+	assert.equal(run('unlock chest with brass key').output, ['You unlock the oak chest.'])
+	assert.ok(run('open chest').success)
+	assert.ok(chest._openable.isOpen)
+})
+test('take and drop split and merge countable stacks', () => {
+	const coin = createThing('coin', 'coin', [Countable])
+	TemplateModule.register('coin', coin)
+	coin.unregister()
+	const coins = TemplateModule.instantiate('coin')
+	coins._count.set(5)
+	coins._location.moveTo(hall)
+
+	assert.ok(run('take 2 coins').success)
+	const held = Array.from(player._container.contents).find(e => e.baseID === 'coin')
+	assert.is(held._count.count, 2)
+	assert.is(coins._count.count, 3)
+
+	assert.ok(run('drop 1 coin').success)
+	assert.is(held._count.count, 1)
+	assert.is(coins._count.count, 4)
+})
+test('go follows exits and describes the new location', () => {
+	assert.equal(run('go south').output, ["You can't go that way."])
+	assert.equal(run('n').output, ['Garden', 'Roses everywhere.'])
+	assert.is(player._location.location, garden)
+
+	MapModule.connect(garden, 'in', hall, { oneWay: true, guard: agent => agent._location.location !== garden })
+	assert.equal(run('go in').output, ['Something keeps you from going that way.'])
+	assert.ok(run('s').success)
+	assert.is(player._location.location, hall)
+})
+test('go to follows the route to a named place', () => {
+	const shed = createRoom('test_shed', 'Garden Shed', 'Tools hang from hooks.')
+	MapModule.connect(garden, 'east', shed)
+
+	assert.equal(run('go to the garden shed').output, ['Garden Shed', 'Tools hang from hooks.'])
+	assert.is(player._location.location, shed)
+	assert.equal(run('go to garden shed').output, ["You're already here."])
+	assert.equal(run('go to the moon').output, ["You don't know of any such place."])
+	assert.ok(run('walk to hall').success)
+	assert.is(player._location.location, hall)
+})
+test('light and extinguish reveal and hide dark places', () => {
+	const cellar = createRoom('test_cellar', 'Cellar', 'Dusty shelves line the walls.')
+	cellar.addComponent(Stateful)
+	cellar._states.define({ light: 0 })
+	const lantern = createThing('test_lantern', 'tin lantern', [LightSource])
+	lantern._location.moveTo(player)
+	player._location.moveTo(cellar)
+
+	assert.equal(run('look').output, ["It is pitch dark. You can't see a thing."])
+	assert.equal(run('light lantern').output, ['You light the tin lantern.', 'Cellar', 'Dusty shelves line the walls.'])
+	assert.equal(run('light lantern').output, ['The tin lantern is already lit.'])
+	assert.equal(run('put out lantern').output, ['You put out the tin lantern.', 'It is now pitch dark.'])
+	player._location.moveTo(hall)
+})
+
+test.run()